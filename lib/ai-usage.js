@@ -0,0 +1,197 @@
+import crypto from 'crypto';
+import { httpError } from './errors.js';
+import {
+  complete,
+  extractJsonObject,
+  getLlmProvider,
+  llmNotConfiguredError,
+  modelForTask,
+} from './llm.js';
+
+/**
+ * AI usage accounting on top of lib/llm.js.
+ *
+ * trackedCompleteJson() is completeJson() plus three things, all keyed by a `usage` context
+ * ({ feature, adminId, clientId }) that says which route and who the call is for:
+ *
+ * - every call is logged to ai_usage (model, tokens, latency, success, cache hit);
+ * - with `cache: true`, identical requests (task, model, temperature, messages) are answered
+ *   from ai_cache, cost no tokens and skip the quota check;
+ * - daily token quotas (UTC days) are enforced per admin and per client before calling out.
+ *
+ * - AI_CACHE_TTL_HOURS            (optional, default 720; 0 disables the cache)
+ * - AI_DAILY_TOKEN_QUOTA          (optional, default tokens per admin per day; unset = unlimited)
+ * - AI_CLIENT_DAILY_TOKEN_QUOTA   (optional, default tokens per client per day)
+ *
+ * Per-admin and per-client overrides live in ai_quotas.
+ */
+
+const envLimit = (name) => (process.env[name] ? Number(process.env[name]) : null);
+
+// Daily token limits used when ai_quotas has no row for the admin / client (null = unlimited).
+export const defaultAiQuotas = () => ({
+  admin: envLimit('AI_DAILY_TOKEN_QUOTA'),
+  client: envLimit('AI_CLIENT_DAILY_TOKEN_QUOTA'),
+});
+
+const cacheTtlHours = () => Number(process.env.AI_CACHE_TTL_HOURS ?? 720);
+
+export const aiCacheKey = (task, model, temperature, messages) =>
+  crypto
+    .createHash('sha256')
+    .update(JSON.stringify([task, model, temperature, messages]))
+    .digest('hex');
+
+// Returns { admin, client } with { limit, used } each (null when there is no such party);
+// limit null means unlimited.
+export async function aiQuotaStatus(pool, { adminId = null, clientId = null } = {}) {
+  const result = await pool.query(
+    `select
+       exists (select 1 from ai_quotas where admin_id = $1) as admin_override,
+       (select daily_token_limit from ai_quotas where admin_id = $1) as admin_limit,
+       exists (select 1 from ai_quotas where client_id = $2) as client_override,
+       (select daily_token_limit from ai_quotas where client_id = $2) as client_limit,
+       (select coalesce(sum(total_tokens), 0)::int from ai_usage
+         where admin_id = $1 and created_at >= date_trunc('day', now(), 'UTC')) as admin_used,
+       (select coalesce(sum(total_tokens), 0)::int from ai_usage
+         where client_id = $2 and created_at >= date_trunc('day', now(), 'UTC')) as client_used`,
+    [adminId, clientId],
+  );
+  const row = result.rows[0];
+  const defaults = defaultAiQuotas();
+  const quota = (party) => ({
+    // An override row with a null limit means unlimited, no row means the default
+    limit: row[`${party}_override`] ? row[`${party}_limit`] : defaults[party],
+    used: row[`${party}_used`],
+  });
+  return {
+    admin: adminId ? quota('admin') : null,
+    client: clientId ? quota('client') : null,
+  };
+}
+
+async function enforceAiQuota(pool, usage) {
+  const status = await aiQuotaStatus(pool, usage);
+  for (const [party, quota] of Object.entries(status)) {
+    if (quota && quota.limit !== null && quota.used >= quota.limit) {
+      throw httpError(429, `Daily AI token quota exceeded for this ${party}`, {
+        code: 'ai_quota_exceeded',
+        details: { [party]: quota },
+      });
+    }
+  }
+}
+
+// Logging must never fail the AI call it describes.
+async function recordAiUsage(pool, entry) {
+  try {
+    await pool.query(
+      `insert into ai_usage
+         (feature, task, provider, model, admin_id, client_id, prompt_tokens, completion_tokens,
+          latency_ms, success, cached, error_code)
+       values ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+      [
+        entry.feature,
+        entry.task,
+        entry.provider,
+        entry.model,
+        entry.adminId || null,
+        entry.clientId || null,
+        entry.promptTokens || 0,
+        entry.completionTokens || 0,
+        entry.latencyMs || 0,
+        entry.success,
+        entry.cached || false,
+        entry.errorCode || null,
+      ],
+    );
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('Failed to record AI usage:', err);
+  }
+}
+
+// completeJson() with logging, caching and quotas; returns { data, cached, model, usage }.
+export async function trackedCompleteJson(
+  pool,
+  task,
+  messages,
+  { temperature = 0.2, cache = false, usage = {} } = {},
+) {
+  const provider = getLlmProvider();
+  if (!provider) throw llmNotConfiguredError();
+  const model = modelForTask(task);
+  const entry = {
+    feature: usage.feature || task,
+    task,
+    provider: provider.name,
+    model,
+    adminId: usage.adminId,
+    clientId: usage.clientId,
+  };
+
+  const ttl = cacheTtlHours();
+  const key = cache && ttl > 0 ? aiCacheKey(task, model, temperature, messages) : null;
+  if (key) {
+    const hit = await pool.query(
+      `update ai_cache
+          set hits = hits + 1, last_hit_at = now()
+        where key = $1 and created_at > now() - make_interval(hours => $2)
+        returning content`,
+      [key, ttl],
+    );
+    if (hit.rows.length > 0) {
+      await recordAiUsage(pool, { ...entry, success: true, cached: true });
+      return { data: extractJsonObject(hit.rows[0].content), cached: true, model };
+    }
+  }
+
+  await enforceAiQuota(pool, usage);
+
+  const started = Date.now();
+  let completion;
+  try {
+    completion = await complete(task, messages, { temperature, json: true });
+  } catch (err) {
+    await recordAiUsage(pool, {
+      ...entry,
+      success: false,
+      latencyMs: Date.now() - started,
+      errorCode: err.code || 'error',
+    });
+    throw err;
+  }
+
+  // Tokens were spent even if the reply turns out not to be usable JSON
+  let data;
+  let parseError = null;
+  try {
+    data = extractJsonObject(completion.content);
+  } catch (err) {
+    parseError = err;
+  }
+  await recordAiUsage(pool, {
+    ...entry,
+    model: completion.model || model,
+    promptTokens: completion.usage?.prompt_tokens,
+    completionTokens: completion.usage?.completion_tokens,
+    latencyMs: Date.now() - started,
+    success: !parseError,
+    errorCode: parseError?.code,
+  });
+  if (parseError) throw parseError;
+
+  if (key) {
+    await pool.query(
+      `insert into ai_cache (key, task, model, content)
+       values ($1, $2, $3, $4)
+       on conflict (key) do update
+         set content = excluded.content, created_at = now(), hits = 0, last_hit_at = null`,
+      [key, task, model, completion.content],
+    ).catch((err) => {
+      // eslint-disable-next-line no-console
+      console.error('Failed to cache AI response:', err);
+    });
+  }
+  return { data, cached: false, model: completion.model || model, usage: completion.usage };
+}
@@ -0,0 +1,79 @@
+/**
+ * Materialized aggregates behind /api/analytics (views in migrations/016_analytics.sql).
+ *
+ * Analytics reads only touch these views, so dashboards stay fast however many applications
+ * there are. Views older than ANALYTICS_MAX_AGE_MINUTES (default 15) are rebuilt in the
+ * background when analytics are read, and the response says how old its data is;
+ * refreshAnalytics(pool, { force: true }) rebuilds everything and waits.
+ *
+ * Refreshes are concurrent (readers are never blocked) and guarded by an advisory lock, so only
+ * one instance refreshes at a time; the others keep serving the current data.
+ */
+
+export const analyticsViews = [
+  'analytics_application_days',
+  'analytics_stage_reach',
+  'analytics_stage_time',
+  'analytics_hires',
+  'analytics_skill_days',
+];
+
+const maxAgeMinutes = () => Number(process.env.ANALYTICS_MAX_AGE_MINUTES ?? 15);
+
+const refreshLock = "hashtext('analytics_refresh')";
+
+// Returns { refreshed: [view names], locked } where locked means another refresh was running.
+export async function refreshAnalytics(pool, { force = false } = {}) {
+  const client = await pool.connect();
+  try {
+    const lock = await client.query(`select pg_try_advisory_lock(${refreshLock}) as acquired`);
+    if (!lock.rows[0].acquired) return { refreshed: [], locked: true };
+    try {
+      const state = await client.query(
+        `select view_name from analytics_refreshes
+         where refreshed_at > now() - make_interval(mins => $1)`,
+        [maxAgeMinutes()],
+      );
+      const fresh = new Set(state.rows.map((row) => row.view_name));
+      const stale = analyticsViews.filter((view) => force || !fresh.has(view));
+      for (const view of stale) {
+        await client.query(`refresh materialized view concurrently ${view}`);
+        await client.query(
+          `insert into analytics_refreshes (view_name, refreshed_at) values ($1, now())
+           on conflict (view_name) do update set refreshed_at = excluded.refreshed_at`,
+          [view],
+        );
+      }
+      return { refreshed: stale, locked: false };
+    } finally {
+      await client.query(`select pg_advisory_unlock(${refreshLock})`);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+let backgroundRefresh = null;
+
+// Starts a refresh of stale views unless one is already running in this process, and returns
+// the time of the oldest refresh (null if the views were never refreshed by the API).
+export async function analyticsFreshness(pool) {
+  if (!backgroundRefresh) {
+    backgroundRefresh = refreshAnalytics(pool)
+      .catch((err) => {
+        // eslint-disable-next-line no-console
+        console.error('Analytics refresh failed:', err);
+      })
+      .finally(() => {
+        backgroundRefresh = null;
+      });
+  }
+  const result = await pool.query(
+    `select min(refreshed_at) as refreshed_at, count(*)::int as views
+     from analytics_refreshes
+     where view_name = any($1)`,
+    [analyticsViews],
+  );
+  const { refreshed_at: refreshedAt, views } = result.rows[0];
+  return views === analyticsViews.length ? refreshedAt : null;
+}
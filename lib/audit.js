@@ -0,0 +1,33 @@
+/**
+ * Helpers for the audit log (audit_log table, written by the audit middleware in server.js).
+ *
+ * Entries store snapshots of the affected row: only the fields that changed for updates, the
+ * whole row for creates and deletes. Secrets never reach the log, and bookkeeping columns that
+ * change on every write are left out of diffs.
+ */
+
+const secretField = /password|token|secret/i;
+const ignoredChanges = new Set(['updated_at']);
+
+// Copy of a row without secret columns; null stays null.
+export function auditSnapshot(row) {
+  if (!row) return null;
+  return Object.fromEntries(Object.entries(row).filter(([key]) => !secretField.test(key)));
+}
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Returns { before, after } for an entry. Rows are compared by value, so dates and JSON columns
+// that were rewritten unchanged do not show up.
+export function auditChanges(before, after) {
+  const old = auditSnapshot(before);
+  const current = auditSnapshot(after);
+  if (!old || !current) return { before: old, after: current };
+  const changed = [...new Set([...Object.keys(old), ...Object.keys(current)])]
+    .filter((key) => !ignoredChanges.has(key) && !sameValue(old[key], current[key]));
+  if (changed.length === 0) return { before: null, after: null };
+  return {
+    before: Object.fromEntries(changed.map((key) => [key, old[key] ?? null])),
+    after: Object.fromEntries(changed.map((key) => [key, current[key] ?? null])),
+  };
+}
@@ -0,0 +1,66 @@
+/**
+ * Consent purposes and the retention periods that come with them.
+ *
+ *   registerConsentPurpose('events', { label: 'Invitations to hiring events', retentionDays: 365 });
+ *
+ * A candidate's data is kept until the later of CANDIDATE_RETENTION_DAYS (default 365) after
+ * their last activity and the expiry of every consent they still have granted. A consent record
+ * may carry its own period instead of the purpose default; withdrawals stop the consent counting
+ * but stay on record.
+ *
+ * - CANDIDATE_RETENTION_DAYS (optional, default 365)
+ * - RETENTION_ACTION         (optional, "anonymize" or "delete", what the retention sweep does
+ *                             with candidates past their date; default "anonymize")
+ * - RETENTION_SWEEP_HOURS    (optional, hours between sweeps, default 24; 0 turns them off)
+ */
+
+export const retentionActions = ['anonymize', 'delete'];
+
+const purposes = new Map();
+
+export function registerConsentPurpose(name, purpose) {
+  if (!Number.isInteger(purpose?.retentionDays) || purpose.retentionDays < 1) {
+    throw new TypeError(`Consent purpose "${name}" needs a positive retentionDays`);
+  }
+  purposes.set(name, { label: name, ...purpose, name });
+}
+
+export const getConsentPurpose = (name) => purposes.get(name) || null;
+
+export const consentPurposeNames = () => [...purposes.keys()];
+
+export const listConsentPurposes = () =>
+  [...purposes.values()].map(({ name, label, retentionDays }) => ({
+    name,
+    label,
+    retention_days: retentionDays,
+  }));
+
+export const defaultRetentionDays = () => Number(process.env.CANDIDATE_RETENTION_DAYS ?? 365);
+
+export function retentionAction() {
+  const action = process.env.RETENTION_ACTION || 'anonymize';
+  if (!retentionActions.includes(action)) {
+    throw new Error(`RETENTION_ACTION must be one of: ${retentionActions.join(', ')}`);
+  }
+  return action;
+}
+
+export const retentionSweepHours = () => Number(process.env.RETENTION_SWEEP_HOURS ?? 24);
+
+// --- Built-in purposes ---
+
+registerConsentPurpose('recruitment', {
+  label: 'Processing applications for the roles applied to',
+  retentionDays: 365,
+});
+
+registerConsentPurpose('talent-pool', {
+  label: 'Keeping the profile to suggest future roles',
+  retentionDays: 730,
+});
+
+registerConsentPurpose('job-alerts', {
+  label: 'Emails about new openings',
+  retentionDays: 365,
+});
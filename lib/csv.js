@@ -0,0 +1,76 @@
+/**
+ * CSV writing for exports (RFC 4180, CRLF line endings) and parsing for imports.
+ *
+ *   res.write(csvRow(['id', 'email']));
+ *   res.write(csvRow([row.id, row.email]));
+ *   parseCsv('id,email\r\n1,a@example.com') // [['id', 'email'], ['1', 'a@example.com']]
+ *
+ * Dates are written as ISO strings and objects as JSON. Text cells starting with =, +, - or @
+ * are prefixed with an apostrophe so spreadsheet apps do not evaluate them as formulas.
+ */
+
+// Byte order mark, so Excel opens UTF-8 exports with the right encoding
+export const csvBom = '\uFEFF';
+
+export const csvContentType = 'text/csv; charset=utf-8';
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text;
+  if (value instanceof Date) text = value.toISOString();
+  else if (typeof value === 'object') text = JSON.stringify(value);
+  else if (typeof value === 'string' && /^[=+\-@\t\r]/.test(value)) text = `'${value}`;
+  else text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export const csvRow = (values) => `${values.map(csvCell).join(',')}\r\n`;
+
+// "a;b;c" files come from spreadsheet apps in locales that use the comma as decimal separator
+function detectDelimiter(text) {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const count = (char) => firstLine.split(char).length - 1;
+  return count(';') > count(',') ? ';' : ',';
+}
+
+// Parses CSV text into an array of rows (arrays of strings). Handles quoted fields with
+// delimiters, quotes and line breaks, CRLF or LF endings, a leading BOM and ";" delimiters.
+export function parseCsv(input, { delimiter } = {}) {
+  const text = String(input).replace(/^\uFEFF/, '');
+  const separator = delimiter || detectDelimiter(text);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
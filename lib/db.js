@@ -0,0 +1,55 @@
+import pg from 'pg';
+
+/**
+ * Shared Postgres pool (Neon in production, any Postgres locally).
+ *
+ * Uses DATABASE_URL when set, otherwise PGHOST / PGPORT / PGDATABASE / PGUSER / PGPASSWORD /
+ * PGSSLMODE. Used by server.js and the migrate/seed scripts.
+ */
+
+let poolInstance = null;
+
+export function getDbPool() {
+  if (poolInstance) return poolInstance;
+
+  const { DATABASE_URL } = process.env;
+
+  if (DATABASE_URL) {
+    poolInstance = new pg.Pool({
+      connectionString: DATABASE_URL,
+      ssl: { rejectUnauthorized: false },
+      max: 10,
+      idleTimeoutMillis: 30000,
+    });
+    return poolInstance;
+  }
+
+  const {
+    PGHOST,
+    PGPORT,
+    PGDATABASE,
+    PGUSER,
+    PGPASSWORD,
+    PGSSLMODE,
+  } = process.env;
+
+  const host = (PGHOST ?? 'localhost').toString();
+  const port = Number(PGPORT ?? 5432);
+  const database = (PGDATABASE ?? 'jobspeedy').toString();
+  const user = (PGUSER ?? 'postgres').toString();
+  const password = String(PGPASSWORD ?? '');
+  const useSsl = (PGSSLMODE ?? '').toLowerCase() === 'require';
+
+  const encodedUser = encodeURIComponent(user);
+  const encodedPass = encodeURIComponent(password);
+  const connectionString = `postgresql://${encodedUser}:${encodedPass}@${host}:${port}/${database}`;
+
+  poolInstance = new pg.Pool({
+    connectionString,
+    ssl: useSsl ? { rejectUnauthorized: false } : false,
+    max: 10,
+    idleTimeoutMillis: 30000,
+  });
+
+  return poolInstance;
+}
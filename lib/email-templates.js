@@ -0,0 +1,340 @@
+/**
+ * Candidate email templates, one per key and language.
+ *
+ *   registerEmailTemplate('application-received', 'fr', {
+ *     subject: 'Candidature reçue : {{job_title}}',
+ *     text: 'Bonjour {{candidate_name}}, ...',
+ *   });
+ *
+ * {{name}} inserts a variable (unknown ones render empty); {{#name}}...{{/name}} is only kept
+ * when the variable is set. The HTML part is built from the text (escaped, one paragraph per
+ * blank-line block) unless the template has its own `html`, whose variables are escaped.
+ *
+ * Edited copies live in the email_templates table; callers pass them to resolveEmailTemplate()
+ * as overrides. Lookup order: override, built-in, then the same for English.
+ */
+
+export const emailTemplateKeys = [
+  'application-received',
+  'status-changed',
+  'interview-invite',
+  'interview-cancelled',
+  'rejection',
+  'password-reset',
+];
+
+export const defaultEmailLanguage = 'en';
+
+const templates = new Map();
+
+const templateId = (key, language) => `${key}:${language}`;
+
+// "pt-BR" and "pt_br" both become "pt-br"
+export const normalizeLanguage = (language) =>
+  String(language || defaultEmailLanguage).trim().toLowerCase().replace(/_/g, '-');
+
+export function registerEmailTemplate(key, language, template) {
+  if (typeof template?.subject !== 'string' || typeof template?.text !== 'string') {
+    throw new TypeError(`Email template "${key}" (${language}) needs a subject and text`);
+  }
+  templates.set(templateId(key, normalizeLanguage(language)), template);
+}
+
+export const emailTemplateLanguages = () =>
+  [...new Set([...templates.keys()].map((id) => id.split(':')[1]))].sort();
+
+export const listEmailTemplates = () =>
+  [...templates.entries()].map(([id, template]) => {
+    const [key, language] = id.split(':');
+    return { key, language, ...template };
+  });
+
+// Picks the template for a key and language; `overrides` are rows of email_templates
+// ({ key, language, subject, body_text, body_html }). Returns { template, language, source }.
+export function resolveEmailTemplate(key, language, overrides = []) {
+  const normalized = normalizeLanguage(language);
+  const candidates = [...new Set([normalized, normalized.split('-')[0], defaultEmailLanguage])];
+  for (const lang of candidates) {
+    const override = overrides.find((row) => row.key === key && row.language === lang);
+    if (override) {
+      return {
+        template: { subject: override.subject, text: override.body_text, html: override.body_html },
+        language: lang,
+        source: 'custom',
+      };
+    }
+    const builtIn = templates.get(templateId(key, lang));
+    if (builtIn) return { template: builtIn, language: lang, source: 'built-in' };
+  }
+  throw new Error(`No email template "${key}"`);
+}
+
+// --- Rendering ---
+
+const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const present = (value) => value !== null && value !== undefined && value !== '';
+
+function interpolate(source, vars, escape = (value) => String(value)) {
+  return String(source || '')
+    .replace(/{{#(\w+)}}([\s\S]*?){{\/\1}}/g, (match, name, body) => (present(vars[name]) ? body : ''))
+    .replace(/{{\s*(\w+)\s*}}/g, (match, name) => (present(vars[name]) ? escape(vars[name]) : ''));
+}
+
+const textToHtml = (text) =>
+  text
+    .split(/\n{2,}/)
+    .map((block) => `<p>${escapeHtml(block).replace(/\n/g, '<br>')}</p>`)
+    .join('\n');
+
+// Returns { subject, text, html } for a template and its variables.
+export function renderEmail(template, vars = {}) {
+  const text = interpolate(template.text, vars).replace(/\n{3,}/g, '\n\n').trim();
+  return {
+    subject: interpolate(template.subject, vars).replace(/\s+/g, ' ').trim(),
+    text,
+    html: template.html ? interpolate(template.html, vars, escapeHtml) : textToHtml(text),
+  };
+}
+
+// --- Built-in templates ---
+
+registerEmailTemplate('application-received', 'en', {
+  subject: 'We received your application for {{job_title}}',
+  text: `Hello {{candidate_name}},
+
+Thank you for applying for the {{job_title}} position{{#company}} at {{company}}{{/company}}. We have received your application and our team will review it shortly.
+
+We will let you know as soon as there is an update.
+
+Best regards,
+{{sender}}`,
+});
+
+registerEmailTemplate('status-changed', 'en', {
+  subject: 'Update on your application for {{job_title}}',
+  text: `Hello {{candidate_name}},
+
+Your application for the {{job_title}} position{{#company}} at {{company}}{{/company}} has moved to the "{{status}}" stage.
+
+{{#message}}{{message}}
+
+{{/message}}Best regards,
+{{sender}}`,
+});
+
+registerEmailTemplate('interview-invite', 'en', {
+  subject: 'Interview invitation: {{job_title}}',
+  text: `Hello {{candidate_name}},
+
+We would like to invite you to an interview for the {{job_title}} position{{#company}} at {{company}}{{/company}}.
+
+When: {{interview_time}} ({{interview_duration}} minutes)
+{{#interview_location}}Where: {{interview_location}}
+{{/interview_location}}{{#video_url}}Video link: {{video_url}}
+{{/video_url}}
+A calendar invitation is attached.
+
+Best regards,
+{{sender}}`,
+});
+
+registerEmailTemplate('interview-cancelled', 'en', {
+  subject: 'Interview cancelled: {{job_title}}',
+  text: `Hello {{candidate_name}},
+
+Your interview for the {{job_title}} position{{#company}} at {{company}}{{/company}} on {{interview_time}} has been cancelled. The attached update removes it from your calendar.
+
+We will be in touch about next steps.
+
+Best regards,
+{{sender}}`,
+});
+
+registerEmailTemplate('rejection', 'en', {
+  subject: 'Your application for {{job_title}}',
+  text: `Hello {{candidate_name}},
+
+Thank you for your interest in the {{job_title}} position{{#company}} at {{company}}{{/company}} and for the time you invested in the process.
+
+After careful consideration, we have decided not to move forward with your application. We wish you every success in your search.
+
+Best regards,
+{{sender}}`,
+});
+
+registerEmailTemplate('password-reset', 'en', {
+  subject: 'Reset your password',
+  text: `Hello {{candidate_name}},
+
+We received a request to reset the password of your candidate account. Use this link to choose a new one:
+
+{{reset_url}}
+
+The link works once and expires in {{expires_minutes}} minutes. If you did not ask for this, you can ignore this email; your password stays the same.
+
+Best regards,
+{{sender}}`,
+});
+
+registerEmailTemplate('application-received', 'es', {
+  subject: 'Hemos recibido tu candidatura para {{job_title}}',
+  text: `Hola {{candidate_name}}:
+
+Gracias por postularte al puesto de {{job_title}}{{#company}} en {{company}}{{/company}}. Hemos recibido tu candidatura y nuestro equipo la revisará en breve.
+
+Te avisaremos en cuanto haya novedades.
+
+Un saludo,
+{{sender}}`,
+});
+
+registerEmailTemplate('status-changed', 'es', {
+  subject: 'Novedades sobre tu candidatura para {{job_title}}',
+  text: `Hola {{candidate_name}}:
+
+Tu candidatura para el puesto de {{job_title}}{{#company}} en {{company}}{{/company}} ha pasado a la fase "{{status}}".
+
+{{#message}}{{message}}
+
+{{/message}}Un saludo,
+{{sender}}`,
+});
+
+registerEmailTemplate('interview-invite', 'es', {
+  subject: 'Invitación a entrevista: {{job_title}}',
+  text: `Hola {{candidate_name}}:
+
+Nos gustaría invitarte a una entrevista para el puesto de {{job_title}}{{#company}} en {{company}}{{/company}}.
+
+Cuándo: {{interview_time}} ({{interview_duration}} minutos)
+{{#interview_location}}Dónde: {{interview_location}}
+{{/interview_location}}{{#video_url}}Enlace de vídeo: {{video_url}}
+{{/video_url}}
+Adjuntamos una invitación de calendario.
+
+Un saludo,
+{{sender}}`,
+});
+
+registerEmailTemplate('interview-cancelled', 'es', {
+  subject: 'Entrevista cancelada: {{job_title}}',
+  text: `Hola {{candidate_name}}:
+
+Tu entrevista para el puesto de {{job_title}}{{#company}} en {{company}}{{/company}} del {{interview_time}} ha sido cancelada. La actualización adjunta la elimina de tu calendario.
+
+Te contactaremos para indicarte los próximos pasos.
+
+Un saludo,
+{{sender}}`,
+});
+
+registerEmailTemplate('rejection', 'es', {
+  subject: 'Tu candidatura para {{job_title}}',
+  text: `Hola {{candidate_name}}:
+
+Gracias por tu interés en el puesto de {{job_title}}{{#company}} en {{company}}{{/company}} y por el tiempo dedicado al proceso.
+
+Tras valorarlo detenidamente, hemos decidido no continuar con tu candidatura. Te deseamos mucho éxito en tu búsqueda.
+
+Un saludo,
+{{sender}}`,
+});
+
+registerEmailTemplate('password-reset', 'es', {
+  subject: 'Restablece tu contraseña',
+  text: `Hola {{candidate_name}}:
+
+Hemos recibido una solicitud para restablecer la contraseña de tu cuenta de candidato. Usa este enlace para elegir una nueva:
+
+{{reset_url}}
+
+El enlace solo se puede usar una vez y caduca en {{expires_minutes}} minutos. Si no lo has solicitado, puedes ignorar este correo; tu contraseña no cambiará.
+
+Un saludo,
+{{sender}}`,
+});
+
+registerEmailTemplate('application-received', 'de', {
+  subject: 'Ihre Bewerbung als {{job_title}} ist eingegangen',
+  text: `Hallo {{candidate_name}},
+
+vielen Dank für Ihre Bewerbung als {{job_title}}{{#company}} bei {{company}}{{/company}}. Ihre Unterlagen sind bei uns eingegangen und unser Team wird sie in Kürze prüfen.
+
+Wir melden uns, sobald es Neuigkeiten gibt.
+
+Viele Grüße
+{{sender}}`,
+});
+
+registerEmailTemplate('status-changed', 'de', {
+  subject: 'Neuigkeiten zu Ihrer Bewerbung als {{job_title}}',
+  text: `Hallo {{candidate_name}},
+
+Ihre Bewerbung als {{job_title}}{{#company}} bei {{company}}{{/company}} befindet sich jetzt in der Phase "{{status}}".
+
+{{#message}}{{message}}
+
+{{/message}}Viele Grüße
+{{sender}}`,
+});
+
+registerEmailTemplate('interview-invite', 'de', {
+  subject: 'Einladung zum Vorstellungsgespräch: {{job_title}}',
+  text: `Hallo {{candidate_name}},
+
+wir möchten Sie zu einem Vorstellungsgespräch für die Position {{job_title}}{{#company}} bei {{company}}{{/company}} einladen.
+
+Wann: {{interview_time}} ({{interview_duration}} Minuten)
+{{#interview_location}}Wo: {{interview_location}}
+{{/interview_location}}{{#video_url}}Videolink: {{video_url}}
+{{/video_url}}
+Eine Kalendereinladung finden Sie im Anhang.
+
+Viele Grüße
+{{sender}}`,
+});
+
+registerEmailTemplate('interview-cancelled', 'de', {
+  subject: 'Vorstellungsgespräch abgesagt: {{job_title}}',
+  text: `Hallo {{candidate_name}},
+
+Ihr Vorstellungsgespräch für die Position {{job_title}}{{#company}} bei {{company}}{{/company}} am {{interview_time}} wurde abgesagt. Die angehängte Aktualisierung entfernt den Termin aus Ihrem Kalender.
+
+Wir melden uns bezüglich der nächsten Schritte.
+
+Viele Grüße
+{{sender}}`,
+});
+
+registerEmailTemplate('rejection', 'de', {
+  subject: 'Ihre Bewerbung als {{job_title}}',
+  text: `Hallo {{candidate_name}},
+
+vielen Dank für Ihr Interesse an der Position {{job_title}}{{#company}} bei {{company}}{{/company}} und die Zeit, die Sie in den Prozess investiert haben.
+
+Nach sorgfältiger Prüfung haben wir uns entschieden, Ihre Bewerbung nicht weiter zu berücksichtigen. Wir wünschen Ihnen für Ihre weitere Suche viel Erfolg.
+
+Viele Grüße
+{{sender}}`,
+});
+
+registerEmailTemplate('password-reset', 'de', {
+  subject: 'Passwort zurücksetzen',
+  text: `Hallo {{candidate_name}},
+
+wir haben eine Anfrage erhalten, das Passwort Ihres Bewerberkontos zurückzusetzen. Über diesen Link können Sie ein neues wählen:
+
+{{reset_url}}
+
+Der Link funktioniert einmal und läuft in {{expires_minutes}} Minuten ab. Falls Sie das nicht angefordert haben, können Sie diese E-Mail ignorieren; Ihr Passwort bleibt unverändert.
+
+Viele Grüße
+{{sender}}`,
+});
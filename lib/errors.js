@@ -0,0 +1,125 @@
+/**
+ * Error types and the central Express error handler.
+ *
+ * Every error response has the shape { error: { code, message, fields?, details? } }.
+ * Routes call next(httpError(...)) for expected failures and next(err) for anything else;
+ * Postgres errors are mapped to client errors without exposing the database message.
+ */
+
+const defaultCodes = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  411: 'length_required',
+  413: 'payload_too_large',
+  415: 'unsupported_media_type',
+  429: 'too_many_requests',
+  500: 'internal_error',
+  502: 'bad_gateway',
+  503: 'service_unavailable',
+};
+
+export class HttpError extends Error {
+  constructor(status, message, { code, fields, details, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code || defaultCodes[status] || 'error';
+    this.fields = fields;
+    this.details = details;
+  }
+}
+
+export class ValidationError extends HttpError {
+  constructor(fields, message = 'Validation failed') {
+    super(400, message, { code: 'validation_failed', fields });
+    this.name = 'ValidationError';
+  }
+}
+
+export const httpError = (status, message, options) => new HttpError(status, message, options);
+
+// "Key (user_id, job_id)=(...) already exists." -> ['user_id', 'job_id']
+const keyColumns = (detail) => {
+  const match = /^Key \(([^)]+)\)=/.exec(detail || '');
+  return match ? match[1].split(',').map((column) => column.trim()) : [];
+};
+
+const columnFields = (columns, message) =>
+  columns.length ? Object.fromEntries(columns.map((column) => [column, message])) : undefined;
+
+function fromPostgresError(err) {
+  switch (err.code) {
+    case '23505':
+      return httpError(409, 'A record with the same value already exists', {
+        code: 'conflict',
+        fields: columnFields(keyColumns(err.detail), 'already exists'),
+      });
+    case '23503':
+      return /still referenced/.test(err.detail || '')
+        ? httpError(409, 'Record is still referenced by other records', { code: 'in_use' })
+        : httpError(400, 'Referenced record does not exist', {
+          code: 'reference_not_found',
+          fields: columnFields(keyColumns(err.detail), 'does not exist'),
+        });
+    case '23502':
+      return new ValidationError(
+        err.column ? { [err.column]: 'is required' } : undefined,
+        'A required field is missing',
+      );
+    case '23514':
+      return new ValidationError(undefined, 'A field has an invalid value');
+    case '22P02': // invalid text representation, e.g. a malformed uuid
+    case '22007': // invalid datetime format
+    case '22008': // datetime out of range
+    case '22003': // numeric out of range
+    case '22001': // string too long
+      return httpError(400, 'Invalid input value', { code: 'invalid_input' });
+    default:
+      return null;
+  }
+}
+
+function toHttpError(err) {
+  if (err instanceof HttpError) return err;
+  if (err?.type === 'entity.parse.failed') {
+    return httpError(400, 'Request body is not valid JSON', { code: 'invalid_json' });
+  }
+  if (err?.type === 'entity.too.large') {
+    return httpError(413, 'Request body is too large');
+  }
+  if (err?.name === 'MulterError') {
+    return err.code === 'LIMIT_FILE_SIZE'
+      ? httpError(413, 'Uploaded file is too large')
+      : httpError(400, err.message, { code: 'invalid_upload' });
+  }
+  if (typeof err?.code === 'string' && /^[0-9A-Z]{5}$/.test(err.code)) {
+    return fromPostgresError(err);
+  }
+  return null;
+}
+
+// Registered last in server.js.
+// eslint-disable-next-line no-unused-vars
+export function errorHandler(err, req, res, next) {
+  const mapped = toHttpError(err);
+  if (!mapped || mapped.status >= 500) {
+    // eslint-disable-next-line no-console
+    console.error(`${req.method} ${req.originalUrl} failed:`, err?.cause || err);
+  }
+  if (res.headersSent) {
+    res.destroy();
+    return;
+  }
+  const error = mapped || httpError(500, 'Internal server error');
+  res.status(error.status).json({
+    error: {
+      code: error.code,
+      message: error.message,
+      ...(error.fields && { fields: error.fields }),
+      ...(error.details && { details: error.details }),
+    },
+  });
+}
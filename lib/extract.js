@@ -0,0 +1,234 @@
+import { execFile } from 'child_process';
+import fsp from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { promisify } from 'util';
+import mammoth from 'mammoth';
+import pdfParse from 'pdf-parse';
+
+/**
+ * Text extraction for uploaded documents (resumes).
+ *
+ * Every extractor is registered by type with a content sniffer; the uploaded bytes decide
+ * which one runs, never the client's Content-Type header or file name:
+ *
+ *   registerExtractor('odt', {
+ *     contentType: 'application/vnd.oasis.opendocument.text',
+ *     sniff: (buffer) => boolean,
+ *     extract: async (buffer) => 'plain text',
+ *   });
+ *
+ * Extractors are tried in registration order, so the plain-text catch-all comes last.
+ *
+ * Scanned PDFs have no text layer; they are rendered with pdftoppm and read with tesseract
+ * (both run locally, nothing leaves the server). Without those binaries OCR is skipped.
+ *
+ * - OCR_ENABLED      (optional, "false" disables the fallback)
+ * - PDFTOPPM_PATH    (optional, default "pdftoppm")
+ * - TESSERACT_PATH   (optional, default "tesseract")
+ * - OCR_LANG         (optional, tesseract language(s), default "eng")
+ * - OCR_MAX_PAGES    (optional, default 5)
+ */
+
+const run = promisify(execFile);
+
+const extractors = new Map();
+
+export function registerExtractor(type, extractor) {
+  if (typeof extractor?.sniff !== 'function' || typeof extractor?.extract !== 'function') {
+    throw new TypeError(`Extractor "${type}" must provide sniff(buffer) and extract(buffer)`);
+  }
+  extractors.set(type, { type, contentType: 'application/octet-stream', ...extractor });
+}
+
+export const supportedFileTypes = () => [...extractors.keys()];
+
+// Returns { type, contentType } for the first extractor that recognizes the bytes, or null.
+export function detectFileType(buffer) {
+  for (const extractor of extractors.values()) {
+    if (extractor.sniff(buffer)) {
+      return { type: extractor.type, contentType: extractor.contentType };
+    }
+  }
+  return null;
+}
+
+// Returns { type, contentType, text, ocr }; text is '' when nothing readable was found.
+export async function extractText(buffer) {
+  const fileType = detectFileType(buffer);
+  if (!fileType) return null;
+  const result = await extractors.get(fileType.type).extract(buffer);
+  const { text, ocr = false } = typeof result === 'string' ? { text: result } : result;
+  return { ...fileType, text: normalizeText(text), ocr };
+}
+
+const normalizeText = (text) =>
+  String(text || '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t\f\v]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length &&
+  bytes.every((byte, i) => buffer[offset + i] === byte);
+
+// --- OCR (pdftoppm + tesseract) ---
+
+const ocrEnabled = () => (process.env.OCR_ENABLED ?? '').toLowerCase() !== 'false';
+
+// Renders the first pages of a PDF and runs tesseract on each. Returns null when the
+// binaries are not installed.
+export async function ocrPdf(buffer) {
+  if (!ocrEnabled()) return null;
+  const pdftoppm = process.env.PDFTOPPM_PATH || 'pdftoppm';
+  const tesseract = process.env.TESSERACT_PATH || 'tesseract';
+  const maxPages = Number(process.env.OCR_MAX_PAGES || 5);
+
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'resume-ocr-'));
+  try {
+    const input = path.join(dir, 'input.pdf');
+    await fsp.writeFile(input, buffer);
+    const renderArgs = ['-r', '300', '-gray', '-png', '-l', String(maxPages)];
+    await run(pdftoppm, [...renderArgs, input, path.join(dir, 'page')], { timeout: 60_000 });
+    const pages = (await fsp.readdir(dir)).filter((file) => file.endsWith('.png')).sort();
+    const texts = [];
+    for (const page of pages) {
+      // eslint-disable-next-line no-await-in-loop
+      const { stdout } = await run(
+        tesseract,
+        [path.join(dir, page), 'stdout', '-l', process.env.OCR_LANG || 'eng'],
+        { timeout: 60_000, maxBuffer: 10 * 1024 * 1024 },
+      );
+      texts.push(stdout);
+    }
+    return texts.join('\n\n');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  } finally {
+    await fsp.rm(dir, { recursive: true, force: true });
+  }
+}
+
+// --- RTF ---
+
+// Destinations whose content is never document text (fonts, styles, metadata, pictures).
+const rtfSkippedDestinations = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'header', 'footer',
+  'headerl', 'headerr', 'footerl', 'footerr', 'listtable', 'listoverridetable', 'rsidtbl',
+  'generator', 'xmlnstbl', 'themedata', 'colorschememapping', 'latentstyles', 'datastore',
+]);
+
+const rtfSymbols = {
+  par: '\n', line: '\n', sect: '\n\n', page: '\n\n', row: '\n', cell: '\t', tab: '\t',
+  emdash: '—', endash: '–', bullet: '•',
+  lquote: '‘', rquote: '’', ldblquote: '“', rdblquote: '”',
+};
+
+// Minimal RTF reader: keeps the text runs and paragraph breaks, drops formatting.
+export function rtfToText(rtf) {
+  const tokens = /\\([a-z]{1,32})(-?\d{1,10})? ?|\\'([0-9a-f]{2})|\\([^a-z])|([{}])|([^\\{}\r\n]+)|[\r\n]+/gi;
+  const stack = [];
+  let state = { skip: false, ucSkip: 1 };
+  let pendingSkip = 0; // fallback characters still to drop after a \uN
+  let out = '';
+
+  const emit = (text) => {
+    if (state.skip) return;
+    if (pendingSkip > 0) {
+      const dropped = Math.min(pendingSkip, text.length);
+      pendingSkip -= dropped;
+      text = text.slice(dropped);
+    }
+    out += text;
+  };
+
+  let match;
+  while ((match = tokens.exec(rtf))) {
+    const [, word, param, hex, symbol, brace, text] = match;
+    if (brace === '{') {
+      stack.push(state);
+      state = { ...state };
+    } else if (brace === '}') {
+      state = stack.pop() || state;
+      pendingSkip = 0;
+    } else if (hex) {
+      emit(String.fromCharCode(parseInt(hex, 16)));
+    } else if (symbol) {
+      if (symbol === '*') state.skip = true;
+      else if (symbol === '~') emit(' ');
+      else if (symbol === '\\' || symbol === '{' || symbol === '}') emit(symbol);
+    } else if (word) {
+      if (rtfSkippedDestinations.has(word)) {
+        state.skip = true;
+      } else if (word === 'uc') {
+        state.ucSkip = Number(param);
+      } else if (word === 'u') {
+        const code = Number(param);
+        emit(String.fromCharCode(code < 0 ? code + 65536 : code));
+        pendingSkip = state.ucSkip;
+      } else if (rtfSymbols[word]) {
+        emit(rtfSymbols[word]);
+      }
+    } else if (text) {
+      emit(text);
+    }
+  }
+  return out;
+}
+
+// --- Built-in extractors ---
+
+registerExtractor('pdf', {
+  contentType: 'application/pdf',
+  // Some generators put junk before the header; readers accept it within the first 1 KB.
+  sniff: (buffer) => buffer.subarray(0, 1024).includes('%PDF-'),
+  async extract(buffer) {
+    const pdfData = await pdfParse(buffer).catch(() => null);
+    const text = pdfData?.text || '';
+    // A scanned PDF has at most a few stray characters in its text layer.
+    if (text.replace(/\s/g, '').length >= 50) return { text };
+    const ocrText = await ocrPdf(buffer);
+    return ocrText ? { text: ocrText, ocr: true } : { text };
+  },
+});
+
+registerExtractor('docx', {
+  contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  // A zip archive whose (uncompressed) entry names include the Word document part.
+  sniff: (buffer) =>
+    startsWith(buffer, [0x50, 0x4b, 0x03, 0x04]) && buffer.includes('word/document.xml'),
+  async extract(buffer) {
+    const result = await mammoth.extractRawText({ buffer });
+    return result.value;
+  },
+});
+
+registerExtractor('rtf', {
+  contentType: 'application/rtf',
+  sniff: (buffer) => buffer.subarray(0, 5).toString('latin1') === '{\\rtf',
+  extract: (buffer) => rtfToText(buffer.toString('latin1')),
+});
+
+registerExtractor('txt', {
+  contentType: 'text/plain',
+  // Text is anything that decodes cleanly as UTF-8 (or has a UTF-16 BOM) and has no NUL bytes.
+  sniff(buffer) {
+    if (startsWith(buffer, [0xff, 0xfe]) || startsWith(buffer, [0xfe, 0xff])) return true;
+    const sample = buffer.subarray(0, 64 * 1024);
+    if (sample.length === 0 || sample.includes(0)) return false;
+    try {
+      // A multi-byte character may be cut at the end of the sample
+      new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+      return true;
+    } catch (_) {
+      return false;
+    }
+  },
+  extract(buffer) {
+    if (startsWith(buffer, [0xff, 0xfe])) return new TextDecoder('utf-16le').decode(buffer);
+    if (startsWith(buffer, [0xfe, 0xff])) return new TextDecoder('utf-16be').decode(buffer);
+    return new TextDecoder('utf-8').decode(buffer);
+  },
+});
@@ -0,0 +1,256 @@
+/**
+ * Job feed formats for job boards.
+ *
+ * Every format is registered by name and renders a list of jobs into a document:
+ *
+ *   registerFeedFormat('myportal', {
+ *     contentType: 'application/xml',
+ *     extension: 'xml',
+ *     render: (jobs, meta) => '<?xml ...',
+ *   });
+ *
+ * `jobs` are already normalized by toFeedJob(); `meta` carries the publisher details and
+ * build date. Routes only look formats up by name, so adding a portal never touches them.
+ */
+
+const siteUrl = (process.env.JOB_BOARD_URL || 'https://jobspeedy-ai.com').replace(/\/+$/, '');
+
+const formats = new Map();
+
+export function registerFeedFormat(name, format) {
+  if (typeof format?.render !== 'function') {
+    throw new TypeError(`Feed format "${name}" must provide render(jobs, meta)`);
+  }
+  formats.set(name.toLowerCase(), {
+    contentType: 'application/xml',
+    extension: 'xml',
+    ...format,
+  });
+}
+
+export const getFeedFormat = (name) => formats.get(String(name || '').toLowerCase()) || null;
+
+export const feedFormatNames = () => [...formats.keys()];
+
+// --- Escaping ---
+
+export const escapeXml = (value) =>
+  String(value ?? '')
+    // Characters that are not allowed anywhere in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+// A literal "]]>" would end the section early, so it is split across two CDATA sections.
+export const cdata = (value) =>
+  `<![CDATA[${String(value ?? '')
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+    .replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+
+// --- Normalized job shape shared by all formats ---
+
+export const jobUrl = (job) => `${siteUrl}/jobs/${job.slug || job.id}`;
+
+export function toFeedJob(job) {
+  const skills = job.required_skills?.length ? job.required_skills : job.requirements;
+  return {
+    id: job.id,
+    title: job.title || '',
+    company: job.client_company || job.company || job.department || '',
+    department: job.department || '',
+    location: job.location || (job.remote_policy === 'remote' ? 'Remote' : ''),
+    remotePolicy: job.remote_policy || '',
+    jobType: job.job_type || 'Full-time',
+    category: job.category || 'General',
+    language: job.language || '',
+    description: job.description || '',
+    skills: Array.isArray(skills) ? skills.join(', ') : String(skills || ''),
+    salary: job.salary_min != null || job.salary_max != null
+      ? {
+        min: job.salary_min != null ? Number(job.salary_min) : null,
+        max: job.salary_max != null ? Number(job.salary_max) : null,
+        currency: job.salary_currency || '',
+        period: job.salary_period || 'year',
+      }
+      : null,
+    url: jobUrl(job),
+    createdAt: new Date(job.created_at).toISOString(),
+    updatedAt: new Date(job.updated_at || job.created_at).toISOString(),
+    expiresAt: job.expires_at ? new Date(job.expires_at).toISOString() : null,
+  };
+}
+
+export const feedMeta = () => ({
+  publisher: 'JobSpeedy AI',
+  publisherUrl: siteUrl,
+  buildDate: new Date(),
+});
+
+const xmlDocument = (body) => `<?xml version="1.0" encoding="UTF-8"?>\n${body}\n`;
+
+// --- Built-in formats ---
+
+registerFeedFormat('indeed', {
+  render: (jobs) =>
+    xmlDocument(`<jobs>
+${jobs.map((job) => `  <job>
+    <title>${cdata(job.title)}</title>
+    <company>${cdata(job.company)}</company>
+    <location>${cdata(job.location)}</location>
+    <jobtype>${cdata(job.jobType)}</jobtype>
+    <category>${cdata(job.category)}</category>
+    <description>${cdata(job.description)}</description>
+    <required_skills>${cdata(job.skills)}</required_skills>
+    <url>${cdata(job.url)}</url>
+    <date>${cdata(job.createdAt)}</date>
+  </job>`).join('\n')}
+</jobs>`),
+});
+
+registerFeedFormat('glassdoor', {
+  render: (jobs, meta) =>
+    xmlDocument(`<source>
+  <publisher>${escapeXml(meta.publisher)}</publisher>
+  <publisherurl>${escapeXml(meta.publisherUrl)}</publisherurl>
+  <lastBuildDate>${meta.buildDate.toISOString()}</lastBuildDate>
+${jobs.map((job) => `  <job>
+    <title>${cdata(job.title)}</title>
+    <employer>${cdata(job.company)}</employer>
+    <location>${cdata(job.location)}</location>
+    <jobtype>${cdata(job.jobType)}</jobtype>
+    <description>${cdata(job.description)}</description>
+    <skills>${cdata(job.skills)}</skills>
+    <url>${cdata(job.url)}</url>
+    <date>${cdata(job.createdAt)}</date>
+  </job>`).join('\n')}
+</source>`),
+});
+
+registerFeedFormat('linkedin', {
+  render: (jobs, meta) =>
+    xmlDocument(`<source>
+  <publisherName>${escapeXml(meta.publisher)}</publisherName>
+  <publisherUrl>${escapeXml(meta.publisherUrl)}</publisherUrl>
+  <lastBuildDate>${meta.buildDate.toISOString()}</lastBuildDate>
+${jobs.map((job) => `  <job>
+    <jobId>${escapeXml(job.id)}</jobId>
+    <title>${cdata(job.title)}</title>
+    <companyName>${cdata(job.company)}</companyName>
+    <location>${cdata(job.location)}</location>
+    <jobType>${cdata(job.jobType)}</jobType>
+    <description>${cdata(job.description)}</description>
+    <skills>${cdata(job.skills)}</skills>
+    <url>${cdata(job.url)}</url>
+    <postedDate>${job.createdAt}</postedDate>
+  </job>`).join('\n')}
+</source>`),
+});
+
+registerFeedFormat('generic', {
+  render: (jobs) =>
+    xmlDocument(`<jobfeed>
+${jobs.map((job) => `  <job>
+    <id>${escapeXml(job.id)}</id>
+    <title>${cdata(job.title)}</title>
+    <company>${cdata(job.company)}</company>
+    <location>${cdata(job.location)}</location>
+    <job_type>${cdata(job.jobType)}</job_type>
+    <category>${cdata(job.category)}</category>
+    <description>${cdata(job.description)}</description>
+    <required_skills>${cdata(job.skills)}</required_skills>
+    <url>${escapeXml(job.url)}</url>
+    <created_at>${job.createdAt}</created_at>
+  </job>`).join('\n')}
+</jobfeed>`),
+});
+
+registerFeedFormat('rss', {
+  contentType: 'application/rss+xml',
+  render: (jobs, meta) =>
+    xmlDocument(`<rss version="2.0">
+  <channel>
+    <title>${escapeXml(`${meta.publisher} open positions`)}</title>
+    <link>${escapeXml(`${meta.publisherUrl}/jobs`)}</link>
+    <description>${escapeXml(`Open positions published by ${meta.publisher}`)}</description>
+    <lastBuildDate>${meta.buildDate.toUTCString()}</lastBuildDate>
+${jobs.map((job) => `    <item>
+      <title>${escapeXml(job.company ? `${job.title} - ${job.company}` : job.title)}</title>
+      <link>${escapeXml(job.url)}</link>
+      <guid isPermaLink="true">${escapeXml(job.url)}</guid>
+      <pubDate>${new Date(job.createdAt).toUTCString()}</pubDate>
+      <category>${escapeXml(job.category)}</category>
+      <description>${cdata(job.description)}</description>
+    </item>`).join('\n')}
+  </channel>
+</rss>`),
+});
+
+const employmentTypes = {
+  'full-time': 'FULL_TIME',
+  'part-time': 'PART_TIME',
+  contract: 'CONTRACTOR',
+  contractor: 'CONTRACTOR',
+  temporary: 'TEMPORARY',
+  internship: 'INTERN',
+  intern: 'INTERN',
+  volunteer: 'VOLUNTEER',
+  'per diem': 'PER_DIEM',
+};
+
+const salaryUnits = { hour: 'HOUR', day: 'DAY', month: 'MONTH', year: 'YEAR' };
+
+export function toJobPosting(job) {
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'JobPosting',
+    identifier: { '@type': 'PropertyValue', name: 'JobSpeedy AI', value: String(job.id) },
+    title: job.title,
+    description: job.description,
+    datePosted: job.createdAt,
+    employmentType: employmentTypes[job.jobType.toLowerCase()] || 'OTHER',
+    hiringOrganization: { '@type': 'Organization', name: job.company },
+    ...(job.expiresAt && { validThrough: job.expiresAt }),
+    ...(job.remotePolicy === 'remote' && { jobLocationType: 'TELECOMMUTE' }),
+    ...(job.location && {
+      jobLocation: {
+        '@type': 'Place',
+        address: { '@type': 'PostalAddress', addressLocality: job.location },
+      },
+    }),
+    ...(job.salary && {
+      baseSalary: {
+        '@type': 'MonetaryAmount',
+        currency: job.salary.currency || undefined,
+        value: {
+          '@type': 'QuantitativeValue',
+          ...(job.salary.min != null && { minValue: job.salary.min }),
+          ...(job.salary.max != null && { maxValue: job.salary.max }),
+          unitText: salaryUnits[job.salary.period] || 'YEAR',
+        },
+      },
+    }),
+    industry: job.category,
+    skills: job.skills,
+    url: job.url,
+  };
+}
+
+registerFeedFormat('jsonld', {
+  contentType: 'application/ld+json',
+  extension: 'jsonld',
+  render: (jobs) =>
+    JSON.stringify(
+      {
+        '@context': 'https://schema.org',
+        '@graph': jobs.map((job) => {
+          const { '@context': _context, ...posting } = toJobPosting(job);
+          return posting;
+        }),
+      },
+      null,
+      2,
+    ),
+});
@@ -0,0 +1,108 @@
+/**
+ * Minimal RFC 5545 (iCalendar) writer for interview invites and calendar feeds.
+ *
+ *   buildCalendar({
+ *     method: 'REQUEST',            // omit for subscribable feeds
+ *     name: 'Interviews',
+ *     events: [{
+ *       uid, sequence, start, end, summary, description, location, url,
+ *       status: 'CONFIRMED' | 'CANCELLED', created, updated,
+ *       organizer: { email, name }, attendees: [{ email, name, role, rsvp }],
+ *     }],
+ *   });
+ *
+ * Times are written in UTC. Lines end in CRLF and are folded at 75 octets; TEXT values and
+ * parameter values are escaped so user input cannot inject properties.
+ */
+
+export const icsContentType = 'text/calendar; charset=utf-8';
+
+const productId = '-//JobSpeedy AI//Admin Panel//EN';
+
+// 20240131T093000Z
+export const formatIcsDate = (value) =>
+  new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+export const escapeIcsText = (value) =>
+  String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r\n|\r|\n/g, '\\n');
+
+// Parameter values (e.g. CN) cannot contain quotes or control characters; quote when needed.
+const paramValue = (value) => {
+  const text = String(value ?? '').replace(/["\u0000-\u001F\u007F]/g, '');
+  return /[:;,]/.test(text) ? `"${text}"` : text;
+};
+
+// Splits a content line into 75-octet chunks without breaking UTF-8 characters.
+function foldLine(line) {
+  const chunks = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards their 75 octets
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (size + bytes > limit) {
+      chunks.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += bytes;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+}
+
+const calAddress = ({ email, name, role, rsvp }, extra = []) => {
+  const params = [
+    name && `CN=${paramValue(name)}`,
+    role && `ROLE=${role}`,
+    ...extra,
+    rsvp && 'RSVP=TRUE',
+  ].filter(Boolean);
+  return `${params.length > 0 ? `;${params.join(';')}` : ''}:mailto:${email}`;
+};
+
+function eventLines(event, stamp) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART:${formatIcsDate(event.start)}`,
+    `DTEND:${formatIcsDate(event.end)}`,
+    `SUMMARY:${escapeIcsText(event.summary)}`,
+  ];
+  if (event.description) lines.push(`DESCRIPTION:${escapeIcsText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeIcsText(event.location)}`);
+  if (event.url) lines.push(`URL:${String(event.url).replace(/[\r\n]/g, '')}`);
+  lines.push(`STATUS:${event.status || 'CONFIRMED'}`);
+  if (event.created) lines.push(`CREATED:${formatIcsDate(event.created)}`);
+  if (event.updated) lines.push(`LAST-MODIFIED:${formatIcsDate(event.updated)}`);
+  if (event.organizer?.email) lines.push(`ORGANIZER${calAddress(event.organizer)}`);
+  for (const attendee of event.attendees || []) {
+    if (!attendee.email) continue;
+    lines.push(`ATTENDEE${calAddress(attendee, ['PARTSTAT=NEEDS-ACTION'])}`);
+  }
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+export function buildCalendar({ method = null, name = null, events = [] } = {}) {
+  const stamp = formatIcsDate(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${productId}`,
+    'CALSCALE:GREGORIAN',
+  ];
+  if (method) lines.push(`METHOD:${method}`);
+  if (name) lines.push(`X-WR-CALNAME:${escapeIcsText(name)}`);
+  for (const event of events) lines.push(...eventLines(event, stamp));
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
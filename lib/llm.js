@@ -0,0 +1,269 @@
+import OpenAI from 'openai';
+import { httpError } from './errors.js';
+
+/**
+ * LLM providers behind one interface.
+ *
+ * Providers are registered by name and chosen with LLM_PROVIDER; each one turns a chat request
+ * into { content, model, usage }:
+ *
+ *   registerLlmProvider('myprovider', () => ({
+ *     supportsJsonMode: true,
+ *     complete: async ({ model, messages, temperature, json, timeoutMs }) =>
+ *       ({ content: '...', model, usage: { prompt_tokens, completion_tokens } }),
+ *   }));
+ *
+ * Callers name a task ("job-ad", "resume-parse", "match") rather than a model, so the model can
+ * be changed per task without touching the routes. complete() adds timeouts and retries with
+ * backoff; completeJson() also asks for JSON mode where the provider has one and parses the
+ * reply with extractJson().
+ *
+ * - LLM_PROVIDER        (optional, "openai", "openai-compatible" or "mock"; default "openai"
+ *                        when OPENAI_API_KEY is set, otherwise AI features are disabled)
+ * - OPENAI_API_KEY      (openai provider)
+ * - LLM_BASE_URL        (openai-compatible provider, e.g. http://localhost:11434/v1 for Ollama)
+ * - LLM_API_KEY         (optional, openai-compatible provider)
+ * - LLM_JSON_MODE       (optional, "false" for servers without response_format support)
+ * - LLM_MODEL           (optional, default model, "gpt-3.5-turbo")
+ * - LLM_MODEL_<TASK>    (optional, per task, e.g. LLM_MODEL_RESUME_PARSE=gpt-4o-mini)
+ * - LLM_TIMEOUT_MS      (optional, per attempt, default 60000)
+ * - LLM_MAX_RETRIES     (optional, retries after a timeout, 429 or 5xx, default 2)
+ */
+
+const providers = new Map();
+let activeProvider;
+
+export function registerLlmProvider(name, factory) {
+  if (typeof factory !== 'function') {
+    throw new TypeError(`LLM provider "${name}" must be a factory function`);
+  }
+  providers.set(name, factory);
+  activeProvider = undefined;
+}
+
+const configuredProviderName = () =>
+  process.env.LLM_PROVIDER || (process.env.OPENAI_API_KEY ? 'openai' : null);
+
+// Returns the configured provider, or null when AI features are disabled.
+export function getLlmProvider() {
+  if (activeProvider === undefined) {
+    const name = configuredProviderName();
+    const factory = name ? providers.get(name) : null;
+    if (name && !factory) throw new Error(`Unknown LLM provider "${name}"`);
+    activeProvider = factory ? { name, ...factory() } : null;
+  }
+  return activeProvider;
+}
+
+let reportedConfigError = null;
+
+// False when AI features are disabled or misconfigured; a bad configuration (unknown provider, a
+// missing key) is logged once instead of throwing in every route that checks it.
+export function llmConfigured() {
+  try {
+    return Boolean(getLlmProvider());
+  } catch (err) {
+    if (reportedConfigError !== err.message) {
+      reportedConfigError = err.message;
+      // eslint-disable-next-line no-console
+      console.error('AI features disabled, LLM configuration is invalid:', err.message);
+    }
+    return false;
+  }
+}
+
+export const llmNotConfiguredError = () =>
+  httpError(503, 'AI provider not configured', { code: 'ai_unavailable' });
+
+export function modelForTask(task) {
+  const key = `LLM_MODEL_${String(task).toUpperCase().replace(/[^A-Z0-9]+/g, '_')}`;
+  return process.env[key] || process.env.LLM_MODEL || 'gpt-3.5-turbo';
+}
+
+// --- Retries ---
+
+const sleep = (ms) => new Promise((resolve) => { setTimeout(resolve, ms); });
+
+// Timeouts, network failures, rate limits and server errors are worth another try.
+const isRetryable = (err) =>
+  !err.status || err.status === 408 || err.status === 429 || err.status >= 500;
+
+// Sends one chat request; returns { content, model, usage, provider, task }.
+export async function complete(task, messages, { temperature = 0.2, json = false } = {}) {
+  const provider = getLlmProvider();
+  if (!provider) throw llmNotConfiguredError();
+  const model = modelForTask(task);
+  const timeoutMs = Number(process.env.LLM_TIMEOUT_MS || 60000);
+  const maxRetries = Number(process.env.LLM_MAX_RETRIES ?? 2);
+
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      const result = await provider.complete({
+        task,
+        model,
+        messages,
+        temperature,
+        json: json && provider.supportsJsonMode !== false,
+        timeoutMs,
+      });
+      return { ...result, provider: provider.name, task };
+    } catch (err) {
+      if (attempt >= maxRetries || !isRetryable(err)) {
+        throw httpError(502, 'AI provider request failed', { code: 'ai_provider_error', cause: err });
+      }
+      // 0.5s, 1s, 2s, ... plus jitter so parallel callers don't retry in lockstep
+      // eslint-disable-next-line no-await-in-loop
+      await sleep(500 * 2 ** attempt + Math.random() * 250);
+    }
+  }
+}
+
+// --- JSON replies ---
+
+// Parses a model reply that should be JSON but may be wrapped in a ```json fence or prose.
+export function extractJson(content) {
+  const text = String(content ?? '').trim();
+  const candidates = [text];
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)\s*```/i);
+  if (fenced) candidates.push(fenced[1]);
+  const start = text.search(/[[{]/);
+  const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+  if (start !== -1 && end > start) candidates.push(text.slice(start, end + 1));
+
+  for (const candidate of candidates) {
+    try {
+      return JSON.parse(candidate);
+    } catch (_) {
+      // try the next candidate
+    }
+  }
+  throw httpError(502, 'AI response was not valid JSON', { code: 'invalid_ai_response' });
+}
+
+// extractJson() for replies that must be a single JSON object.
+export function extractJsonObject(content) {
+  const data = extractJson(content);
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    throw httpError(502, 'AI response was not a JSON object', { code: 'invalid_ai_response' });
+  }
+  return data;
+}
+
+// complete() for prompts that ask for a JSON object; returns { data, ...completion }.
+export async function completeJson(task, messages, options = {}) {
+  const completion = await complete(task, messages, { ...options, json: true });
+  return { ...completion, data: extractJsonObject(completion.content) };
+}
+
+// --- OpenAI and OpenAI-compatible servers ---
+
+function openAiProvider({ apiKey, baseURL, jsonMode }) {
+  // Retries are handled by complete() so every provider behaves the same
+  const client = new OpenAI({ apiKey, baseURL, maxRetries: 0 });
+  return {
+    supportsJsonMode: jsonMode,
+    async complete({ model, messages, temperature, json, timeoutMs }) {
+      const completion = await client.chat.completions.create(
+        {
+          model,
+          temperature,
+          messages,
+          ...(json && { response_format: { type: 'json_object' } }),
+        },
+        { timeout: timeoutMs },
+      );
+      return {
+        content: completion.choices[0]?.message?.content || '',
+        model: completion.model || model,
+        usage: {
+          prompt_tokens: completion.usage?.prompt_tokens ?? null,
+          completion_tokens: completion.usage?.completion_tokens ?? null,
+        },
+      };
+    },
+  };
+}
+
+const jsonModeEnabled = () => (process.env.LLM_JSON_MODE ?? '').toLowerCase() !== 'false';
+
+registerLlmProvider('openai', () => {
+  if (!process.env.OPENAI_API_KEY) throw new Error('LLM_PROVIDER=openai needs OPENAI_API_KEY');
+  return openAiProvider({
+    apiKey: process.env.OPENAI_API_KEY,
+    baseURL: process.env.OPENAI_BASE_URL || undefined,
+    jsonMode: jsonModeEnabled(),
+  });
+});
+
+registerLlmProvider('openai-compatible', () => {
+  if (!process.env.LLM_BASE_URL) {
+    throw new Error('LLM_PROVIDER=openai-compatible needs LLM_BASE_URL');
+  }
+  return openAiProvider({
+    // Local servers such as Ollama ignore the key, but the SDK requires one
+    apiKey: process.env.LLM_API_KEY || 'not-needed',
+    baseURL: process.env.LLM_BASE_URL,
+    jsonMode: jsonModeEnabled(),
+  });
+});
+
+// --- Mock (deterministic, no network) ---
+
+const mockResponders = new Map();
+
+// Overrides the mock reply for a task; `respond(messages)` returns a string or a JSON value.
+export function setMockResponse(task, respond) {
+  mockResponders.set(task, typeof respond === 'function' ? respond : () => respond);
+}
+
+const lastUserMessage = (messages) =>
+  [...messages].reverse().find((message) => message.role === 'user')?.content || '';
+
+// Built-in replies, good enough to click through the AI features without a model.
+const defaultMockResponses = {
+  'job-ad': (messages) => {
+    const input = lastUserMessage(messages).replace(/^[^:]*:\s*/, '');
+    return {
+      title: input.split(/[.,\n]/)[0].trim().slice(0, 80) || 'Generated Role',
+      description: input,
+      required_skills: [],
+      requirements: [],
+    };
+  },
+  'resume-parse': (messages) => {
+    const text = lastUserMessage(messages).split('Resume text:').pop();
+    return {
+      contact: {
+        name: text.trim().split('\n')[0].trim().slice(0, 100),
+        email: text.match(/[\w.+-]+@[\w-]+(\.[\w-]+)*\.[a-z]{2,}/i)?.[0] || '',
+        phone: '',
+        location: '',
+      },
+      summary: '',
+      skills: [],
+      experience: [],
+      education: [],
+    };
+  },
+  match: () => ({ score: 50, summary: 'Mock assessment.' }),
+};
+
+registerLlmProvider('mock', () => ({
+  supportsJsonMode: true,
+  async complete({ task, model, messages }) {
+    const respond = mockResponders.get(task) || defaultMockResponses[task] || (() => ({}));
+    const reply = respond(messages);
+    const content = typeof reply === 'string' ? reply : JSON.stringify(reply);
+    const promptText = messages.map((message) => message.content).join('\n');
+    return {
+      content,
+      model: `mock:${model}`,
+      // Rough token estimate (~4 characters per token) so usage accounting has numbers
+      usage: {
+        prompt_tokens: Math.ceil(promptText.length / 4),
+        completion_tokens: Math.ceil(content.length / 4),
+      },
+    };
+  },
+}));
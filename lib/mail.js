@@ -0,0 +1,91 @@
+import nodemailer from 'nodemailer';
+
+/**
+ * Outgoing mail transports.
+ *
+ * Transports are registered by name and chosen with MAIL_TRANSPORT; each one sends a single
+ * message and returns { messageId }:
+ *
+ *   registerMailTransport('myapi', () => ({
+ *     send: async ({ from, to, subject, text, html, attachments }) => ({ messageId }),
+ *   }));
+ *
+ * - MAIL_TRANSPORT   (optional, "smtp" or "log"; default "smtp" when SMTP_HOST is set, otherwise
+ *                     "log", which only prints messages to the console. With NODE_ENV=production
+ *                     "log" has to be chosen explicitly; without a transport sending fails, so
+ *                     emails end up "failed" in the outbox instead of being printed)
+ * - MAIL_FROM        (optional, default "JobSpeedy AI <no-reply@jobspeedy-ai.com>")
+ * - SMTP_HOST, SMTP_PORT (default 587, or 465 with SMTP_SECURE=true)
+ * - SMTP_SECURE      (optional, "true" for implicit TLS)
+ * - SMTP_USER, SMTP_PASS (optional, omit for servers without auth such as a local SMTP catcher)
+ * - SMTP_IGNORE_TLS  (optional, "true" to never upgrade with STARTTLS, e.g. MailHog/Mailpit)
+ */
+
+const transports = new Map();
+let activeTransport;
+
+export function registerMailTransport(name, factory) {
+  if (typeof factory !== 'function') {
+    throw new TypeError(`Mail transport "${name}" must be a factory function`);
+  }
+  transports.set(name, factory);
+  activeTransport = undefined;
+}
+
+export const mailFrom = () => process.env.MAIL_FROM || 'JobSpeedy AI <no-reply@jobspeedy-ai.com>';
+
+export function getMailTransport() {
+  if (activeTransport === undefined) {
+    const name = process.env.MAIL_TRANSPORT
+      || (process.env.SMTP_HOST ? 'smtp' : null)
+      || (process.env.NODE_ENV === 'production' ? null : 'log');
+    if (!name) throw new Error('No mail transport configured: set SMTP_HOST or MAIL_TRANSPORT');
+    const factory = transports.get(name);
+    if (!factory) throw new Error(`Unknown mail transport "${name}"`);
+    activeTransport = { name, ...factory() };
+  }
+  return activeTransport;
+}
+
+// Sends one message through the configured transport; returns { messageId, transport }.
+export async function sendMail(message) {
+  const transport = getMailTransport();
+  const result = await transport.send({ from: mailFrom(), ...message });
+  return { messageId: result?.messageId || null, transport: transport.name };
+}
+
+// --- SMTP ---
+
+registerMailTransport('smtp', () => {
+  if (!process.env.SMTP_HOST) throw new Error('MAIL_TRANSPORT=smtp needs SMTP_HOST');
+  const secure = process.env.SMTP_SECURE === 'true';
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT || (secure ? 465 : 587)),
+    secure,
+    ignoreTLS: process.env.SMTP_IGNORE_TLS === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS || '' }
+      : undefined,
+  });
+  return {
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    },
+  };
+});
+
+// --- Console (development) ---
+
+registerMailTransport('log', () => ({
+  async send({ from, to, subject, text, attachments = [] }) {
+    const files = attachments.map((attachment) => attachment.filename);
+    // eslint-disable-next-line no-console
+    console.log(
+      `[mail] ${from} -> ${to}: ${subject}\n${text}`
+        + (files.length > 0 ? `\n(attachments: ${files.join(', ')})` : ''),
+    );
+    return { messageId: null };
+  },
+}));
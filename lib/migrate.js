@@ -0,0 +1,108 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Versioned SQL migrations.
+ *
+ * Files in migrations/ are named NNN_description.sql and applied in order, each in its own
+ * transaction. Applied versions are recorded in schema_migrations together with a checksum,
+ * so editing a migration after it ran is reported instead of silently ignored.
+ */
+
+const migrationsDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'migrations');
+
+// Arbitrary key for pg_advisory_lock so concurrent boots don't migrate at the same time.
+const migrationLockKey = 72_041_009;
+
+export async function loadMigrations() {
+  const files = (await fs.readdir(migrationsDir))
+    .filter((file) => /^\d+_[\w-]+\.sql$/.test(file))
+    .sort();
+  return Promise.all(
+    files.map(async (file) => {
+      const sql = await fs.readFile(path.join(migrationsDir, file), 'utf8');
+      const [, version, name] = file.match(/^(\d+)_([\w-]+)\.sql$/);
+      return {
+        version,
+        name,
+        sql,
+        checksum: crypto.createHash('sha256').update(sql).digest('hex'),
+      };
+    }),
+  );
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(
+    `create table if not exists schema_migrations (
+       version text primary key,
+       name text not null,
+       checksum text not null,
+       applied_at timestamptz not null default now()
+     )`,
+  );
+}
+
+// Returns every migration with { applied, applied_at, changed } for `npm run migrate -- --status`.
+export async function migrationStatus(pool) {
+  const client = await pool.connect();
+  try {
+    await ensureMigrationsTable(client);
+    const applied = await client.query('select version, checksum, applied_at from schema_migrations');
+    const byVersion = new Map(applied.rows.map((row) => [row.version, row]));
+    return (await loadMigrations()).map(({ version, name, checksum }) => {
+      const row = byVersion.get(version);
+      return {
+        version,
+        name,
+        applied: Boolean(row),
+        applied_at: row?.applied_at || null,
+        changed: Boolean(row) && row.checksum !== checksum,
+      };
+    });
+  } finally {
+    client.release();
+  }
+}
+
+// Applies pending migrations and returns the versions that ran.
+export async function runMigrations(pool, { log = console.log } = {}) {
+  const client = await pool.connect();
+  try {
+    await client.query('select pg_advisory_lock($1)', [migrationLockKey]);
+    await ensureMigrationsTable(client);
+    const applied = await client.query('select version, checksum from schema_migrations');
+    const checksums = new Map(applied.rows.map((row) => [row.version, row.checksum]));
+
+    const ran = [];
+    for (const migration of await loadMigrations()) {
+      if (checksums.has(migration.version)) {
+        if (checksums.get(migration.version) !== migration.checksum) {
+          log(`warning: ${migration.version}_${migration.name} changed after it was applied`);
+        }
+        continue;
+      }
+      try {
+        await client.query('begin');
+        await client.query(migration.sql);
+        await client.query(
+          'insert into schema_migrations (version, name, checksum) values ($1, $2, $3)',
+          [migration.version, migration.name, migration.checksum],
+        );
+        await client.query('commit');
+      } catch (err) {
+        await client.query('rollback');
+        err.message = `migration ${migration.version}_${migration.name} failed: ${err.message}`;
+        throw err;
+      }
+      log(`applied ${migration.version}_${migration.name}`);
+      ran.push(migration.version);
+    }
+    return ran;
+  } finally {
+    await client.query('select pg_advisory_unlock($1)', [migrationLockKey]).catch(() => {});
+    client.release();
+  }
+}
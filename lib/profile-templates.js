@@ -0,0 +1,334 @@
+/**
+ * Templates for anonymized candidate profiles.
+ *
+ * A profile is plain data assembled (and redacted, see lib/redact.js) by the API. A template
+ * picks which sections appear, in which order and how much of each; the trimmed profile is what
+ * the JSON preview returns, and the same data is rendered to HTML or PDF:
+ *
+ *   registerProfileTemplate('one-page', {
+ *     label: 'One page',
+ *     sections: ['application', 'summary', 'skills', 'experience'],
+ *     limits: { experience: 2, responsibilities: 2, skills: 12 },
+ *   });
+ *
+ * Limits are optional (missing or null = everything). Branding ({ company, color, footer }) is
+ * part of the profile; the client logo is passed to the renderers as { buffer, contentType }.
+ * A recruiter_note on the profile (shortlist packs) is always shown, whatever the template.
+ */
+
+export const profileSections = [
+  'application',
+  'summary',
+  'skills',
+  'experience',
+  'education',
+  'certifications',
+  'languages',
+];
+
+const templates = new Map();
+
+export function registerProfileTemplate(name, template) {
+  const unknown = (template?.sections || []).filter((section) => !profileSections.includes(section));
+  if (!Array.isArray(template?.sections) || unknown.length > 0) {
+    throw new TypeError(
+      `Profile template "${name}" must list sections from: ${profileSections.join(', ')}`,
+    );
+  }
+  templates.set(name, { label: name, limits: {}, ...template, name });
+}
+
+export const getProfileTemplate = (name) => templates.get(name) || null;
+
+export const profileTemplateNames = () => [...templates.keys()];
+
+export const listProfileTemplates = () =>
+  [...templates.values()].map(({ name, label, description, sections, limits }) => ({
+    name,
+    label,
+    description: description || null,
+    sections,
+    limits,
+  }));
+
+const take = (list, limit) => (limit === null || limit === undefined ? list : list.slice(0, limit));
+
+// Keeps the template's sections (trimmed to its limits) and drops the rest.
+export function applyProfileTemplate(profile, template) {
+  const { limits } = template;
+  const sections = {
+    application: () => profile.application,
+    summary: () => profile.summary,
+    skills: () => take(profile.skills, limits.skills),
+    experience: () =>
+      take(profile.experience, limits.experience).map((exp) => ({
+        ...exp,
+        responsibilities: take(exp.responsibilities, limits.responsibilities),
+      })),
+    education: () => take(profile.education, limits.education),
+    certifications: () => take(profile.certifications, limits.certifications),
+    languages: () => take(profile.languages, limits.languages),
+  };
+  const result = {
+    candidate_ref: profile.candidate_ref,
+    template: template.name,
+    sections: template.sections,
+  };
+  for (const section of template.sections) result[section] = sections[section]();
+  if (profile.recruiter_note) result.recruiter_note = profile.recruiter_note;
+  return { ...result, branding: profile.branding, generated_at: profile.generated_at };
+}
+
+// --- Shared formatting ---
+
+const sectionTitles = {
+  summary: 'Summary',
+  skills: 'Skills',
+  experience: 'Experience',
+  education: 'Education',
+  certifications: 'Certifications',
+  languages: 'Languages',
+};
+
+const defaultColor = '#1f2937';
+
+const brandColor = (profile) => profile.branding?.color || defaultColor;
+
+const dateRange = (exp) => `${exp.start_date || 'N/A'} - ${exp.end_date || 'Present'}`;
+
+const roleLine = (exp) => `${exp.title || 'Role'} at ${exp.company || 'Company'}`;
+
+const educationLine = (edu) =>
+  [edu.degree, edu.institution, edu.year].filter(Boolean).join(', ');
+
+const applicationLines = (application) =>
+  application
+    ? [
+      `Application Status: ${application.status || 'N/A'}`,
+      application.job_title && `Role Applied: ${application.job_title}`,
+    ].filter(Boolean)
+    : ['No application on file'];
+
+const isEmpty = (value) => value === null || value === undefined || value === ''
+  || (Array.isArray(value) && value.length === 0);
+
+// --- HTML (previews) ---
+
+const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const htmlList = (items) => `<ul>${items.map((item) => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`;
+
+const htmlSections = {
+  summary: (summary) => `<p>${escapeHtml(summary)}</p>`,
+  skills: (skills) => `<p>${escapeHtml(skills.join(', '))}</p>`,
+  experience: (experience) =>
+    experience
+      .map(
+        (exp) => `<div class="role"><strong>${escapeHtml(roleLine(exp))}</strong>
+<div class="dates">${escapeHtml(dateRange(exp))}</div>
+${exp.responsibilities?.length ? htmlList(exp.responsibilities) : ''}</div>`,
+      )
+      .join('\n'),
+  education: (education) => htmlList(education.map(educationLine)),
+  certifications: htmlList,
+  languages: (languages) => `<p>${escapeHtml(languages.join(', '))}</p>`,
+};
+
+export function renderProfileHtml(profile, { logo = null } = {}) {
+  const color = escapeHtml(brandColor(profile));
+  const { branding } = profile;
+  const body = [];
+
+  if (logo) {
+    body.push(
+      `<img class="logo" alt="" src="data:${logo.contentType};base64,${logo.buffer.toString('base64')}">`,
+    );
+  }
+  if (branding?.company) body.push(`<div class="company">${escapeHtml(branding.company)}</div>`);
+  body.push('<h1>Anonymized Candidate Profile</h1>');
+  body.push(`<p class="ref">Candidate ID: ${escapeHtml(profile.candidate_ref)}</p>`);
+
+  for (const section of profile.sections) {
+    const value = profile[section];
+    if (section === 'application') {
+      body.push(`<p>${applicationLines(value).map(escapeHtml).join('<br>')}</p>`);
+    } else if (!isEmpty(value)) {
+      body.push(`<h2>${sectionTitles[section]}</h2>\n${htmlSections[section](value)}`);
+    }
+  }
+
+  if (profile.recruiter_note) {
+    body.push(`<h2>Recruiter Note</h2>\n<p>${escapeHtml(profile.recruiter_note)}</p>`);
+  }
+  body.push(
+    `<p class="generated">Generated at ${escapeHtml(new Date(profile.generated_at).toLocaleString())}</p>`,
+  );
+  if (branding?.footer) body.push(`<footer>${escapeHtml(branding.footer)}</footer>`);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Anonymized Candidate Profile ${escapeHtml(profile.candidate_ref)}</title>
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; max-width: 720px; margin: 40px auto; color: #111; }
+  h1 { text-align: center; color: ${color}; border-bottom: 3px solid ${color}; padding-bottom: 8px; }
+  h2 { color: ${color}; font-size: 1.1em; margin-top: 1.5em; }
+  .logo { max-width: 160px; max-height: 64px; }
+  .company { font-weight: bold; color: ${color}; }
+  .ref { font-size: 1.1em; }
+  .role { margin-bottom: 1em; }
+  .dates, .generated, footer { color: #6b7280; font-size: 0.9em; }
+  footer { border-top: 1px solid #e5e7eb; margin-top: 2em; padding-top: 8px; }
+</style>
+</head>
+<body>
+${body.join('\n')}
+</body>
+</html>
+`;
+}
+
+// --- PDF ---
+
+const pdfHeading = (doc, profile, title) => {
+  doc.fillColor(brandColor(profile)).fontSize(14).text(`${title}:`);
+  doc.fillColor('black');
+};
+
+const pdfSections = {
+  summary: (doc, summary) => doc.fontSize(12).text(summary, { align: 'justify' }),
+  skills: (doc, skills) => doc.fontSize(12).text(skills.join(', ')),
+  experience: (doc, experience) => {
+    experience.forEach((exp, index) => {
+      if (index > 0) doc.moveDown(0.5);
+      doc.fontSize(12).text(roleLine(exp));
+      doc.fontSize(10).text(dateRange(exp));
+      if (exp.responsibilities?.length) doc.fontSize(10).list(exp.responsibilities);
+    });
+  },
+  education: (doc, education) => doc.fontSize(12).list(education.map(educationLine)),
+  certifications: (doc, certifications) => doc.fontSize(12).list(certifications),
+  languages: (doc, languages) => doc.fontSize(12).text(languages.join(', ')),
+};
+
+// Logo, client name and a title over a rule in the brand colour, at the top of a page.
+function pdfPageHeader(doc, { branding }, title, logo) {
+  const color = brandColor({ branding });
+  const top = doc.y;
+  if (logo) {
+    doc.image(logo.buffer, doc.page.margins.left, top, { fit: [140, 50] });
+    doc.y = top + 55;
+  }
+  if (branding?.company) {
+    doc.fillColor(color).fontSize(12).text(branding.company);
+    doc.moveDown(0.5);
+  }
+
+  doc.fillColor(color).fontSize(20).text(title, { align: 'center' });
+  const ruleY = doc.y + 4;
+  doc.moveTo(doc.page.margins.left, ruleY)
+    .lineTo(doc.page.width - doc.page.margins.right, ruleY)
+    .lineWidth(2)
+    .strokeColor(color)
+    .stroke();
+  doc.fillColor('black').moveDown();
+}
+
+const pdfFooter = (doc, { branding }) => {
+  if (!branding?.footer) return;
+  doc.moveDown(2);
+  doc.fillColor('#6b7280').fontSize(9).text(branding.footer, { align: 'center' });
+  doc.fillColor('black');
+};
+
+// Draws the profile onto a pdfkit document; the caller pipes and ends it.
+export function renderProfilePdf(doc, profile, { logo = null } = {}) {
+  pdfPageHeader(doc, profile, 'Anonymized Candidate Profile', logo);
+  doc.fontSize(14).text(`Candidate ID: ${profile.candidate_ref}`);
+  doc.moveDown();
+
+  for (const section of profile.sections) {
+    const value = profile[section];
+    if (section === 'application') {
+      doc.fontSize(12);
+      applicationLines(value).forEach((line) => doc.text(line));
+      doc.moveDown();
+    } else if (!isEmpty(value)) {
+      pdfHeading(doc, profile, sectionTitles[section]);
+      pdfSections[section](doc, value);
+      doc.moveDown();
+    }
+  }
+
+  if (profile.recruiter_note) {
+    pdfHeading(doc, profile, 'Recruiter Note');
+    doc.fontSize(12).text(profile.recruiter_note);
+    doc.moveDown();
+  }
+
+  pdfHeading(doc, profile, 'Generated At');
+  doc.fontSize(12).text(new Date(profile.generated_at).toLocaleString());
+  pdfFooter(doc, profile);
+}
+
+// Cover page of a shortlist pack: { title, job_title, message, branding, generated_at,
+// candidates: [{ candidate_ref, recruiter_note }] }
+export function renderShortlistCoverPdf(doc, cover, { logo = null } = {}) {
+  pdfPageHeader(doc, cover, cover.title, logo);
+  doc.fontSize(14).text(`Role: ${cover.job_title}`);
+  doc.fontSize(12).text(`Prepared: ${new Date(cover.generated_at).toLocaleDateString()}`);
+  doc.moveDown();
+
+  if (cover.message) {
+    doc.fontSize(12).text(cover.message, { align: 'justify' });
+    doc.moveDown();
+  }
+
+  pdfHeading(doc, cover, `Candidates (${cover.candidates.length})`);
+  cover.candidates.forEach((candidate, index) => {
+    doc.fontSize(12).text(`${index + 1}. ${candidate.candidate_ref}`);
+    if (candidate.recruiter_note) {
+      doc.fillColor('#4b5563').fontSize(10).text(candidate.recruiter_note, { indent: 14 });
+      doc.fillColor('black');
+    }
+    doc.moveDown(0.5);
+  });
+  pdfFooter(doc, cover);
+}
+
+// --- Built-in templates ---
+
+registerProfileTemplate('standard', {
+  label: 'Standard',
+  description: 'Summary, skills and the three most recent roles',
+  sections: ['application', 'summary', 'skills', 'experience'],
+  limits: { experience: 3, responsibilities: 3 },
+});
+
+registerProfileTemplate('detailed', {
+  label: 'Detailed',
+  description: 'Every parsed section, including education, certifications and languages',
+  sections: [
+    'application',
+    'summary',
+    'skills',
+    'experience',
+    'education',
+    'certifications',
+    'languages',
+  ],
+});
+
+registerProfileTemplate('compact', {
+  label: 'Compact',
+  description: 'Skills and role history without summary or responsibilities',
+  sections: ['application', 'skills', 'experience'],
+  limits: { skills: 15, experience: 5, responsibilities: 0 },
+});
@@ -0,0 +1,174 @@
+import crypto from 'crypto';
+import os from 'os';
+
+/**
+ * Postgres-backed background job queue (table background_jobs).
+ *
+ * Handlers are registered by job type and enqueued from anywhere that has a pool or client,
+ * so a job can be enqueued inside the transaction that creates the rows it works on:
+ *
+ *   registerJobHandler('send-report', async (payload, job) => ({ sent: true }));
+ *   await enqueueJob(client, 'send-report', { report_id: id }, { maxAttempts: 3 });
+ *
+ * Workers claim jobs with `for update skip locked`, so any number of processes can poll the
+ * same table. A handler that throws is retried with exponential backoff until max_attempts;
+ * `job.attempts` / `job.max_attempts` let it tell whether this was the last try.
+ *
+ * A worker refreshes the lock of the jobs it runs every lockTimeoutMs / 3, so only jobs left
+ * "running" by a crashed or stuck worker go stale. Those are requeued once their lock is older
+ * than lockTimeoutMs, or marked failed if that was their last attempt; the handler never saw
+ * that failure, so `onLost(payload, job)` is called to settle the rows the job was working on:
+ *
+ *   registerJobHandler('send-report', sendReport, { onLost: markReportFailed });
+ */
+
+const handlers = new Map();
+
+export function registerJobHandler(type, handler, { onLost = null } = {}) {
+  if (typeof handler !== 'function') {
+    throw new TypeError(`Job handler "${type}" must be a function`);
+  }
+  handlers.set(type, { run: handler, onLost });
+}
+
+// Inserts a queued job and returns its row. `db` is a pool or a client inside a transaction.
+export async function enqueueJob(db, type, payload = {}, { maxAttempts = 3, runAt = null } = {}) {
+  const result = await db.query(
+    `insert into background_jobs (type, payload, max_attempts, run_at)
+     values ($1, $2, $3, coalesce($4, now()))
+     returning *`,
+    [type, payload, maxAttempts, runAt],
+  );
+  return result.rows[0];
+}
+
+const retryDelaySeconds = (attempts) => Math.min(3600, 10 * 2 ** (attempts - 1));
+
+async function claimJob(pool, workerId) {
+  const result = await pool.query(
+    `update background_jobs
+        set status = 'running', attempts = attempts + 1, locked_at = now(), locked_by = $1,
+            updated_at = now()
+      where id = (
+        select id
+        from background_jobs
+        where status = 'queued' and run_at <= now()
+        order by run_at, created_at
+        limit 1
+        for update skip locked
+      )
+      returning *`,
+    [workerId],
+  );
+  return result.rows[0] || null;
+}
+
+async function runJob(pool, job, { workerId, lockTimeoutMs, log }) {
+  const handler = handlers.get(job.type);
+  // Keeps the lock fresh while the handler runs, so a slow job is not taken for a stale one
+  const heartbeat = setInterval(() => {
+    pool.query(
+      `update background_jobs
+          set locked_at = now()
+        where id = $1 and locked_by = $2 and status = 'running'`,
+      [job.id, workerId],
+    ).catch((err) => log.error(`Could not refresh the lock of job ${job.id}:`, err));
+  }, lockTimeoutMs / 3);
+  try {
+    if (!handler) throw new Error(`No handler registered for job type "${job.type}"`);
+    const result = await handler.run(job.payload, job);
+    await pool.query(
+      `update background_jobs
+          set status = 'succeeded', result = $3, last_error = null, locked_at = null,
+              finished_at = now(), updated_at = now()
+        where id = $1 and locked_by = $2`,
+      [job.id, workerId, result ?? null],
+    );
+  } catch (err) {
+    const final = !handler || job.attempts >= job.max_attempts;
+    log.error(`Job ${job.type} ${job.id} failed (attempt ${job.attempts}):`, err);
+    await pool.query(
+      `update background_jobs
+          set status = $3, last_error = $4, locked_at = null, updated_at = now(),
+              run_at = now() + make_interval(secs => $5),
+              finished_at = case when $3 = 'failed' then now() else null end
+        where id = $1 and locked_by = $2`,
+      [
+        job.id,
+        workerId,
+        final ? 'failed' : 'queued',
+        String(err?.message || err),
+        retryDelaySeconds(job.attempts),
+      ],
+    );
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+// A job that keeps taking its worker down never reaches runJob's catch, so the attempts it
+// used up are checked here as well, and its onLost hook settles what the handler could not.
+async function requeueStaleJobs(pool, lockTimeoutMs, log) {
+  const result = await pool.query(
+    `update background_jobs
+        set status = case when attempts >= max_attempts then 'failed' else 'queued' end,
+            last_error = case when attempts >= max_attempts
+                              then 'Worker stopped while running the job' else last_error end,
+            finished_at = case when attempts >= max_attempts then now() else null end,
+            locked_at = null, locked_by = null, updated_at = now()
+      where status = 'running' and locked_at < now() - make_interval(secs => $1)
+      returning *`,
+    [lockTimeoutMs / 1000],
+  );
+  for (const job of result.rows) {
+    const onLost = job.status === 'failed' ? handlers.get(job.type)?.onLost : null;
+    if (!onLost) continue;
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      await onLost(job.payload, job);
+    } catch (err) {
+      log.error(`Could not settle lost job ${job.type} ${job.id}:`, err);
+    }
+  }
+}
+
+// Polls for jobs until the returned stop() is called; stop() resolves once running jobs finish.
+export function startQueueWorker(
+  pool,
+  { pollInterval = 2000, concurrency = 1, lockTimeoutMs = 10 * 60 * 1000, log = console } = {},
+) {
+  const workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+  const running = new Set();
+  let stopped = false;
+  let timer = null;
+
+  const tick = async () => {
+    timer = null;
+    try {
+      await requeueStaleJobs(pool, lockTimeoutMs, log);
+      while (!stopped && running.size < concurrency) {
+        // eslint-disable-next-line no-await-in-loop
+        const job = await claimJob(pool, workerId);
+        if (!job) break;
+        const task = runJob(pool, job, { workerId, lockTimeoutMs, log })
+          .catch((err) => log.error(`Could not record the outcome of job ${job.id}:`, err))
+          .finally(() => {
+            running.delete(task);
+            if (!stopped && !timer) timer = setTimeout(tick, 0);
+          });
+        running.add(task);
+      }
+    } catch (err) {
+      log.error('Job queue poll failed:', err);
+    }
+    if (!stopped && !timer) timer = setTimeout(tick, pollInterval);
+  };
+
+  timer = setTimeout(tick, 0);
+
+  return async function stop() {
+    stopped = true;
+    clearTimeout(timer);
+    await Promise.allSettled([...running]);
+  };
+}
@@ -0,0 +1,50 @@
+import { httpError } from './errors.js';
+
+/**
+ * Fixed-window rate limits counted in Postgres (rate_limits table), so every instance shares
+ * the same counters:
+ *
+ *   app.post('/api/public/things', rateLimit(pool, { name: 'things', limit: 5, windowSeconds: 3600 }), handler);
+ *
+ * Requests are counted per client IP unless `key(req)` returns something else; a limit of 0
+ * turns the check off. Over the limit the middleware answers 429 with Retry-After. Behind a
+ * proxy, req.ip is only the client's address when Express trusts that proxy (TRUST_PROXY).
+ */
+
+export function rateLimit(pool, { name, limit, windowSeconds, key = (req) => req.ip }) {
+  const windowMs = windowSeconds * 1000;
+  let lastCleanup = 0;
+
+  return async (req, res, next) => {
+    if (!(limit > 0)) return next();
+    const now = Date.now();
+    const windowStart = new Date(Math.floor(now / windowMs) * windowMs);
+    try {
+      const result = await pool.query(
+        `insert into rate_limits (key, window_start, hits)
+         values ($1, $2, 1)
+         on conflict (key, window_start) do update set hits = rate_limits.hits + 1
+         returning hits`,
+        [`${name}:${key(req) || 'unknown'}`, windowStart],
+      );
+      // Past windows no longer count; clear them once per window so the table stays small
+      if (now - lastCleanup > windowMs) {
+        lastCleanup = now;
+        pool.query(
+          'delete from rate_limits where key like $1 and window_start < $2',
+          [`${name}:%`, windowStart],
+        ).catch(() => {});
+      }
+      const { hits } = result.rows[0];
+      res.setHeader('RateLimit-Limit', limit);
+      res.setHeader('RateLimit-Remaining', Math.max(0, limit - hits));
+      if (hits > limit) {
+        res.setHeader('Retry-After', Math.ceil((windowStart.getTime() + windowMs - now) / 1000));
+        return next(httpError(429, 'Too many requests, try again later'));
+      }
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
@@ -0,0 +1,100 @@
+/**
+ * PII redaction for anonymized candidate documents.
+ *
+ *   const redact = createRedactor({ names: [user.full_name], emails: [user.email], phones: [user.phone] });
+ *   redact('Contact Jane Doe at jane@example.com') // 'Contact [name] at [email]'
+ *
+ * The candidate's own name (and its parts), email and phone are removed wherever they appear,
+ * then generic patterns catch other emails, phone numbers, URLs and social handles.
+ * redactDeep() applies the same pass to every string in an object or array.
+ */
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Unicode-aware word boundaries, so "Ana" matches in "Ana's" but not in "Banana"
+const wordPattern = (value) => `(?<![\\p{L}\\p{N}])${value}(?![\\p{L}\\p{N}])`;
+
+const emailPattern = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+// Trailing punctuation ("see www.example.com.") is left outside the link
+const urlPattern = /\b(?:https?:\/\/|www\.)[^\s<>"')\]]*[^\s<>"')\].,;:!?]/gi;
+const profilePattern =
+  /\b(?:linkedin\.com|github\.com|gitlab\.com|twitter\.com|x\.com|facebook\.com|instagram\.com|behance\.net|dribbble\.com)\/[^\s<>"')\]]*/gi;
+const repeatedNamePattern = /\[name\](?:[\s-]+\[name\])+/g;
+const handlePattern = /(^|[\s(])@[A-Za-z0-9_]{2,30}\b/g;
+// Runs of digits and separators; only runs with 9-15 digits count as phone numbers, which
+// leaves dates and year ranges ("2015 - 2019") alone.
+const phoneCandidatePattern = /\+?\(?\d[\d\s().-]{6,}\d/g;
+
+export const redactionMarks = {
+  name: '[name]',
+  email: '[email]',
+  phone: '[phone]',
+  link: '[link]',
+};
+
+export function createRedactor({ names = [], emails = [], phones = [] } = {}) {
+  const rules = [];
+
+  // Emails and links go first: they often contain the name ("jane.doe@...", "/in/janedoe")
+  const knownEmails = emails.map((email) => String(email || '').trim()).filter(Boolean);
+  if (knownEmails.length > 0) {
+    rules.push([new RegExp(knownEmails.map(escapeRegExp).join('|'), 'gi'), redactionMarks.email]);
+  }
+
+  rules.push([emailPattern, redactionMarks.email]);
+  rules.push([urlPattern, redactionMarks.link]);
+  rules.push([profilePattern, redactionMarks.link]);
+  rules.push([handlePattern, (match, lead) => `${lead}${redactionMarks.link}`]);
+
+  // The candidate's phone in any formatting: same digits, any separators in between
+  const phoneDigits = phones.map((phone) => String(phone || '').replace(/\D/g, ''))
+    .filter((digits) => digits.length >= 6);
+  if (phoneDigits.length > 0) {
+    const patterns = phoneDigits.map((digits) => digits.split('').join('[\\s().-]*'));
+    rules.push([new RegExp(`\\+?(?:${patterns.join('|')})`, 'g'), redactionMarks.phone]);
+  }
+
+  // Full names first, then their parts (initials and very short parts would over-match)
+  const fullNames = names.map((name) => String(name || '').trim()).filter(Boolean);
+  const nameParts = new Set();
+  for (const name of fullNames) {
+    for (const part of name.split(/[\s,.-]+/)) {
+      if (part.length >= 3) nameParts.add(part);
+    }
+  }
+  const namePatterns = [...fullNames.sort((a, b) => b.length - a.length), ...nameParts]
+    .map((value) => wordPattern(escapeRegExp(value).replace(/\s+/g, '\\s+')));
+  if (namePatterns.length > 0) {
+    rules.push([new RegExp(namePatterns.join('|'), 'giu'), redactionMarks.name]);
+  }
+
+  rules.push([
+    phoneCandidatePattern,
+    (match) => {
+      const digits = match.replace(/\D/g, '').length;
+      return digits >= 9 && digits <= 15 ? redactionMarks.phone : match;
+    },
+  ]);
+  // "Jane Doe-Smith" without the middle initial reads better as one mark than three
+  rules.push([repeatedNamePattern, redactionMarks.name]);
+
+  return (text) => {
+    if (text === null || text === undefined) return text;
+    return rules.reduce(
+      (result, [pattern, replacement]) => result.replace(pattern, replacement),
+      String(text),
+    );
+  };
+}
+
+// Redacts every string inside a JSON-like value, returning a copy.
+export function redactDeep(value, redact) {
+  if (typeof value === 'string') return redact(value);
+  if (Array.isArray(value)) return value.map((item) => redactDeep(item, redact));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, redactDeep(item, redact)]),
+    );
+  }
+  return value;
+}
@@ -0,0 +1,150 @@
+import { Readable } from 'stream';
+import ExcelJS from 'exceljs';
+import JSZip from 'jszip';
+import { csvBom, csvContentType, csvRow, parseCsv } from './csv.js';
+import { httpError } from './errors.js';
+import { inflateZipEntry } from './zip.js';
+
+/**
+ * CSV and XLSX for list exports and record imports.
+ *
+ *   const sheet = createSheetWriter('xlsx', res, { sheetName: 'Users' });
+ *   await sheet.writeRows([['id', 'email'], [user.id, user.email]]);
+ *   await sheet.end();
+ *
+ *   const { headers, rows } = await readSpreadsheet(req.file.buffer, { maxRows: 5000 });
+ *
+ * Readers return every cell as a string (dates as ISO strings, empty cells as ''), whatever the
+ * format, so imports validate both the same way. An XLSX file is a ZIP archive: before it is
+ * parsed, its parts are inflated once and counted against `maxBytes`, and rows are streamed, so
+ * a small upload cannot unpack into more memory (or temp files) than that.
+ */
+
+export const spreadsheetFormats = {
+  csv: { contentType: csvContentType, extension: 'csv' },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx',
+  },
+};
+
+// --- Writing ---
+
+const xlsxValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date || typeof value !== 'object') return value;
+  return JSON.stringify(value);
+};
+
+// Streams rows to `stream` (e.g. an HTTP response); the caller sets the response headers.
+export function createSheetWriter(format, stream, { sheetName = 'Sheet1' } = {}) {
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+      stream,
+      useStyles: false,
+      useSharedStrings: false,
+    });
+    const worksheet = workbook.addWorksheet(sheetName.slice(0, 31));
+    return {
+      async writeRows(rows) {
+        for (const row of rows) worksheet.addRow(row.map(xlsxValue)).commit();
+      },
+      async end() {
+        worksheet.commit();
+        await workbook.commit();
+      },
+    };
+  }
+  let started = false;
+  return {
+    async writeRows(rows) {
+      const chunk = (started ? '' : csvBom) + rows.map(csvRow).join('');
+      started = true;
+      if (!stream.write(chunk)) await new Promise((resolve) => stream.once('drain', resolve));
+    },
+    async end() {
+      if (!started) stream.write(csvBom);
+      stream.end();
+    },
+  };
+}
+
+// --- Reading ---
+
+const isZip = (buffer) => buffer.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04]));
+
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value !== 'object') return String(value);
+  // Rich text, hyperlinks, formulas (their cached result) and errors
+  if (Array.isArray(value.richText)) return value.richText.map((part) => part.text).join('');
+  if ('result' in value) return cellText(value.result);
+  if ('text' in value) return cellText(value.text);
+  if ('error' in value) return '';
+  return String(value);
+}
+
+const tooManyRows = (maxRows) => httpError(413, `An import may contain at most ${maxRows} rows`);
+
+async function checkXlsxSize(buffer, maxBytes) {
+  const zip = await JSZip.loadAsync(buffer);
+  let remaining = maxBytes;
+  for (const entry of Object.values(zip.files)) {
+    if (entry.dir) continue;
+    // eslint-disable-next-line no-await-in-loop
+    const { buffer: part, size } = await inflateZipEntry(entry, remaining);
+    if (!part) {
+      throw httpError(413, `The XLSX file unpacks to more than ${maxBytes / 1024 / 1024} MB`);
+    }
+    remaining -= size;
+  }
+}
+
+// Rows of the first worksheet, read as a stream; more than maxRows non-blank rows after the
+// header stops the read with a 413.
+async function readXlsxRows(buffer, { maxRows, maxBytes }) {
+  await checkXlsxSize(buffer, maxBytes);
+  const workbook = new ExcelJS.stream.xlsx.WorkbookReader(Readable.from([buffer]), {
+    sharedStrings: 'cache',
+    hyperlinks: 'ignore',
+    // Number formats tell dates apart from numbers
+    styles: 'cache',
+    worksheets: 'emit',
+  });
+  const { value: worksheet } = await workbook[Symbol.asyncIterator]().next();
+  if (!worksheet) return [];
+  const rows = [];
+  let filled = 0;
+  for await (const row of worksheet) {
+    // row.values is 1-based
+    const cells = row.values.slice(1).map(cellText);
+    rows[row.number - 1] = cells;
+    if (row.number > 1 && cells.some((cell) => cell.trim() !== '')) {
+      filled += 1;
+      if (filled > maxRows) throw tooManyRows(maxRows);
+    }
+  }
+  return Array.from(rows, (row) => row || []);
+}
+
+// Exports prefix formula-like text with an apostrophe (see lib/csv.js); imports drop it again
+const unescapeFormula = (text) => text.replace(/^'(?=[=+\-@])/, '');
+
+// Reads the first sheet of an XLSX file, or a CSV file (detected from the content). Returns
+// { format, headers, rows } with `rows` as arrays aligned to `headers`; blank rows are dropped.
+// More than `maxRows` rows, or an XLSX file unpacking to more than `maxBytes`, is a 413 error.
+export async function readSpreadsheet(buffer, options = {}) {
+  const { maxRows = Infinity, maxBytes = 100 * 1024 * 1024 } = options;
+  const format = isZip(buffer) ? 'xlsx' : 'csv';
+  const table = format === 'xlsx'
+    ? await readXlsxRows(buffer, { maxRows, maxBytes })
+    : parseCsv(buffer.toString('utf8')).map((row) => row.map(unescapeFormula));
+  const [headerRow = [], ...body] = table;
+  const headers = headerRow.map((header) => header.trim());
+  const rows = body
+    .map((row) => headers.map((_, index) => (row[index] ?? '').trim()))
+    .filter((row) => row.some((cell) => cell !== ''));
+  if (rows.length > maxRows) throw tooManyRows(maxRows);
+  return { format, headers, rows };
+}
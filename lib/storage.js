@@ -0,0 +1,74 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+
+/**
+ * File storage for uploaded documents (resumes).
+ *
+ * Drivers are registered by name and selected with STORAGE_DRIVER (default "local"):
+ *
+ *   registerStorageDriver('s3', (options) => ({
+ *     put: async (key, buffer, { contentType }) => {},
+ *     read: async (key) => buffer,
+ *     createReadStream: async (key) => readable,
+ *     remove: async (key) => {},
+ *   }));
+ *
+ * Keys are relative, slash-separated paths chosen by the caller; the database only ever
+ * stores (driver, key) pairs so files can be moved between drivers later.
+ */
+
+const drivers = new Map();
+const instances = new Map();
+
+export function registerStorageDriver(name, factory) {
+  if (typeof factory !== 'function') {
+    throw new TypeError(`Storage driver "${name}" must be a factory function`);
+  }
+  drivers.set(name, factory);
+  instances.delete(name);
+}
+
+export const defaultStorageDriver = () => process.env.STORAGE_DRIVER || 'local';
+
+// Returns the named driver (or the configured default), creating it on first use.
+export function getStorage(name = defaultStorageDriver()) {
+  if (!instances.has(name)) {
+    const factory = drivers.get(name);
+    if (!factory) throw new Error(`Unknown storage driver "${name}"`);
+    instances.set(name, { name, ...factory() });
+  }
+  return instances.get(name);
+}
+
+// --- Local disk ---
+
+registerStorageDriver('local', () => {
+  const root = path.resolve(process.env.STORAGE_DIR || 'uploads');
+
+  // Keys come from our own code, but never let one resolve outside the storage root.
+  const resolve = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) throw new Error(`Invalid storage key "${key}"`);
+    return file;
+  };
+
+  return {
+    async put(key, buffer) {
+      const file = resolve(key);
+      await fsp.mkdir(path.dirname(file), { recursive: true });
+      await fsp.writeFile(file, buffer);
+    },
+    async read(key) {
+      return fsp.readFile(resolve(key));
+    },
+    async createReadStream(key) {
+      const file = resolve(key);
+      await fsp.access(file);
+      return fs.createReadStream(file);
+    },
+    async remove(key) {
+      await fsp.rm(resolve(key), { force: true });
+    },
+  };
+});
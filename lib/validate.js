@@ -0,0 +1,160 @@
+import { ValidationError } from './errors.js';
+
+/**
+ * Declarative request validation.
+ *
+ *   app.post('/api/things/:id', validate({
+ *     params: { id: { type: 'uuid', required: true } },
+ *     body: { name: { type: 'string', required: true, max: 200 }, tags: { type: 'array', csv: true } },
+ *     query: { limit: { type: 'integer', min: 1 } },
+ *   }), handler);
+ *
+ * Rule options: type, required, nullable, default, enum, min/max (length for strings and
+ * arrays, value for numbers), pattern, items (rule for array items), csv (accept "a, b"),
+ * trim: false (keep surrounding whitespace, e.g. for passwords).
+ * Types: string, email, uuid, integer, number, boolean, date, array, object, any.
+ * Values are coerced (query strings to numbers/booleans, emails lowercased, strings trimmed)
+ * and written back to req; keys the schema does not mention are left untouched.
+ * Every failing field is reported at once in error.fields.
+ */
+
+export const emailRe = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+export const uuidRe = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const checkers = {
+  string(value, rule) {
+    if (typeof value !== 'string' && typeof value !== 'number') return { error: 'must be a string' };
+    const text = rule.trim === false ? String(value) : String(value).trim();
+    if (rule.min !== undefined && text.length < rule.min) {
+      return { error: `must be at least ${rule.min} characters` };
+    }
+    if (rule.max !== undefined && text.length > rule.max) {
+      return { error: `must be at most ${rule.max} characters` };
+    }
+    if (rule.pattern && !rule.pattern.test(text)) return { error: 'has an invalid format' };
+    return { value: text };
+  },
+  email(value) {
+    if (typeof value !== 'string') return { error: 'must be a string' };
+    const email = value.trim().toLowerCase();
+    return emailRe.test(email) ? { value: email } : { error: 'must be a valid email address' };
+  },
+  uuid(value) {
+    return typeof value === 'string' && uuidRe.test(value)
+      ? { value: value.toLowerCase() }
+      : { error: 'must be a valid UUID' };
+  },
+  number(value, rule) {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number)) return { error: 'must be a number' };
+    if (rule.integer && !Number.isInteger(number)) return { error: 'must be an integer' };
+    if (rule.min !== undefined && number < rule.min) return { error: `must be at least ${rule.min}` };
+    if (rule.max !== undefined && number > rule.max) return { error: `must be at most ${rule.max}` };
+    return { value: number };
+  },
+  integer(value, rule) {
+    return checkers.number(value, { ...rule, integer: true });
+  },
+  boolean(value) {
+    if (typeof value === 'boolean') return { value };
+    if (value === 'true' || value === '1') return { value: true };
+    if (value === 'false' || value === '0') return { value: false };
+    return { error: 'must be true or false' };
+  },
+  date(value) {
+    return (typeof value === 'string' || value instanceof Date) && !Number.isNaN(Date.parse(value))
+      ? { value }
+      : { error: 'must be a valid date' };
+  },
+  array(value, rule) {
+    let list = value;
+    if (rule.csv && typeof value === 'string') {
+      list = value.split(',').map((item) => item.trim()).filter(Boolean);
+    }
+    if (!Array.isArray(list)) return { error: 'must be an array' };
+    if (rule.min !== undefined && list.length < rule.min) {
+      return { error: `must contain at least ${rule.min} item(s)` };
+    }
+    if (rule.max !== undefined && list.length > rule.max) {
+      return { error: `must contain at most ${rule.max} item(s)` };
+    }
+    if (!rule.items) return { value: list };
+    const items = [];
+    for (let i = 0; i < list.length; i += 1) {
+      // eslint-disable-next-line no-use-before-define
+      const checked = checkValue(list[i], rule.items);
+      if (checked.error) return { error: `item ${i + 1} ${checked.error}` };
+      items.push(checked.value);
+    }
+    return { value: items };
+  },
+  object(value) {
+    return isPlainObject(value) ? { value } : { error: 'must be an object' };
+  },
+  any(value) {
+    return { value };
+  },
+};
+
+function checkValue(value, rule) {
+  const checker = checkers[rule.type || 'any'];
+  if (!checker) throw new TypeError(`Unknown validation type "${rule.type}"`);
+  const checked = checker(value, rule);
+  if (checked.error) return checked;
+  if (rule.enum && !rule.enum.includes(checked.value)) {
+    return { error: `must be one of: ${rule.enum.join(', ')}` };
+  }
+  return checked;
+}
+
+// Returns { value, error } for a single field, applying required/nullable/default.
+export function checkField(value, rule) {
+  const missing = value === undefined || (value === '' && rule.type !== 'string');
+  if (missing || (typeof value === 'string' && rule.required && value.trim() === '')) {
+    if (rule.required) return { error: 'is required' };
+    return { value: typeof rule.default === 'function' ? rule.default() : rule.default };
+  }
+  if (value === null) {
+    return rule.nullable ? { value: null } : { error: rule.required ? 'is required' : 'cannot be null' };
+  }
+  return checkValue(value, rule);
+}
+
+// Validates a plain object against a schema; returns { values, fields } where fields holds errors.
+export function checkSchema(source, schema) {
+  const values = { ...(source || {}) };
+  const fields = {};
+  for (const [name, rule] of Object.entries(schema)) {
+    const { value, error } = checkField(source?.[name], rule);
+    if (error) {
+      fields[name] = error;
+    } else if (value !== undefined) {
+      values[name] = value;
+    }
+  }
+  return { values, fields };
+}
+
+export const validate = (schemas) => (req, res, next) => {
+  const fields = {};
+  for (const part of ['params', 'query', 'body']) {
+    if (!schemas[part]) continue;
+    if (part === 'body' && req.body !== undefined && !isPlainObject(req.body)) {
+      return next(new ValidationError(undefined, 'Request body must be a JSON object'));
+    }
+    const checked = checkSchema(req[part], schemas[part]);
+    Object.assign(fields, checked.fields);
+    req[part] = checked.values;
+  }
+  if (Object.keys(fields).length > 0) {
+    return next(new ValidationError(fields));
+  }
+  next();
+};
+
+// Common rules
+export const idParam = { params: { id: { type: 'uuid', required: true } } };
+export const passwordRule = { type: 'string', required: true, trim: false, max: 200 };
@@ -0,0 +1,30 @@
+/**
+ * Reading ZIP archives (bulk resume imports, XLSX files) without trusting their headers. The
+ * uncompressed sizes an archive declares can be faked, so entries are inflated as streams and
+ * given up on once they grow past a limit:
+ *
+ *   const { buffer, size } = await inflateZipEntry(zip.files['a.pdf'], 10 * 1024 * 1024);
+ *   if (!buffer) throw new Error(`more than 10 MB (${size} bytes read)`);
+ */
+
+// Inflates a JSZip entry, stopping as soon as it grows past maxBytes. Resolves { buffer, size };
+// buffer is null when the entry was too large.
+export function inflateZipEntry(entry, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const stream = entry.nodeStream('nodebuffer');
+    const chunks = [];
+    let size = 0;
+    stream.on('data', (chunk) => {
+      if (size > maxBytes) return;
+      size += chunk.length;
+      if (size > maxBytes) {
+        stream.destroy();
+        resolve({ buffer: null, size });
+      } else {
+        chunks.push(chunk);
+      }
+    });
+    stream.on('error', reject);
+    stream.on('end', () => resolve({ buffer: Buffer.concat(chunks), size }));
+  });
+}
@@ -0,0 +1,56 @@
+-- Base tables the API was originally written against.
+-- Written with "if not exists" so databases created before migrations existed can adopt them.
+create extension if not exists pgcrypto;
+
+create table if not exists admin_users (
+  id uuid primary key default gen_random_uuid(),
+  email text not null unique,
+  password_hash text not null,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists users (
+  id uuid primary key default gen_random_uuid(),
+  full_name text not null,
+  email text not null unique,
+  password_hash text not null,
+  phone text,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists clients (
+  id uuid primary key default gen_random_uuid(),
+  company text not null unique,
+  contact_person text,
+  email text,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists jobs (
+  id uuid primary key default gen_random_uuid(),
+  title text not null,
+  department text not null,
+  description text,
+  requirements text[] not null default '{}',
+  status text not null default 'Open',
+  created_by text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists applications (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references users(id) on delete cascade,
+  job_id uuid not null references jobs(id) on delete cascade,
+  resume_url text,
+  cover_letter text,
+  status text not null default 'Pending',
+  ai_parsed_data jsonb,
+  admin_notes text,
+  created_at timestamptz not null default now(),
+  unique (user_id, job_id)
+);
+
+create index if not exists jobs_created_at_idx on jobs (created_at desc);
+create index if not exists applications_job_id_idx on applications (job_id);
+create index if not exists applications_created_at_idx on applications (created_at desc);
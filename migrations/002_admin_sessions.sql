@@ -0,0 +1,14 @@
+-- Admin refresh sessions (POST /api/auth/login-admin, /refresh, /logout)
+create table if not exists admin_sessions (
+  id uuid primary key default gen_random_uuid(),
+  admin_user_id uuid not null references admin_users(id) on delete cascade,
+  refresh_token_hash text not null unique,
+  user_agent text,
+  ip text,
+  created_at timestamptz not null default now(),
+  last_used_at timestamptz,
+  expires_at timestamptz not null,
+  revoked_at timestamptz
+);
+
+create index if not exists admin_sessions_admin_user_id_idx on admin_sessions (admin_user_id);
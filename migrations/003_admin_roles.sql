@@ -0,0 +1,17 @@
+-- Admin roles (owner, recruiter, viewer, client-manager), deactivation and invites.
+-- Admins that existed before roles were introduced keep full access as owners.
+alter table admin_users add column if not exists role text not null default 'owner';
+alter table admin_users alter column role set default 'viewer';
+alter table admin_users add column if not exists is_active boolean not null default true;
+alter table admin_users add column if not exists invited_by uuid references admin_users(id) on delete set null;
+alter table admin_users add column if not exists invite_token_hash text unique;
+alter table admin_users add column if not exists invite_expires_at timestamptz;
+
+do $$
+begin
+  if not exists (select 1 from pg_constraint where conname = 'admin_users_role_check') then
+    alter table admin_users
+      add constraint admin_users_role_check
+      check (role in ('owner', 'recruiter', 'viewer', 'client-manager'));
+  end if;
+end $$;
@@ -0,0 +1,16 @@
+-- Hiring pipeline: per-job overrides and an append-only status history
+alter table jobs add column if not exists pipeline jsonb;
+alter table applications add column if not exists status_changed_at timestamptz;
+
+create table if not exists application_status_history (
+  id uuid primary key default gen_random_uuid(),
+  application_id uuid not null references applications(id) on delete cascade,
+  from_status text,
+  to_status text not null,
+  changed_by uuid references admin_users(id) on delete set null,
+  note text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists application_status_history_application_id_idx
+  on application_status_history (application_id, created_at);
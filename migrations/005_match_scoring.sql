@@ -0,0 +1,7 @@
+-- Candidate-to-job match scoring (POST /api/jobs/:id/rank-applicants)
+alter table applications add column if not exists match_score integer;
+alter table applications add column if not exists match_details jsonb;
+alter table applications add column if not exists match_scored_at timestamptz;
+
+create index if not exists applications_job_id_match_score_idx
+  on applications (job_id, match_score desc nulls last);
@@ -0,0 +1,15 @@
+-- Client status/archiving and the job -> client (employer) link
+alter table clients add column if not exists status text not null default 'active';
+alter table clients add column if not exists archived_at timestamptz;
+alter table clients add column if not exists updated_at timestamptz not null default now();
+alter table jobs add column if not exists client_id uuid references clients(id) on delete set null;
+
+do $$
+begin
+  if not exists (select 1 from pg_constraint where conname = 'clients_status_check') then
+    alter table clients
+      add constraint clients_status_check check (status in ('active', 'inactive', 'archived'));
+  end if;
+end $$;
+
+create index if not exists jobs_client_id_idx on jobs (client_id);
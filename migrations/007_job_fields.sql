@@ -0,0 +1,32 @@
+-- Job fields produced by /api/jobs/generate-ad, plus salary range, remote policy and expiry
+alter table jobs add column if not exists company text;
+alter table jobs add column if not exists location text;
+alter table jobs add column if not exists job_type text;
+alter table jobs add column if not exists category text;
+alter table jobs add column if not exists language text;
+alter table jobs add column if not exists required_skills text[] not null default '{}';
+alter table jobs add column if not exists salary_min numeric(12, 2);
+alter table jobs add column if not exists salary_max numeric(12, 2);
+alter table jobs add column if not exists salary_currency char(3);
+alter table jobs add column if not exists salary_period text;
+alter table jobs add column if not exists remote_policy text;
+alter table jobs add column if not exists expires_at timestamptz;
+
+do $$
+begin
+  if not exists (select 1 from pg_constraint where conname = 'jobs_salary_range_check') then
+    alter table jobs
+      add constraint jobs_salary_range_check
+      check (salary_min is null or salary_max is null or salary_min <= salary_max);
+  end if;
+  if not exists (select 1 from pg_constraint where conname = 'jobs_remote_policy_check') then
+    alter table jobs
+      add constraint jobs_remote_policy_check
+      check (remote_policy is null or remote_policy in ('onsite', 'hybrid', 'remote'));
+  end if;
+  if not exists (select 1 from pg_constraint where conname = 'jobs_salary_period_check') then
+    alter table jobs
+      add constraint jobs_salary_period_check
+      check (salary_period is null or salary_period in ('hour', 'day', 'month', 'year'));
+  end if;
+end $$;
@@ -0,0 +1,21 @@
+-- Stored resume files, versioned per candidate, with their parsed (AI) data
+create table if not exists resumes (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references users(id) on delete cascade,
+  version integer not null,
+  filename text not null,
+  content_type text not null,
+  size_bytes integer not null,
+  sha256 text not null,
+  storage_driver text not null,
+  storage_key text not null,
+  parsed_data jsonb,
+  parsed_at timestamptz,
+  uploaded_by uuid references admin_users(id) on delete set null,
+  created_at timestamptz not null default now(),
+  unique (user_id, version)
+);
+
+alter table applications add column if not exists resume_id uuid references resumes(id) on delete set null;
+
+create index if not exists applications_resume_id_idx on applications (resume_id);
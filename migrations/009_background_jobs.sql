@@ -0,0 +1,51 @@
+-- Postgres-backed job queue (lib/queue.js) and bulk resume imports
+create table if not exists background_jobs (
+  id uuid primary key default gen_random_uuid(),
+  type text not null,
+  payload jsonb not null default '{}'::jsonb,
+  status text not null default 'queued'
+    check (status in ('queued', 'running', 'succeeded', 'failed')),
+  attempts integer not null default 0,
+  max_attempts integer not null default 3,
+  run_at timestamptz not null default now(),
+  locked_at timestamptz,
+  locked_by text,
+  last_error text,
+  result jsonb,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  finished_at timestamptz
+);
+
+create index if not exists background_jobs_queued_idx
+  on background_jobs (run_at, created_at) where status = 'queued';
+
+create table if not exists resume_imports (
+  id uuid primary key default gen_random_uuid(),
+  job_id uuid not null references jobs(id) on delete cascade,
+  created_by uuid references admin_users(id) on delete set null,
+  created_at timestamptz not null default now(),
+  finished_at timestamptz
+);
+
+create index if not exists resume_imports_job_id_idx on resume_imports (job_id, created_at desc);
+
+create table if not exists resume_import_files (
+  id uuid primary key default gen_random_uuid(),
+  import_id uuid not null references resume_imports(id) on delete cascade,
+  filename text not null,
+  size_bytes integer not null,
+  status text not null default 'queued'
+    check (status in ('queued', 'processing', 'succeeded', 'failed')),
+  storage_driver text,
+  storage_key text,
+  user_id uuid references users(id) on delete set null,
+  application_id uuid references applications(id) on delete set null,
+  resume_id uuid references resumes(id) on delete set null,
+  user_created boolean,
+  error text,
+  created_at timestamptz not null default now(),
+  processed_at timestamptz
+);
+
+create index if not exists resume_import_files_import_id_idx on resume_import_files (import_id);
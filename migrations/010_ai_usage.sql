@@ -0,0 +1,44 @@
+-- AI usage log, response cache and daily token quotas (lib/ai-usage.js)
+create table if not exists ai_usage (
+  id uuid primary key default gen_random_uuid(),
+  feature text not null,
+  task text not null,
+  provider text not null,
+  model text not null,
+  admin_id uuid references admin_users(id) on delete set null,
+  client_id uuid references clients(id) on delete set null,
+  prompt_tokens integer not null default 0,
+  completion_tokens integer not null default 0,
+  total_tokens integer generated always as (prompt_tokens + completion_tokens) stored,
+  latency_ms integer not null default 0,
+  success boolean not null,
+  cached boolean not null default false,
+  error_code text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists ai_usage_created_at_idx on ai_usage (created_at);
+create index if not exists ai_usage_admin_id_idx on ai_usage (admin_id, created_at);
+create index if not exists ai_usage_client_id_idx on ai_usage (client_id, created_at);
+
+create table if not exists ai_cache (
+  key text primary key,
+  task text not null,
+  model text not null,
+  content text not null,
+  hits integer not null default 0,
+  created_at timestamptz not null default now(),
+  last_hit_at timestamptz
+);
+
+-- Overrides of the AI_DAILY_TOKEN_QUOTA / AI_CLIENT_DAILY_TOKEN_QUOTA defaults;
+-- a null limit means unlimited
+create table if not exists ai_quotas (
+  id uuid primary key default gen_random_uuid(),
+  admin_id uuid unique references admin_users(id) on delete cascade,
+  client_id uuid unique references clients(id) on delete cascade,
+  daily_token_limit integer check (daily_token_limit >= 0),
+  updated_by uuid references admin_users(id) on delete set null,
+  updated_at timestamptz not null default now(),
+  check ((admin_id is null) <> (client_id is null))
+);
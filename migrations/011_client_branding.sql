@@ -0,0 +1,15 @@
+-- Client branding and default template for anonymized candidate profiles
+alter table clients add column if not exists brand_color text;
+alter table clients add column if not exists brand_footer text;
+alter table clients add column if not exists profile_template text;
+alter table clients add column if not exists logo_storage_driver text;
+alter table clients add column if not exists logo_storage_key text;
+alter table clients add column if not exists logo_content_type text;
+
+do $$
+begin
+  if not exists (select 1 from pg_constraint where conname = 'clients_brand_color_check') then
+    alter table clients
+      add constraint clients_brand_color_check check (brand_color ~ '^#[0-9a-fA-F]{6}$');
+  end if;
+end $$;
@@ -0,0 +1,55 @@
+-- Shortlists of applications sent to clients as anonymized packs, with expiring share links
+create table if not exists shortlists (
+  id uuid primary key default gen_random_uuid(),
+  job_id uuid not null references jobs(id) on delete cascade,
+  client_id uuid references clients(id) on delete set null,
+  title text not null,
+  message text,
+  template text,
+  created_by uuid references admin_users(id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists shortlists_job_id_idx on shortlists (job_id, created_at);
+
+create table if not exists shortlist_candidates (
+  id uuid primary key default gen_random_uuid(),
+  shortlist_id uuid not null references shortlists(id) on delete cascade,
+  application_id uuid not null references applications(id) on delete cascade,
+  position integer not null,
+  recruiter_note text,
+  feedback text check (feedback in ('interested', 'not_interested')),
+  feedback_comment text,
+  feedback_at timestamptz,
+  created_at timestamptz not null default now(),
+  unique (shortlist_id, application_id)
+);
+
+create table if not exists shortlist_shares (
+  id uuid primary key default gen_random_uuid(),
+  shortlist_id uuid not null references shortlists(id) on delete cascade,
+  token_hash text not null unique,
+  expires_at timestamptz not null,
+  revoked_at timestamptz,
+  view_count integer not null default 0,
+  last_viewed_at timestamptz,
+  created_by uuid references admin_users(id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists shortlist_shares_shortlist_id_idx on shortlist_shares (shortlist_id);
+
+-- The client's latest answer on any shortlist the application was shared in
+alter table applications add column if not exists client_feedback text;
+alter table applications add column if not exists client_feedback_comment text;
+alter table applications add column if not exists client_feedback_at timestamptz;
+
+do $$
+begin
+  if not exists (select 1 from pg_constraint where conname = 'applications_client_feedback_check') then
+    alter table applications
+      add constraint applications_client_feedback_check
+      check (client_feedback in ('interested', 'not_interested'));
+  end if;
+end $$;
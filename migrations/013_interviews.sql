@@ -0,0 +1,37 @@
+-- Interviews on applications, their interviewers and per-admin calendar feed tokens
+create table if not exists interviews (
+  id uuid primary key default gen_random_uuid(),
+  application_id uuid not null references applications(id) on delete cascade,
+  title text not null,
+  starts_at timestamptz not null,
+  ends_at timestamptz not null,
+  location text,
+  video_url text,
+  notes text,
+  status text not null default 'scheduled'
+    check (status in ('scheduled', 'completed', 'cancelled')),
+  outcome text check (outcome in ('advance', 'hold', 'reject', 'no_show')),
+  scorecard jsonb,
+  -- iCalendar SEQUENCE, bumped whenever an invite needs re-sending
+  sequence integer not null default 0,
+  created_by uuid references admin_users(id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  completed_at timestamptz,
+  cancelled_at timestamptz,
+  check (ends_at > starts_at)
+);
+
+create index if not exists interviews_application_id_idx on interviews (application_id);
+create index if not exists interviews_starts_at_idx on interviews (starts_at);
+
+create table if not exists interview_interviewers (
+  interview_id uuid not null references interviews(id) on delete cascade,
+  admin_user_id uuid not null references admin_users(id) on delete cascade,
+  primary key (interview_id, admin_user_id)
+);
+
+create index if not exists interview_interviewers_admin_user_id_idx
+  on interview_interviewers (admin_user_id);
+
+alter table admin_users add column if not exists calendar_token_hash text unique;
@@ -0,0 +1,39 @@
+-- Candidate emails: preferred language, edited templates and the outbox (also the send log)
+alter table users add column if not exists language text not null default 'en';
+
+create table if not exists email_templates (
+  id uuid primary key default gen_random_uuid(),
+  key text not null,
+  language text not null,
+  subject text not null,
+  body_text text not null,
+  body_html text,
+  updated_by uuid references admin_users(id) on delete set null,
+  updated_at timestamptz not null default now(),
+  unique (key, language)
+);
+
+create table if not exists email_outbox (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid references users(id) on delete cascade,
+  application_id uuid references applications(id) on delete set null,
+  template text not null,
+  language text not null,
+  to_email text not null,
+  subject text not null,
+  body_text text not null,
+  body_html text,
+  -- [{ filename, content_type, content }] with text content (calendar invites)
+  attachments jsonb not null default '[]'::jsonb,
+  status text not null default 'queued' check (status in ('queued', 'sent', 'failed')),
+  attempts integer not null default 0,
+  last_error text,
+  transport text,
+  message_id text,
+  created_by uuid references admin_users(id) on delete set null,
+  created_at timestamptz not null default now(),
+  sent_at timestamptz
+);
+
+create index if not exists email_outbox_user_id_idx on email_outbox (user_id, created_at desc);
+create index if not exists email_outbox_status_idx on email_outbox (status, created_at);
@@ -0,0 +1,34 @@
+-- Append-only log of admin actions. Actors are copied rather than referenced so entries
+-- outlive the admin account, and a trigger rejects updates and deletes.
+create table if not exists audit_log (
+  id uuid primary key default gen_random_uuid(),
+  actor_id uuid,
+  actor_email text,
+  action text not null,
+  entity_type text,
+  entity_id text,
+  -- Changed fields only for updates; the whole row for creates (after) and deletes (before)
+  before jsonb,
+  after jsonb,
+  method text not null,
+  path text not null,
+  status_code integer not null,
+  ip text,
+  user_agent text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists audit_log_created_at_idx on audit_log (created_at desc, id desc);
+create index if not exists audit_log_actor_idx on audit_log (actor_id, created_at desc);
+create index if not exists audit_log_entity_idx on audit_log (entity_type, entity_id, created_at desc);
+
+create or replace function audit_log_append_only() returns trigger as $$
+begin
+  raise exception 'audit_log is append-only';
+end;
+$$ language plpgsql;
+
+drop trigger if exists audit_log_append_only on audit_log;
+create trigger audit_log_append_only
+  before update or delete on audit_log
+  for each row execute function audit_log_append_only();
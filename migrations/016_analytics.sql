@@ -0,0 +1,94 @@
+-- Recruitment analytics: where applications come from, and materialized aggregates the
+-- /api/analytics endpoints read (refreshed by the API, see lib/analytics.js). Days are UTC.
+alter table applications add column if not exists source text not null default 'admin';
+
+create index if not exists application_status_history_to_status_idx
+  on application_status_history (to_status, created_at);
+
+-- Applications per day, job and source
+create materialized view if not exists analytics_application_days as
+  select (a.created_at at time zone 'UTC')::date as day, a.job_id, a.source,
+         count(*)::int as applications
+  from applications a
+  group by 1, 2, 3;
+
+create unique index if not exists analytics_application_days_key
+  on analytics_application_days (day, job_id, source);
+
+-- Applications that reached each stage, by the day they applied (the funnel's cohort). The current
+-- status counts too, for applications that predate the status history.
+create materialized view if not exists analytics_stage_reach as
+  select (a.created_at at time zone 'UTC')::date as cohort_day, a.job_id, reached.stage,
+         count(distinct a.id)::int as applications
+  from applications a
+  join (
+    select application_id, to_status as stage from application_status_history
+    union
+    select id, status from applications
+  ) reached on reached.application_id = a.id
+  group by 1, 2, 3;
+
+create unique index if not exists analytics_stage_reach_key
+  on analytics_stage_reach (cohort_day, job_id, stage);
+
+-- Completed stays in a stage, by the day the application left it
+create materialized view if not exists analytics_stage_time as
+  select (stint.left_at at time zone 'UTC')::date as day, a.job_id, stint.stage,
+         count(*)::int as stints,
+         sum(extract(epoch from stint.left_at - stint.entered_at))::bigint as total_seconds
+  from (
+    select application_id, to_status as stage, created_at as entered_at,
+           lead(created_at) over (partition by application_id order by created_at, id) as left_at
+    from application_status_history
+  ) stint
+  join applications a on a.id = stint.application_id
+  where stint.left_at is not null
+  group by 1, 2, 3;
+
+create unique index if not exists analytics_stage_time_key
+  on analytics_stage_time (day, job_id, stage);
+
+-- Hires by the day of the (first) move to Hired, with days from application to hire
+create materialized view if not exists analytics_hires as
+  select (hired.hired_at at time zone 'UTC')::date as day, a.job_id,
+         count(*)::int as hires,
+         sum(extract(epoch from hired.hired_at - a.created_at) / 86400)::numeric(12, 2) as total_days,
+         min(extract(epoch from hired.hired_at - a.created_at) / 86400)::numeric(12, 2) as min_days,
+         max(extract(epoch from hired.hired_at - a.created_at) / 86400)::numeric(12, 2) as max_days
+  from applications a
+  join (
+    select application_id, min(created_at) as hired_at
+    from application_status_history
+    where to_status = 'Hired'
+    group by application_id
+  ) hired on hired.application_id = a.id
+  group by 1, 2;
+
+create unique index if not exists analytics_hires_key on analytics_hires (day, job_id);
+
+-- Skill mentions: "job" from jobs' required skills and requirements (by the day the job was
+-- created), "candidate" from parsed resumes on applications (by the day they applied)
+create materialized view if not exists analytics_skill_days as
+  select day, kind, skill, count(*)::int as mentions
+  from (
+    select (j.created_at at time zone 'UTC')::date as day, 'job' as kind,
+           lower(trim(item)) as skill
+    from jobs j
+    cross join lateral unnest(j.required_skills || j.requirements) as item
+    union all
+    select (a.created_at at time zone 'UTC')::date, 'candidate', lower(trim(item.value))
+    from applications a
+    cross join lateral jsonb_array_elements_text(
+      case when jsonb_typeof(a.ai_parsed_data -> 'skills') = 'array'
+        then a.ai_parsed_data -> 'skills' else '[]'::jsonb end
+    ) as item(value)
+  ) mention
+  where skill <> '' and length(skill) <= 100
+  group by 1, 2, 3;
+
+create unique index if not exists analytics_skill_days_key on analytics_skill_days (day, kind, skill);
+
+create table if not exists analytics_refreshes (
+  view_name text primary key,
+  refreshed_at timestamptz not null
+);
@@ -0,0 +1,44 @@
+-- Candidate privacy: consent history, anonymization and audit snapshot redaction
+alter table users add column if not exists anonymized_at timestamptz;
+
+-- One row per consent decision; the latest row per purpose is the current state
+create table if not exists candidate_consents (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references users(id) on delete cascade,
+  purpose text not null,
+  granted boolean not null,
+  retention_days integer check (retention_days > 0),
+  -- created_at + retention_days for grants, null for withdrawals
+  expires_at timestamptz,
+  source text not null default 'admin',
+  note text,
+  recorded_by uuid references admin_users(id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists candidate_consents_user_id_idx
+  on candidate_consents (user_id, purpose, created_at desc);
+
+-- Erasing a candidate blanks the before/after snapshots of their entries; the entry itself
+-- (who did what, when) stays. Only that change is allowed, and only inside a transaction that
+-- sets audit.redaction = 'on'.
+alter table audit_log add column if not exists redacted_at timestamptz;
+
+create or replace function audit_log_append_only() returns trigger as $$
+begin
+  if tg_op = 'UPDATE'
+    and current_setting('audit.redaction', true) = 'on'
+    and new.before is null
+    and new.after is null
+    and new.redacted_at is not null
+    and (new.id, new.actor_id, new.actor_email, new.action, new.entity_type, new.entity_id,
+         new.method, new.path, new.status_code, new.ip, new.user_agent, new.created_at)
+      is not distinct from
+        (old.id, old.actor_id, old.actor_email, old.action, old.entity_type, old.entity_id,
+         old.method, old.path, old.status_code, old.ip, old.user_agent, old.created_at)
+  then
+    return new;
+  end if;
+  raise exception 'audit_log is append-only';
+end;
+$$ language plpgsql;
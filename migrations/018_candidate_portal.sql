@@ -0,0 +1,27 @@
+-- Candidate portal (/api/candidate/*): refresh sessions and password reset tokens
+create table if not exists candidate_sessions (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references users(id) on delete cascade,
+  refresh_token_hash text not null unique,
+  user_agent text,
+  ip text,
+  created_at timestamptz not null default now(),
+  last_used_at timestamptz,
+  expires_at timestamptz not null,
+  revoked_at timestamptz
+);
+
+create index if not exists candidate_sessions_user_id_idx on candidate_sessions (user_id);
+
+create table if not exists candidate_password_resets (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references users(id) on delete cascade,
+  token_hash text not null unique,
+  expires_at timestamptz not null,
+  used_at timestamptz,
+  ip text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists candidate_password_resets_user_id_idx
+  on candidate_password_resets (user_id, created_at desc);
@@ -0,0 +1,38 @@
+-- Public job board: stable job slugs for public URLs and shared rate limit counters
+alter table jobs add column if not exists slug text;
+
+-- "Senior Developer (Remote)" -> "senior-developer-remote-1a2b3c4d"; the id prefix keeps slugs
+-- unique when titles repeat
+create or replace function job_slug(title text, id uuid) returns text as $$
+  select coalesce(
+           nullif(trim(both '-' from left(regexp_replace(lower(coalesce(title, '')), '[^a-z0-9]+', '-', 'g'), 60)), ''),
+           'job'
+         ) || '-' || left(replace(id::text, '-', ''), 8)
+$$ language sql immutable;
+
+update jobs set slug = job_slug(title, id) where slug is null;
+
+create unique index if not exists jobs_slug_idx on jobs (slug);
+
+-- Slugs are set once, so links keep working when a job is renamed
+create or replace function jobs_set_slug() returns trigger as $$
+begin
+  if new.slug is null then
+    new.slug := job_slug(new.title, new.id);
+  end if;
+  return new;
+end;
+$$ language plpgsql;
+
+drop trigger if exists jobs_set_slug on jobs;
+create trigger jobs_set_slug
+  before insert on jobs
+  for each row execute function jobs_set_slug();
+
+-- One row per rate limit key and fixed window (lib/rate-limit.js)
+create table if not exists rate_limits (
+  key text not null,
+  window_start timestamptz not null,
+  hits integer not null default 0,
+  primary key (key, window_start)
+);
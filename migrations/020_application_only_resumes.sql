@@ -0,0 +1,3 @@
+-- Files sent with a public job board application belong to that application only. They have no
+-- version, so they never become part of the candidate's resume history or their latest resume.
+alter table resumes alter column version drop not null;
@@ -0,0 +1,5 @@
+-- An email is marked "sending" while a worker hands it to the transport, so an interrupted
+-- delivery is never sent again without someone deciding to
+alter table email_outbox drop constraint if exists email_outbox_status_check;
+alter table email_outbox add constraint email_outbox_status_check
+  check (status in ('queued', 'sending', 'sent', 'failed'));
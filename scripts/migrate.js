@@ -0,0 +1,29 @@
+import 'dotenv/config';
+import { getDbPool } from '../lib/db.js';
+import { migrationStatus, runMigrations } from '../lib/migrate.js';
+
+// npm run migrate            apply pending migrations
+// npm run migrate -- --status list migrations and whether they have been applied
+
+const pool = getDbPool();
+
+try {
+  if (process.argv.includes('--status')) {
+    const migrations = await migrationStatus(pool);
+    migrations.forEach((m) => {
+      const state = m.applied ? `applied ${m.applied_at.toISOString()}` : 'pending';
+      // eslint-disable-next-line no-console
+      console.log(`${m.version}_${m.name}: ${state}${m.changed ? ' (changed since applied)' : ''}`);
+    });
+  } else {
+    const ran = await runMigrations(pool);
+    // eslint-disable-next-line no-console
+    console.log(ran.length ? `${ran.length} migration(s) applied` : 'Database is up to date');
+  }
+} catch (err) {
+  // eslint-disable-next-line no-console
+  console.error(err.message);
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+}
@@ -0,0 +1,101 @@
+import 'dotenv/config';
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import { getDbPool } from '../lib/db.js';
+
+/**
+ * Seeds a development database: a first owner admin, a sample client and a few jobs.
+ * Safe to re-run; existing rows are left alone. Run `npm run migrate` first.
+ *
+ * - SEED_ADMIN_EMAIL     (default owner@jobspeedy.local)
+ * - SEED_ADMIN_PASSWORD  (default: a random password, printed once)
+ */
+
+const sampleJobs = [
+  {
+    title: 'Senior Frontend Engineer',
+    department: 'Engineering',
+    description: 'Build and maintain the candidate-facing web app.',
+    requirements: ['React', 'TypeScript', 'CSS', 'REST APIs'],
+    location: 'Berlin',
+    job_type: 'Full-time',
+    remote_policy: 'hybrid',
+  },
+  {
+    title: 'Backend Engineer (Node.js)',
+    department: 'Engineering',
+    description: 'Design APIs and data pipelines for our matching platform.',
+    requirements: ['Node.js', 'PostgreSQL', 'Express', 'Docker'],
+    location: 'Remote',
+    job_type: 'Full-time',
+    remote_policy: 'remote',
+  },
+  {
+    title: 'Talent Acquisition Specialist',
+    department: 'People',
+    description: 'Own the hiring pipeline for technical roles.',
+    requirements: ['Sourcing', 'Interviewing', 'ATS'],
+    location: 'Amsterdam',
+    job_type: 'Part-time',
+    remote_policy: 'onsite',
+  },
+];
+
+const pool = getDbPool();
+
+try {
+  const email = (process.env.SEED_ADMIN_EMAIL || 'owner@jobspeedy.local').trim().toLowerCase();
+  const generated = !process.env.SEED_ADMIN_PASSWORD;
+  const password = process.env.SEED_ADMIN_PASSWORD || crypto.randomBytes(12).toString('base64url');
+
+  const admin = await pool.query(
+    `insert into admin_users (email, password_hash, role)
+     values ($1, $2, 'owner')
+     on conflict (email) do nothing
+     returning id`,
+    [email, await bcrypt.hash(password, 10)],
+  );
+  // eslint-disable-next-line no-console
+  console.log(
+    admin.rows.length === 0
+      ? `Admin ${email} already exists`
+      : `Created owner ${email}${generated ? ` with password ${password}` : ''}`,
+  );
+
+  await pool.query(
+    `insert into clients (company, contact_person, email)
+     values ('Acme Corp', 'Jane Doe', 'jane.doe@acme.example')
+     on conflict (company) do nothing`,
+  );
+  const client = await pool.query("select id from clients where company = 'Acme Corp'");
+
+  let created = 0;
+  for (const job of sampleJobs) {
+    const result = await pool.query(
+      `insert into jobs
+         (title, department, description, requirements, required_skills, location, job_type,
+          remote_policy, status, created_by, client_id)
+       select $1, $2, $3, $4, $4, $5, $6, $7, 'Open', 'seed', $8
+       where not exists (select 1 from jobs where title = $1 and created_by = 'seed')`,
+      [
+        job.title,
+        job.department,
+        job.description,
+        job.requirements,
+        job.location,
+        job.job_type,
+        job.remote_policy,
+        client.rows[0].id,
+      ],
+    );
+    created += result.rowCount;
+  }
+  // eslint-disable-next-line no-console
+  console.log(`Created ${created} sample job(s)`);
+} catch (err) {
+  // eslint-disable-next-line no-console
+  console.error('seed failed:', err.message);
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+}
@@ -1,12 +1,57 @@
 import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
-import pg from 'pg';
+import crypto from 'crypto';
 import bcrypt from 'bcryptjs';
-import OpenAI from 'openai';
+import jwt from 'jsonwebtoken';
 import multer from 'multer';
-import pdfParse from 'pdf-parse';
 import PDFDocument from 'pdfkit';
+import JSZip from 'jszip';
+import { aiQuotaStatus, defaultAiQuotas, trackedCompleteJson } from './lib/ai-usage.js';
+import { analyticsFreshness, refreshAnalytics } from './lib/analytics.js';
+import { auditChanges, auditSnapshot } from './lib/audit.js';
+import {
+  consentPurposeNames,
+  defaultRetentionDays,
+  getConsentPurpose,
+  listConsentPurposes,
+  retentionAction,
+  retentionActions,
+  retentionSweepHours,
+} from './lib/consent.js';
+import { getDbPool } from './lib/db.js';
+import {
+  defaultEmailLanguage,
+  emailTemplateKeys,
+  emailTemplateLanguages,
+  listEmailTemplates,
+  normalizeLanguage,
+  renderEmail,
+  resolveEmailTemplate,
+} from './lib/email-templates.js';
+import { ValidationError, errorHandler, httpError } from './lib/errors.js';
+import { detectFileType, extractText, supportedFileTypes } from './lib/extract.js';
+import { feedFormatNames, feedMeta, getFeedFormat, toFeedJob } from './lib/feeds.js';
+import { buildCalendar, icsContentType } from './lib/ics.js';
+import { llmConfigured, llmNotConfiguredError } from './lib/llm.js';
+import { sendMail } from './lib/mail.js';
+import { runMigrations } from './lib/migrate.js';
+import {
+  applyProfileTemplate,
+  getProfileTemplate,
+  listProfileTemplates,
+  profileTemplateNames,
+  renderProfileHtml,
+  renderProfilePdf,
+  renderShortlistCoverPdf,
+} from './lib/profile-templates.js';
+import { enqueueJob, registerJobHandler, startQueueWorker } from './lib/queue.js';
+import { rateLimit } from './lib/rate-limit.js';
+import { createRedactor, redactDeep } from './lib/redact.js';
+import { createSheetWriter, readSpreadsheet, spreadsheetFormats } from './lib/spreadsheets.js';
+import { getStorage } from './lib/storage.js';
+import { checkSchema, emailRe, idParam, passwordRule, uuidRe, validate } from './lib/validate.js';
+import { inflateZipEntry } from './lib/zip.js';
 
 /**
  * Simple single-file Express API for Vercel / Neon
@@ -21,69 +66,516 @@ import PDFDocument from 'pdfkit';
  * - PGSSLMODE    (set to "require" for Neon)
  *
  * Alternatively, you can set DATABASE_URL with a full Postgres connection string.
+ *
+ * Admin authentication:
+ *
+ * - JWT_SECRET              (required, signs access tokens)
+ * - ACCESS_TOKEN_TTL        (optional, e.g. "15m", default 15 minutes)
+ * - REFRESH_TOKEN_TTL_DAYS  (optional, default 30)
+ *
+ * Candidate portal (/api/candidate/*, same JWT_SECRET and token lifetimes as admins):
+ *
+ * - CANDIDATE_PORTAL_URL    (optional, candidate site that serves /reset-password?token=...,
+ *                            default: JOB_BOARD_URL)
+ * - PASSWORD_RESET_TTL_MINUTES (optional, lifetime of password reset links, default 60)
+ * - CANDIDATE_REGISTER_RATE_LIMIT (optional, sign-ups per IP per hour, default 5; 0 disables)
+ * - CANDIDATE_LOGIN_RATE_LIMIT (optional, login attempts per IP per 15 minutes, default 10)
+ * - PASSWORD_RESET_RATE_LIMIT (optional, reset requests per IP per hour, default 5)
+ * - PASSWORD_RESET_EMAIL_RATE_LIMIT (optional, reset requests per email per hour, default 3)
+ *
+ * Job feeds and the public job board (/api/public/jobs):
+ *
+ * - JOB_BOARD_URL           (optional, public site used for job links, default https://jobspeedy-ai.com)
+ * - PUBLIC_APPLY_RATE_LIMIT (optional, applications per IP per hour, default 5; 0 disables)
+ * - TRUST_PROXY             (optional, Express "trust proxy" setting, e.g. 1 behind one proxy, so
+ *                            rate limits see the client's IP rather than the proxy's)
+ *
+ * Resume storage (see lib/storage.js):
+ *
+ * - STORAGE_DRIVER          (optional, default "local")
+ * - STORAGE_DIR             (optional, directory for the local driver, default ./uploads; needs a
+ *                            writable disk, so register another driver on serverless hosts)
+ * - UPLOAD_MAX_MB           (optional, largest accepted upload, default 10)
+ *
+ * AI features (job ads, resume parsing, match scoring):
+ *
+ * - OPENAI_API_KEY          (enables the OpenAI provider; LLM_PROVIDER selects another one such
+ *                            as an OpenAI-compatible local server or the mock, see lib/llm.js)
+ * - AI_DAILY_TOKEN_QUOTA     (optional, tokens per admin per UTC day; per-admin and per-client
+ *                            limits, the response cache and usage logging are in lib/ai-usage.js)
+ * - RANK_AI_MAX_APPLICATIONS (optional, applicants assessed by AI per ranking request, default 25;
+ *                            the rest are ranked on skill overlap)
+ *
+ * Resume text extraction and the OCR fallback for scanned PDFs are configured in lib/extract.js.
+ *
+ * Client shortlists:
+ *
+ * - SHARE_LINK_BASE_URL     (optional, frontend page for shortlist share links, the token is
+ *                            appended; default: the public API route)
+ *
+ * Candidate emails (transports in lib/mail.js, templates in lib/email-templates.js):
+ *
+ * - MAIL_TRANSPORT, MAIL_FROM and SMTP_*  (see lib/mail.js; without SMTP_HOST emails are only
+ *                            logged to the console, and in production they fail instead)
+ * - MAIL_SENDER_NAME        (optional, signature in emails, default: the job feed publisher)
+ * - MAIL_MAX_ATTEMPTS       (optional, delivery attempts per email, default 5)
+ *
+ * Analytics (see lib/analytics.js):
+ *
+ * - ANALYTICS_MAX_AGE_MINUTES (optional, how stale the aggregates may get before a read triggers
+ *                            a background refresh, default 15)
+ *
+ * Candidate privacy (consent purposes and retention in lib/consent.js):
+ *
+ * - CANDIDATE_RETENTION_DAYS (optional, days a candidate's data is kept after their last
+ *                            activity unless a granted consent runs longer, default 365)
+ * - RETENTION_ACTION        (optional, "anonymize" or "delete", default "anonymize")
+ * - RETENTION_SWEEP_HOURS   (optional, hours between retention sweeps, default 24; 0 disables)
+ *
+ * Record imports (CSV / XLSX, POST /api/imports/:entity):
+ *
+ * - RECORD_IMPORT_MAX_ROWS  (optional, rows per import file, default 5000; the file itself is
+ *                            limited by UPLOAD_MAX_MB)
+ * - RECORD_IMPORT_MAX_UNPACKED_MB (optional, most an XLSX import file may unpack to, default 50)
+ *
+ * Background jobs (bulk resume imports, candidate emails, retention sweeps, see lib/queue.js):
+ *
+ * - QUEUE_WORKER            (optional, "false" stops this instance from processing queued jobs;
+ *                            serverless deployments need at least one long-running instance)
+ * - QUEUE_CONCURRENCY       (optional, jobs processed at once per instance, default 1)
+ * - IMPORT_MAX_MB           (optional, largest file or ZIP in a bulk import, default 50)
+ * - IMPORT_MAX_FILES        (optional, files per bulk import, ZIP contents included, default 200)
+ * - IMPORT_MAX_UNPACKED_MB  (optional, most a bulk import's ZIP archives may unpack to, default 200)
+ * - IMPORT_MAX_REQUEST_MB   (optional, largest bulk import request, all files together, default 200)
+ *
+ * Database schema:
+ *
+ * - Versioned migrations live in migrations/ and are applied with `npm run migrate`
+ *   (or on boot with MIGRATE_ON_START=true). `npm run seed` creates a first owner and sample jobs.
  */
 
-// --- Database pool (Neon Postgres) ---
-let poolInstance = null;
-
-function getDbPool() {
-  if (poolInstance) return poolInstance;
-
-  const { DATABASE_URL } = process.env;
+// --- Database pool (Neon Postgres, see lib/db.js) ---
+const pool = getDbPool();
 
-  if (DATABASE_URL) {
-    poolInstance = new pg.Pool({
-      connectionString: DATABASE_URL,
-      ssl: { rejectUnauthorized: false },
-      max: 10,
-      idleTimeoutMillis: 30000,
-    });
-    return poolInstance;
+// Checks out a client for a route handler's transaction. Express 4 does not catch rejections of
+// async handlers, so a failed connection is passed to next() and null is returned:
+//   const client = await connectOrNext(next);
+//   if (!client) return;
+async function connectOrNext(next) {
+  try {
+    return await pool.connect();
+  } catch (err) {
+    next(err);
+    return null;
   }
-
-  const {
-    PGHOST,
-    PGPORT,
-    PGDATABASE,
-    PGUSER,
-    PGPASSWORD,
-    PGSSLMODE,
-  } = process.env;
-
-  const host = (PGHOST ?? 'localhost').toString();
-  const port = Number(PGPORT ?? 5432);
-  const database = (PGDATABASE ?? 'jobspeedy').toString();
-  const user = (PGUSER ?? 'postgres').toString();
-  const password = String(PGPASSWORD ?? '');
-  const useSsl = (PGSSLMODE ?? '').toLowerCase() === 'require';
-
-  const encodedUser = encodeURIComponent(user);
-  const encodedPass = encodeURIComponent(password);
-  const connectionString = `postgresql://${encodedUser}:${encodedPass}@${host}:${port}/${database}`;
-
-  poolInstance = new pg.Pool({
-    connectionString,
-    ssl: useSsl ? { rejectUnauthorized: false } : false,
-    max: 10,
-    idleTimeoutMillis: 30000,
-  });
-
-  return poolInstance;
 }
 
-const pool = getDbPool();
+const uploadMaxBytes = Number(process.env.UPLOAD_MAX_MB || 10) * 1024 * 1024;
+// Memory storage for resume uploads; a single file per request
+const upload = multer({ limits: { fileSize: uploadMaxBytes, files: 1, fields: 20 } });
 
-const openaiKey = process.env.OPENAI_API_KEY;
-const openaiClient = openaiKey ? new OpenAI({ apiKey: openaiKey }) : null;
-const upload = multer(); // memory storage for PDF uploads
+const jwtSecret = process.env.JWT_SECRET || null;
+const accessTokenTtl = process.env.ACCESS_TOKEN_TTL || '15m';
+const refreshTokenTtlDays = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
 
 // --- Express app ---
 const app = express();
 const port = process.env.PORT || 4000;
 
+// The auth and audit middleware decide by exact path (public routes, /api/candidate/), so the
+// router must not match paths they would read differently, such as /API/Candidate/...
+app.set('case sensitive routing', true);
+
+// Behind a proxy or load balancer (e.g. Vercel), TRUST_PROXY makes req.ip the client's address
+// for rate limits and session records: a hop count, "true", or addresses as Express accepts them
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+  let setting = trustProxy;
+  if (/^\d+$/.test(trustProxy)) setting = Number(trustProxy);
+  else if (trustProxy === 'true') setting = true;
+  app.set('trust proxy', setting);
+}
+
 app.use(cors());
 app.use(express.json());
 
+// --- Admin auth: access tokens + refresh sessions (admin_sessions table) ---
+// Access tokens are short-lived JWTs carrying the session id (sid). Refresh tokens are
+// opaque random strings; only their sha256 hash is stored, and they rotate on every use.
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const newRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+// `audience` marks candidate portal tokens (see Candidate auth); admin tokens have none.
+function issueTokens(account, sessionId, refreshToken, { audience = null } = {}) {
+  const accessToken = jwt.sign({ email: account.email, sid: sessionId }, jwtSecret, {
+    subject: String(account.id),
+    expiresIn: accessTokenTtl,
+    ...(audience ? { audience } : {}),
+  });
+  const { exp } = jwt.decode(accessToken);
+  return {
+    token_type: 'Bearer',
+    access_token: accessToken,
+    expires_in: exp - Math.floor(Date.now() / 1000),
+    refresh_token: refreshToken,
+  };
+}
+
+async function createSession(admin, req) {
+  const refreshToken = newRefreshToken();
+  const result = await pool.query(
+    `insert into admin_sessions (admin_user_id, refresh_token_hash, user_agent, ip, expires_at)
+     values ($1, $2, $3, $4, now() + make_interval(days => $5))
+     returning id`,
+    [admin.id, hashToken(refreshToken), req.get('user-agent') || null, req.ip || null, refreshTokenTtlDays],
+  );
+  return issueTokens(admin, result.rows[0].id, refreshToken);
+}
+
+// --- Roles and permissions ---
+// Each route declares the permission it needs via requirePermission(); roles map to permissions here.
+
+const permissions = [
+  'admins:manage',
+  'users:read',
+  'users:write',
+  'users:delete',
+  'jobs:read',
+  'jobs:write',
+  'jobs:delete',
+  'applications:read',
+  'applications:write',
+  'clients:read',
+  'clients:write',
+  'feeds:read',
+  'pdf:export',
+  'shortlists:read',
+  'shortlists:write',
+  'ai:use',
+  'audit:read',
+  'analytics:read',
+  'analytics:refresh',
+  'privacy:manage',
+];
+
+const rolePermissions = {
+  owner: permissions,
+  recruiter: [
+    'users:read',
+    'users:write',
+    'jobs:read',
+    'jobs:write',
+    'jobs:delete',
+    'applications:read',
+    'applications:write',
+    'clients:read',
+    'feeds:read',
+    'pdf:export',
+    'shortlists:read',
+    'shortlists:write',
+    'ai:use',
+    'analytics:read',
+    'analytics:refresh',
+  ],
+  'client-manager': [
+    'users:read',
+    'jobs:read',
+    'jobs:write',
+    'applications:read',
+    'clients:read',
+    'clients:write',
+    'feeds:read',
+    'pdf:export',
+    'shortlists:read',
+    'shortlists:write',
+    'analytics:read',
+    'analytics:refresh',
+  ],
+  viewer: [
+    'users:read',
+    'jobs:read',
+    'applications:read',
+    'clients:read',
+    'feeds:read',
+    'shortlists:read',
+    'analytics:read',
+  ],
+};
+
+const adminRoles = Object.keys(rolePermissions);
+
+const hasPermission = (admin, permission) =>
+  Boolean(admin) && (rolePermissions[admin.role] || []).includes(permission);
+
+const requirePermission = (permission) => (req, res, next) => {
+  if (!hasPermission(req.admin, permission)) {
+    return next(httpError(403, `Missing permission: ${permission}`));
+  }
+  next();
+};
+
+// Returns { payload } for a valid Bearer access token, or { error } to pass to next().
+function verifyBearer(req, verifyOptions = {}) {
+  const [scheme, token] = (req.get('authorization') || '').split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return { error: httpError(401, 'Authentication required') };
+  }
+  if (!jwtSecret) {
+    return { error: httpError(500, 'JWT_SECRET not configured') };
+  }
+  try {
+    return { payload: jwt.verify(token, jwtSecret, verifyOptions) };
+  } catch (_) {
+    return { error: httpError(401, 'Invalid or expired token') };
+  }
+}
+
+// Verifies the Bearer token and that its session has not been revoked; sets req.admin.
+async function requireAuth(req, res, next) {
+  const { payload, error } = verifyBearer(req);
+  if (error) {
+    return next(error);
+  }
+  // Candidate portal tokens are never admin tokens, whatever their session id
+  if (payload.aud) {
+    return next(httpError(401, 'Invalid or expired token'));
+  }
+  try {
+    const result = await pool.query(
+      `select u.id, u.email, u.role
+       from admin_sessions s
+       join admin_users u on u.id = s.admin_user_id
+       where s.id = $1 and s.admin_user_id = $2 and u.is_active
+         and s.revoked_at is null and s.expires_at > now()`,
+      [payload.sid, payload.sub],
+    );
+    if (result.rows.length === 0) {
+      return next(httpError(401, 'Session expired or revoked'));
+    }
+    req.admin = { ...result.rows[0], session_id: payload.sid };
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+// The first admin can be registered without a token so an empty database can be bootstrapped;
+// it becomes the owner. Afterwards only admins with admins:manage may register others.
+async function requireAuthUnlessNoAdmins(req, res, next) {
+  try {
+    const result = await pool.query('select 1 from admin_users limit 1');
+    if (result.rows.length === 0) {
+      req.bootstrapAdmin = true;
+      return next();
+    }
+  } catch (err) {
+    return next(err);
+  }
+  return requireAuth(req, res, () => requirePermission('admins:manage')(req, res, next));
+}
+
+// Everything except these routes requires a valid access token.
+const publicRoutes = [
+  ['GET', '/api/health'],
+  ['GET', '/api/db-health'],
+  ['POST', '/api/auth/login-admin'],
+  ['POST', '/api/auth/refresh'],
+  ['POST', '/api/auth/accept-invite'],
+  ['POST', '/api/auth/register-admin'], // guarded by requireAuthUnlessNoAdmins
+  ['GET', /^\/api\/feeds\/[^/]+$/], // polled by job boards; open jobs only
+  ['GET', /^\/api\/shared\/shortlists\/[^/]+(\/pdf)?$/], // share token in the path
+  ['PUT', /^\/api\/shared\/shortlists\/[^/]+\/candidates\/[^/]+\/feedback$/],
+  ['GET', /^\/api\/calendar\/[^/]+\.ics$/], // per-admin feed token in the path
+  ['GET', '/api/public/jobs'], // public job board, Open jobs only
+  ['GET', /^\/api\/public\/jobs\/[^/]+$/],
+  ['POST', /^\/api\/public\/jobs\/[^/]+\/apply$/], // rate limited, see PUBLIC JOB BOARD
+];
+
+const matchesRoute = (req, routes) =>
+  routes.some(([method, path]) =>
+    req.method === method && (typeof path === 'string' ? req.path === path : path.test(req.path)));
+
+const isPublicRoute = (req) => matchesRoute(req, publicRoutes);
+
+// --- Candidate auth: portal tokens + refresh sessions (candidate_sessions table) ---
+// Everything under /api/candidate/ belongs to the candidate portal. It works like admin auth
+// with its own sessions, and its access tokens carry the "candidate" audience: requireAuth
+// turns them away and requireCandidate accepts nothing else, so a candidate never reaches an
+// admin route and an admin token does not open a candidate's data.
+
+const candidateAudience = 'candidate';
+
+const isCandidateRoute = (req) => req.path.startsWith('/api/candidate/');
+
+async function createCandidateSession(user, req) {
+  const refreshToken = newRefreshToken();
+  const result = await pool.query(
+    `insert into candidate_sessions (user_id, refresh_token_hash, user_agent, ip, expires_at)
+     values ($1, $2, $3, $4, now() + make_interval(days => $5))
+     returning id`,
+    [user.id, hashToken(refreshToken), req.get('user-agent') || null, req.ip || null, refreshTokenTtlDays],
+  );
+  return issueTokens(user, result.rows[0].id, refreshToken, { audience: candidateAudience });
+}
+
+// Sets req.candidate ({ id, email, full_name, session_id }) for a live candidate session.
+async function requireCandidate(req, res, next) {
+  const { payload, error } = verifyBearer(req, { audience: candidateAudience });
+  if (error) {
+    return next(error);
+  }
+  try {
+    const result = await pool.query(
+      `select u.id, u.email, u.full_name
+       from candidate_sessions s
+       join users u on u.id = s.user_id
+       where s.id = $1 and s.user_id = $2 and u.anonymized_at is null
+         and s.revoked_at is null and s.expires_at > now()`,
+      [payload.sid, payload.sub],
+    );
+    if (result.rows.length === 0) {
+      return next(httpError(401, 'Session expired or revoked'));
+    }
+    req.candidate = { ...result.rows[0], session_id: payload.sid };
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+// Candidate routes open to anyone; the rest of /api/candidate/ needs requireCandidate.
+const candidatePublicRoutes = [
+  ['POST', '/api/candidate/register'],
+  ['POST', '/api/candidate/login'],
+  ['POST', '/api/candidate/refresh'],
+  ['POST', '/api/candidate/password-reset'],
+  ['POST', '/api/candidate/password-reset/confirm'],
+  ['GET', '/api/candidate/jobs'],
+  ['GET', /^\/api\/candidate\/jobs\/[^/]+$/],
+];
+
+app.use((req, res, next) => {
+  if (req.method === 'OPTIONS' || isPublicRoute(req)) {
+    return next();
+  }
+  if (isCandidateRoute(req)) {
+    return matchesRoute(req, candidatePublicRoutes) ? next() : requireCandidate(req, res, next);
+  }
+  return requireAuth(req, res, next);
+});
+
+// --- Audit log (append-only audit_log table, see lib/audit.js) ---
+// Every successful POST/PUT/PATCH/DELETE by a signed-in admin is recorded once the response has
+// been sent (candidate portal requests are not admin actions). Requests on
+// /api/<collection>/<id> also snapshot the row before and after, so updates show what changed;
+// creates record the object returned in the response.
+
+const auditEntities = {
+  users: { type: 'user', table: 'users' },
+  jobs: { type: 'job', table: 'jobs' },
+  applications: { type: 'application', table: 'applications' },
+  clients: { type: 'client', table: 'clients' },
+  admins: { type: 'admin', table: 'admin_users' },
+  resumes: { type: 'resume', table: 'resumes' },
+  interviews: { type: 'interview', table: 'interviews' },
+  shortlists: { type: 'shortlist', table: 'shortlists' },
+  emails: { type: 'email', table: 'email_outbox' },
+};
+
+const auditMethods = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Token exchanges are not admin actions
+const auditSkippedPaths = ['/api/auth/login-admin', '/api/auth/refresh'];
+
+const auditEntityPattern = new RegExp(
+  `/(${Object.keys(auditEntities).join('|')})/([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})(?=/|$)`,
+  'gi',
+);
+
+// The innermost /<collection>/<id> pair of the path, e.g. the interview in
+// /api/interviews/:id/cancel or the application in /api/applications/:id/status.
+function auditEntityFromPath(path) {
+  const matches = [...path.matchAll(auditEntityPattern)];
+  const match = matches[matches.length - 1];
+  return match ? { ...auditEntities[match[1].toLowerCase()], id: match[2].toLowerCase() } : null;
+}
+
+async function loadAuditRow(entity) {
+  const result = await pool.query(`select * from ${entity.table} where id = $1`, [entity.id]);
+  return result.rows[0] || null;
+}
+
+// Routes can override what is recorded with res.locals.audit = { entityType, entityId }, and
+// leave the snapshots out with { snapshots: false } (erasing a candidate must not copy them here).
+async function writeAuditEntry(req, res, entity, before) {
+  const body = res.locals.auditBody || {};
+  const override = res.locals.audit || {};
+  const created = res.statusCode === 201
+    ? Object.values(auditEntities).find(({ type }) => body[type]?.id)
+    : null;
+  let target = entity;
+  let changes = { before: null, after: null };
+  if (override.snapshots === false) {
+    target = created || entity;
+  } else if (created) {
+    target = created;
+    changes = { before: null, after: auditSnapshot(body[created.type]) };
+  } else if (entity) {
+    changes = auditChanges(before, await loadAuditRow(entity));
+  }
+  await pool.query(
+    `insert into audit_log
+       (actor_id, actor_email, action, entity_type, entity_id, before, after, method, path,
+        status_code, ip, user_agent)
+     values ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+    [
+      req.admin.id,
+      req.admin.email,
+      `${req.method} ${req.route ? req.baseUrl + req.route.path : req.path}`,
+      override.entityType || target?.type || null,
+      override.entityId || (created ? body[created.type].id : target?.id) || null,
+      changes.before,
+      changes.after,
+      req.method,
+      req.originalUrl,
+      res.statusCode,
+      req.ip || null,
+      req.get('user-agent') || null,
+    ],
+  );
+}
+
+app.use(async (req, res, next) => {
+  if (
+    !auditMethods.includes(req.method)
+    || auditSkippedPaths.includes(req.path)
+    || isCandidateRoute(req)
+  ) {
+    return next();
+  }
+  const entity = auditEntityFromPath(req.path);
+  let before = null;
+  try {
+    if (entity) before = await loadAuditRow(entity);
+  } catch (err) {
+    return next(err);
+  }
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    res.locals.auditBody = body;
+    return json(body);
+  };
+  res.on('finish', () => {
+    if (!req.admin || res.statusCode >= 400) return;
+    writeAuditEntry(req, res, entity, before).catch((err) => {
+      // eslint-disable-next-line no-console
+      console.error(`Failed to audit ${req.method} ${req.originalUrl}:`, err);
+    });
+  });
+  next();
+});
+
 // --- Health check endpoints ---
 app.get('/api/health', (req, res) => {
   res.json({
@@ -98,27 +590,27 @@ app.get('/api/db-health', async (req, res) => {
     const result = await pool.query('select 1 as ok');
     res.json({ status: 'ok', result: result.rows[0] });
   } catch (err) {
-    res.status(500).json({ status: 'error', error: err.message });
+    // eslint-disable-next-line no-console
+    console.error('db-health error:', err);
+    res.status(503).json({
+      status: 'error',
+      error: { code: 'service_unavailable', message: 'Database unavailable' },
+    });
   }
 });
 
 // --- AI Job Ad Generation ---
-app.post('/api/jobs/generate-ad', async (req, res) => {
-  const { description } = req.body || {};
-  if (!description) {
-    return res.status(400).json({ error: 'description is required' });
-  }
-  if (!openaiClient) {
-    return res.status(500).json({ error: 'OpenAI API key not configured' });
-  }
-  try {
-    const completion = await openaiClient.chat.completions.create({
-      model: 'gpt-3.5-turbo',
-      temperature: 0.7,
-      messages: [
-        {
-          role: 'system',
-          content: `You are a professional HR assistant that creates complete job postings.
+
+// Asks the model for a complete posting and fills any gaps with defaults. `usage` is the
+// { feature, adminId, clientId } context AI calls are logged and rate-limited under.
+async function generateJobAd(description, usage) {
+  const { data: jobData } = await trackedCompleteJson(
+    pool,
+    'job-ad',
+    [
+      {
+        role: 'system',
+        content: `You are a professional HR assistant that creates complete job postings.
 Return output strictly as JSON with this shape:
 {
   "title": "string",
@@ -133,74 +625,73 @@ Return output strictly as JSON with this shape:
   "required_skills": ["string"],
   "requirements": ["string"]
 }`,
-        },
-        {
-          role: 'user',
-          content: `Generate a professional job post based on this input: ${description}`,
-        },
-      ],
-    });
+      },
+      {
+        role: 'user',
+        content: `Generate a professional job post based on this input: ${description}`,
+      },
+    ],
+    { temperature: 0.7, usage },
+  );
 
-    const content = completion.choices[0]?.message?.content || '{}';
-    let jobData;
-    try {
-      jobData = JSON.parse(content);
-    } catch (_) {
-      const match =
-        content.match(/```json\s*([\s\S]*?)\s*```/) ||
-        content.match(/```\s*([\s\S]*?)\s*```/);
-      jobData = match ? JSON.parse(match[1]) : {};
-    }
-
-    const jobAd = {
-      title: jobData.title || 'Generated Role',
-      company: jobData.company || 'Your Company',
-      department: jobData.department || 'General',
-      location: jobData.location || 'Remote',
-      job_type: jobData.job_type || 'Full-time',
-      category: jobData.category || 'General',
-      language: jobData.language || 'English',
-      status: jobData.status || 'Open',
-      description: jobData.description || '',
-      required_skills: Array.isArray(jobData.required_skills)
-        ? jobData.required_skills
-        : typeof jobData.required_skills === 'string'
-          ? jobData.required_skills.split(',').map((s) => s.trim()).filter(Boolean)
-          : [],
-      requirements: Array.isArray(jobData.requirements)
-        ? jobData.requirements
-        : typeof jobData.requirements === 'string'
-          ? jobData.requirements.split(',').map((s) => s.trim()).filter(Boolean)
-          : [],
-    };
+  return {
+    title: jobData.title || 'Generated Role',
+    company: jobData.company || 'Your Company',
+    department: jobData.department || 'General',
+    location: jobData.location || 'Remote',
+    job_type: jobData.job_type || 'Full-time',
+    category: jobData.category || 'General',
+    language: jobData.language || 'English',
+    status: jobData.status || 'Open',
+    description: jobData.description || '',
+    required_skills: Array.isArray(jobData.required_skills)
+      ? jobData.required_skills
+      : typeof jobData.required_skills === 'string'
+        ? jobData.required_skills.split(',').map((s) => s.trim()).filter(Boolean)
+        : [],
+    requirements: Array.isArray(jobData.requirements)
+      ? jobData.requirements
+      : typeof jobData.requirements === 'string'
+        ? jobData.requirements.split(',').map((s) => s.trim()).filter(Boolean)
+        : [],
+  };
+}
 
+const generateAdSchema = {
+  body: { description: { type: 'string', required: true, max: 10000 } },
+};
+
+app.post('/api/jobs/generate-ad', requirePermission('ai:use'), validate(generateAdSchema), async (req, res, next) => {
+  const { description } = req.body;
+  if (!llmConfigured()) {
+    return next(llmNotConfiguredError());
+  }
+  try {
+    const jobAd = await generateJobAd(description, {
+      feature: 'generate-ad',
+      adminId: req.admin.id,
+    });
     res.json({ jobAd });
   } catch (err) {
-    // eslint-disable-next-line no-console
-    console.error('generate-ad error:', err);
-    res.status(500).json({ error: `Failed to generate job ad: ${err.message}` });
+    next(err.status ? err : httpError(500, 'Failed to generate job ad', { cause: err }));
   }
 });
 
 // --- Resume Parsing Tool ---
-app.post('/api/tools/extract-skills', upload.single('resume'), async (req, res) => {
-  if (!req.file) {
-    return res.status(400).json({ error: 'No file uploaded' });
-  }
-  if (req.file.mimetype !== 'application/pdf') {
-    return res.status(415).json({ error: 'Only PDF files are supported' });
-  }
-  if (!openaiClient) {
-    return res.status(500).json({ error: 'OpenAI API key not configured' });
-  }
-  try {
-    const pdfData = await pdfParse(req.file.buffer).catch(() => null);
-    const text = pdfData?.text?.slice(0, 100000) || '';
-    if (!text) {
-      return res.status(400).json({ error: 'Could not read PDF text' });
-  }
 
-    const prompt = `You are a resume parser. From the resume text below, extract a JSON object with this schema only:
+// Reads the text of an uploaded resume (PDF, scanned PDF, DOCX, RTF or TXT, see lib/extract.js);
+// returns '' when nothing could be extracted.
+async function extractResumeText(file) {
+  const extracted = await extractText(file.buffer).catch((err) => {
+    throw httpError(400, 'Could not read the uploaded file', { cause: err });
+  });
+  return extracted?.text.slice(0, 100000) || '';
+}
+
+// Asks the model for structured resume data (contact, summary, skills, experience, ...).
+// Identical resume text is answered from the AI cache.
+async function parseResumeText(text, usage) {
+  const prompt = `You are a resume parser. From the resume text below, extract a JSON object with this schema only:
 {
   "contact": { "name": "string", "email": "string", "phone": "string", "location": "string" },
   "summary": "string",
@@ -219,624 +710,6531 @@ Fill missing values with empty strings or empty arrays. Keep lists concise and d
 Resume text:
 ${text.substring(0, 12000)}`;
 
-    const completion = await openaiClient.chat.completions.create({
-      model: 'gpt-3.5-turbo',
-      temperature: 0.2,
-      messages: [
-        { role: 'system', content: 'You extract structured resume data and return JSON only.' },
-        { role: 'user', content: prompt },
-      ],
-    });
+  const { data: parsed } = await trackedCompleteJson(
+    pool,
+    'resume-parse',
+    [
+      { role: 'system', content: 'You extract structured resume data and return JSON only.' },
+      { role: 'user', content: prompt },
+    ],
+    { temperature: 0.2, cache: true, usage },
+  );
+
+  const sanitizeArray = (value) =>
+    Array.isArray(value) ? value.map((v) => String(v).trim()).filter(Boolean) : [];
+
+  parsed.skills = sanitizeArray(parsed.skills);
+  parsed.certifications = sanitizeArray(parsed.certifications);
+  parsed.languages = sanitizeArray(parsed.languages);
+  parsed.links = sanitizeArray(parsed.links);
+  parsed.experience = Array.isArray(parsed.experience) ? parsed.experience : [];
+  parsed.education = Array.isArray(parsed.education) ? parsed.education : [];
+  parsed.contact = parsed.contact || { name: '', email: '', phone: '', location: '' };
+  return parsed;
+}
+
+// Extracts and parses an uploaded resume, throwing 400 when it has no readable text.
+async function parseResumeFile(file, usage) {
+  const text = await extractResumeText(file);
+  if (!text) {
+    throw httpError(400, 'No readable text found in the uploaded file');
+  }
+  return parseResumeText(text, usage);
+}
 
-    const content = completion.choices[0]?.message?.content || '{}';
-    let parsed = {};
+// Upload checks shared by every route that accepts a resume file. The type is sniffed from the
+// content; the client's mimetype is replaced by it so stored files are served correctly.
+function checkResumeUpload(req) {
+  if (!req.file) {
+    return httpError(400, 'No file uploaded');
+  }
+  const fileType = detectFileType(req.file.buffer);
+  if (!fileType) {
+    return httpError(415, `Unsupported file type, upload one of: ${supportedFileTypes().join(', ')}`);
+  }
+  req.file.mimetype = fileType.contentType;
+  return null;
+}
+
+const extractSkillsSchema = {
+  body: {
+    user_id: { type: 'uuid' },
+    application_id: { type: 'uuid' },
+  },
+};
+
+// POST /api/tools/extract-skills - multipart "resume"; optional user_id / application_id store
+// the file as the candidate's next resume version and attach the parsed data.
+app.post(
+  '/api/tools/extract-skills',
+  requirePermission('ai:use'),
+  upload.single('resume'),
+  validate(extractSkillsSchema),
+  async (req, res, next) => {
+    const uploadError = checkResumeUpload(req);
+    if (uploadError) {
+      return next(uploadError);
+    }
+    const { user_id: userId, application_id: applicationId } = req.body;
+    if ((userId || applicationId) && !hasPermission(req.admin, 'users:write')) {
+      return next(httpError(403, 'Missing permission: users:write'));
+    }
+    if (!llmConfigured()) {
+      return next(llmNotConfiguredError());
+    }
     try {
-      parsed = JSON.parse(content);
-    } catch (_) {
-      const match =
-        content.match(/```json\s*([\s\S]*?)\s*```/) ||
-        content.match(/```\s*([\s\S]*?)\s*```/);
-      parsed = match ? JSON.parse(match[1]) : {};
+      const owner = userId || applicationId
+        ? await resolveResumeOwner(userId, applicationId)
+        : null;
+      const parsed = await parseResumeFile(req.file, {
+        feature: 'extract-skills',
+        adminId: req.admin.id,
+      });
+      if (!owner) {
+        return res.json({ parsed });
+      }
+      const resume = await storeResume(owner, req.file, { parsed, uploadedBy: req.admin.id });
+      res.status(201).json({ parsed, resume });
+    } catch (err) {
+      next(err.status ? err : httpError(500, 'Failed to extract skills', { cause: err }));
     }
+  },
+);
+
+// --- AI USAGE AND QUOTAS (see lib/ai-usage.js) ---
+
+const aiUsageSchema = {
+  query: {
+    from: { type: 'date' },
+    to: { type: 'date' },
+    admin_id: { type: 'uuid' },
+    client_id: { type: 'uuid' },
+    feature: { type: 'string', max: 100 },
+  },
+};
+
+const aiUsageTotals = `count(*)::int as calls,
+       count(*) filter (where cached)::int as cached_calls,
+       count(*) filter (where not success)::int as failed_calls,
+       coalesce(sum(prompt_tokens), 0)::int as prompt_tokens,
+       coalesce(sum(completion_tokens), 0)::int as completion_tokens,
+       coalesce(sum(total_tokens), 0)::int as total_tokens,
+       coalesce(round(avg(latency_ms) filter (where not cached)), 0)::int as avg_latency_ms`;
+
+// GET /api/ai/usage - ?from, ?to (default: last 30 days), ?admin_id, ?client_id, ?feature.
+// Totals broken down by day and feature; admins without admins:manage only see their own calls.
+app.get('/api/ai/usage', requirePermission('ai:use'), validate(aiUsageSchema), async (req, res, next) => {
+  const { from, to, client_id: clientId, feature } = req.query;
+  const adminId = hasPermission(req.admin, 'admins:manage') ? req.query.admin_id : req.admin.id;
+
+  const params = [];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  const where = [
+    from
+      ? `created_at >= ${param(from)}`
+      : "created_at >= date_trunc('day', now(), 'UTC') - interval '29 days'",
+  ];
+  if (to) {
+    where.push(isDateOnly(to) ? `created_at < ${param(to)}::date + 1` : `created_at <= ${param(to)}`);
+  }
+  if (adminId) where.push(`admin_id = ${param(adminId)}`);
+  if (clientId) where.push(`client_id = ${param(clientId)}`);
+  if (feature) where.push(`feature = ${param(feature)}`);
+  const whereSql = `where ${where.join(' and ')}`;
 
-    const sanitizeArray = (value) =>
-      Array.isArray(value) ? value.map((v) => String(v).trim()).filter(Boolean) : [];
+  try {
+    const [totals, byDay, byFeature] = await Promise.all([
+      pool.query(`select ${aiUsageTotals} from ai_usage ${whereSql}`, params),
+      pool.query(
+        `select to_char(date_trunc('day', created_at, 'UTC'), 'YYYY-MM-DD') as day, feature,
+                ${aiUsageTotals}
+         from ai_usage
+         ${whereSql}
+         group by 1, 2
+         order by 1, 2`,
+        params,
+      ),
+      pool.query(
+        `select feature, ${aiUsageTotals}
+         from ai_usage
+         ${whereSql}
+         group by feature
+         order by total_tokens desc`,
+        params,
+      ),
+    ]);
 
-    parsed.skills = sanitizeArray(parsed.skills);
-    parsed.certifications = sanitizeArray(parsed.certifications);
-    parsed.languages = sanitizeArray(parsed.languages);
-    parsed.links = sanitizeArray(parsed.links);
-    parsed.experience = Array.isArray(parsed.experience) ? parsed.experience : [];
-    parsed.education = Array.isArray(parsed.education) ? parsed.education : [];
-    parsed.contact = parsed.contact || { name: '', email: '', phone: '', location: '' };
+    const days = [];
+    for (const { day, feature: rowFeature, ...counts } of byDay.rows) {
+      if (days.at(-1)?.day !== day) {
+        days.push({ day, calls: 0, total_tokens: 0, features: [] });
+      }
+      const entry = days.at(-1);
+      entry.calls += counts.calls;
+      entry.total_tokens += counts.total_tokens;
+      entry.features.push({ feature: rowFeature, ...counts });
+    }
 
-    res.json({ parsed });
+    const quota = await aiQuotaStatus(pool, { adminId: req.admin.id });
+    res.json({
+      totals: totals.rows[0],
+      by_day: days,
+      by_feature: byFeature.rows,
+      // The caller's own allowance for today
+      quota: quota.admin,
+    });
   } catch (err) {
-    // eslint-disable-next-line no-console
-    console.error('extract-skills error:', err);
-    res.status(500).json({ error: 'Failed to extract skills' });
+    next(err);
+  }
+});
+
+// GET /api/ai/quotas - per-admin / per-client overrides and the defaults they replace
+app.get('/api/ai/quotas', requirePermission('admins:manage'), async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `select q.id, q.admin_id, au.email as admin_email, q.client_id, c.company as client_company,
+              q.daily_token_limit, q.updated_by, q.updated_at
+       from ai_quotas q
+       left join admin_users au on au.id = q.admin_id
+       left join clients c on c.id = q.client_id
+       order by q.updated_at desc`,
+    );
+    const defaults = defaultAiQuotas();
+    res.json({
+      defaults: {
+        admin_daily_token_limit: defaults.admin,
+        client_daily_token_limit: defaults.client,
+      },
+      quotas: result.rows,
+    });
+  } catch (err) {
+    next(err);
   }
 });
 
-// --- AUTH: admin_users table (from schema.sql) ---
+const setAiQuotaSchema = {
+  body: {
+    admin_id: { type: 'uuid' },
+    client_id: { type: 'uuid' },
+    daily_token_limit: { type: 'integer', min: 0, required: true, nullable: true },
+  },
+};
 
-// POST /api/auth/register-admin
-app.post('/api/auth/register-admin', async (req, res) => {
-  const { email, password } = req.body || {};
-  if (!email || !password) {
-    return res.status(400).json({ error: 'email and password are required' });
+// PUT /api/ai/quotas - body { admin_id | client_id, daily_token_limit } (null = unlimited)
+app.put('/api/ai/quotas', requirePermission('admins:manage'), validate(setAiQuotaSchema), async (req, res, next) => {
+  const { admin_id: adminId, client_id: clientId, daily_token_limit: limit } = req.body;
+  if (Boolean(adminId) === Boolean(clientId)) {
+    return next(new ValidationError({ admin_id: 'set exactly one of admin_id and client_id' }));
+  }
+  const column = adminId ? 'admin_id' : 'client_id';
+  try {
+    const result = await pool.query(
+      `insert into ai_quotas (${column}, daily_token_limit, updated_by)
+       values ($1, $2, $3)
+       on conflict (${column}) do update
+         set daily_token_limit = excluded.daily_token_limit,
+             updated_by = excluded.updated_by,
+             updated_at = now()
+       returning *`,
+      [adminId || clientId, limit, req.admin.id],
+    );
+    res.json({ quota: result.rows[0] });
+  } catch (err) {
+    next(err);
   }
+});
+
+// DELETE /api/ai/quotas/:id - drop an override so the default applies again
+app.delete('/api/ai/quotas/:id', requirePermission('admins:manage'), validate(idParam), async (req, res, next) => {
   try {
-    const normalized = String(email).trim().toLowerCase();
-    const emailRe = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRe.test(normalized)) {
-      return res.status(400).json({ error: 'Invalid email format' });
+    const result = await pool.query('delete from ai_quotas where id = $1 returning id', [req.params.id]);
+    if (result.rows.length === 0) {
+      return next(httpError(404, 'Quota not found'));
     }
+    res.json({ success: true, id: result.rows[0].id });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --- AUTH: admin_users table ---
 
+// POST /api/auth/register-admin
+const registerAdminSchema = {
+  body: {
+    email: { type: 'email', required: true },
+    password: passwordRule,
+    role: { type: 'string', enum: adminRoles, default: 'viewer' },
+  },
+};
+
+app.post('/api/auth/register-admin', validate(registerAdminSchema), requireAuthUnlessNoAdmins, async (req, res, next) => {
+  const { email: normalized, password } = req.body;
+  const role = req.bootstrapAdmin ? 'owner' : req.body.role;
+  try {
     const hashed = await bcrypt.hash(password, 10);
     const result = await pool.query(
-      'insert into admin_users (email, password_hash) values ($1, $2) returning id, email',
-      [normalized, hashed]
+      `insert into admin_users (email, password_hash, role, invited_by)
+       values ($1, $2, $3, $4)
+       returning id, email, role, is_active`,
+      [normalized, hashed, role, req.admin?.id || null]
     );
+    res.locals.audit = { entityType: 'admin', entityId: result.rows[0].id };
     res.status(201).json({ user: result.rows[0] });
   } catch (err) {
     if (err.code === '23505') {
-      return res.status(409).json({ error: 'Email already exists' });
+      return next(httpError(409, 'Email already exists', { fields: { email: 'already exists' } }));
     }
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
 // POST /api/auth/login-admin
-app.post('/api/auth/login-admin', async (req, res) => {
-  const { email, password } = req.body || {};
-  if (!email || !password) {
-    return res.status(400).json({ error: 'email and password are required' });
+const loginSchema = {
+  body: { email: { type: 'string', required: true }, password: passwordRule },
+};
+
+app.post('/api/auth/login-admin', validate(loginSchema), async (req, res, next) => {
+  const { email, password } = req.body;
+  if (!jwtSecret) {
+    return next(httpError(500, 'JWT_SECRET not configured'));
   }
   try {
     const lower = String(email).toLowerCase();
     const r = await pool.query(
-      'select id, email, password_hash from admin_users where email = $1',
+      'select id, email, role, is_active, password_hash from admin_users where email = $1',
       [lower]
     );
     if (r.rowCount !== 1) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+      return next(httpError(401, 'Invalid credentials'));
     }
     const ok = await bcrypt.compare(password, r.rows[0].password_hash || '');
     if (!ok) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+      return next(httpError(401, 'Invalid credentials'));
+    }
+    if (!r.rows[0].is_active) {
+      return next(httpError(403, 'Account is deactivated'));
     }
-    res.json({ user: { id: r.rows[0].id, email: r.rows[0].email } });
+    const user = { id: r.rows[0].id, email: r.rows[0].email, role: r.rows[0].role };
+    const tokens = await createSession(user, req);
+    res.json({ user, ...tokens });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
-// --- USERS (candidates) ---
+// POST /api/auth/refresh - rotate refresh token, issue a new access token
+const refreshSchema = { body: { refresh_token: { type: 'string', required: true } } };
 
-// POST /api/users - create user
-app.post('/api/users', async (req, res) => {
-  const { full_name, email, password, phone } = req.body || {};
-  if (!full_name || !email || !password) {
-    return res
-      .status(400)
-      .json({ error: 'full_name, email and password are required' });
+app.post('/api/auth/refresh', validate(refreshSchema), async (req, res, next) => {
+  const { refresh_token } = req.body;
+  if (!jwtSecret) {
+    return next(httpError(500, 'JWT_SECRET not configured'));
   }
   try {
-    const hashed = await bcrypt.hash(password, 10);
+    const rotated = newRefreshToken();
     const result = await pool.query(
-      `insert into users (full_name, email, password_hash, phone)
-       values ($1, $2, $3, $4)
-       returning id, full_name, email, phone, created_at`,
-      [full_name, email.toLowerCase(), hashed, phone || null]
+      `update admin_sessions s
+          set refresh_token_hash = $2, last_used_at = now()
+         from admin_users u
+        where u.id = s.admin_user_id and u.is_active
+          and s.refresh_token_hash = $1
+          and s.revoked_at is null and s.expires_at > now()
+        returning s.id as session_id, u.id, u.email, u.role`,
+      [hashToken(refresh_token), hashToken(rotated)],
     );
-    res.status(201).json({ user: result.rows[0] });
-  } catch (err) {
-    if (err.code === '23505') {
-      return res.status(409).json({ error: 'Email already exists' });
+    if (result.rows.length === 0) {
+      return next(httpError(401, 'Invalid or expired refresh token'));
     }
-    res.status(500).json({ error: err.message });
+    const { session_id, ...user } = result.rows[0];
+    res.json({ user, ...issueTokens(user, session_id, rotated) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/auth/logout - revoke the current session
+app.post('/api/auth/logout', async (req, res, next) => {
+  try {
+    await pool.query(
+      'update admin_sessions set revoked_at = now() where id = $1 and revoked_at is null',
+      [req.admin.session_id],
+    );
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
   }
 });
 
-// GET /api/users - list all users
-app.get('/api/users', async (req, res) => {
+// POST /api/auth/logout-all - revoke every session of the current admin
+app.post('/api/auth/logout-all', async (req, res, next) => {
   try {
     const result = await pool.query(
-      'select id, full_name, email, phone, created_at from users order by created_at desc'
+      `update admin_sessions set revoked_at = now()
+       where admin_user_id = $1 and revoked_at is null`,
+      [req.admin.id],
     );
-    res.json({ users: result.rows });
+    res.json({ success: true, revoked: result.rowCount });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
-// GET /api/users/:id
-app.get('/api/users/:id', async (req, res) => {
-  const { id } = req.params;
+// GET /api/auth/me
+app.get('/api/auth/me', (req, res) => {
+  const { id, email, role } = req.admin;
+  res.json({ user: { id, email, role, permissions: rolePermissions[role] || [] } });
+});
+
+// POST /api/auth/accept-invite - set a password for an invited admin
+const acceptInviteSchema = {
+  body: { token: { type: 'string', required: true }, password: passwordRule },
+};
+
+app.post('/api/auth/accept-invite', validate(acceptInviteSchema), async (req, res, next) => {
+  const { token, password } = req.body;
   try {
+    const hashed = await bcrypt.hash(password, 10);
     const result = await pool.query(
-      'select id, full_name, email, phone, created_at from users where id = $1',
-      [id]
+      `update admin_users
+          set password_hash = $2, invite_token_hash = null, invite_expires_at = null
+        where invite_token_hash = $1 and invite_expires_at > now() and is_active
+        returning id, email, role`,
+      [hashToken(token), hashed],
     );
     if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
+      return next(httpError(400, 'Invalid or expired invite'));
     }
     res.json({ user: result.rows[0] });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
-// GET /api/users/:id/anonymized-pdf
-app.get('/api/users/:id/anonymized-pdf', async (req, res) => {
-  const { id } = req.params;
+// --- ADMIN MANAGEMENT (owner only) ---
+
+// GET /api/admins
+app.get('/api/admins', requirePermission('admins:manage'), async (req, res, next) => {
   try {
-    const userResult = await pool.query(
-      'select id, full_name, email, created_at from users where id = $1',
-      [id],
+    const result = await pool.query(
+      `select id, email, role, is_active, invited_by,
+              (invite_token_hash is not null) as invite_pending
+       from admin_users
+       order by email`
     );
-    if (userResult.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
-    }
+    res.json({ admins: result.rows });
+  } catch (err) {
+    next(err);
+  }
+});
 
-    const applicationResult = await pool.query(
-      `select a.ai_parsed_data, a.status, a.created_at, j.title as job_title
-       from applications a
-       inner join jobs j on j.id = a.job_id
-       where a.user_id = $1
-       order by a.created_at desc
-       limit 1`,
-      [id],
+// POST /api/admins/invite - create an admin with a one-time invite token (valid 7 days)
+const inviteAdminSchema = {
+  body: {
+    email: { type: 'email', required: true },
+    role: { type: 'string', enum: adminRoles, default: 'viewer' },
+  },
+};
+
+app.post('/api/admins/invite', requirePermission('admins:manage'), validate(inviteAdminSchema), async (req, res, next) => {
+  const { email: normalized, role } = req.body;
+  try {
+    const inviteToken = crypto.randomBytes(32).toString('base64url');
+    const result = await pool.query(
+      `insert into admin_users
+         (email, password_hash, role, invited_by, invite_token_hash, invite_expires_at)
+       values ($1, '', $2, $3, $4, now() + interval '7 days')
+       returning id, email, role, is_active, invite_expires_at`,
+      [normalized, role, req.admin.id, hashToken(inviteToken)],
     );
+    res.status(201).json({ admin: result.rows[0], invite_token: inviteToken });
+  } catch (err) {
+    if (err.code === '23505') {
+      return next(httpError(409, 'Email already exists', { fields: { email: 'already exists' } }));
+    }
+    next(err);
+  }
+});
 
-    const candidate = userResult.rows[0];
-    const application = applicationResult.rows[0] || {};
-    const parsed = application.ai_parsed_data || {};
+// PATCH /api/admins/:id - change role and/or (de)activate
+const updateAdminSchema = {
+  ...idParam,
+  body: {
+    role: { type: 'string', enum: adminRoles },
+    is_active: { type: 'boolean' },
+  },
+};
 
-    const doc = new PDFDocument({ margin: 50 });
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader(
+app.patch('/api/admins/:id', requirePermission('admins:manage'), validate(updateAdminSchema), async (req, res, next) => {
+  const { id } = req.params;
+  const { role, is_active } = req.body;
+  if (role === undefined && is_active === undefined) {
+    return next(httpError(400, 'role or is_active is required', { code: 'validation_failed' }));
+  }
+  if (String(id) === String(req.admin.id) && ((role && role !== 'owner') || is_active === false)) {
+    return next(httpError(400, 'You cannot demote or deactivate your own account'));
+  }
+  const client = await connectOrNext(next);
+  if (!client) return;
+  try {
+    await client.query('begin');
+    const result = await client.query(
+      `update admin_users
+          set role = coalesce($1, role),
+              is_active = coalesce($2, is_active)
+        where id = $3
+        returning id, email, role, is_active`,
+      [role ?? null, is_active ?? null, id],
+    );
+    if (result.rows.length === 0) {
+      await client.query('rollback');
+      return next(httpError(404, 'Admin not found'));
+    }
+    if (is_active === false) {
+      await client.query(
+        `update admin_sessions set revoked_at = now()
+         where admin_user_id = $1 and revoked_at is null`,
+        [id],
+      );
+    }
+    await client.query('commit');
+    res.json({ admin: result.rows[0] });
+  } catch (err) {
+    await client.query('rollback');
+    next(err);
+  } finally {
+    client.release();
+  }
+});
+
+// --- AUDIT LOG: reading and exporting (entries are written by the audit middleware) ---
+
+// GET /api/audit - ?actor_id, ?actor_email, ?entity_type, ?entity_id, ?method, ?from/?to, ?q,
+// paging as in runListQuery
+app.get('/api/audit', requirePermission('audit:read'), async (req, res, next) => {
+  try {
+    const result = await runListQuery(req.query, auditListSpec);
+    res.json({ entries: result.rows, pagination: result.pagination });
+  } catch (err) {
+    next(err);
+  }
+});
+
+const auditExportColumns = [
+  ['created_at', (entry) => entry.created_at],
+  ['actor_id', (entry) => entry.actor_id],
+  ['actor_email', (entry) => entry.actor_email],
+  ['action', (entry) => entry.action],
+  ['entity_type', (entry) => entry.entity_type],
+  ['entity_id', (entry) => entry.entity_id],
+  ['before', (entry) => entry.before],
+  ['after', (entry) => entry.after],
+  ['path', (entry) => entry.path],
+  ['status_code', (entry) => entry.status_code],
+  ['ip', (entry) => entry.ip],
+  ['user_agent', (entry) => entry.user_agent],
+  ['id', (entry) => entry.id],
+];
+
+// GET /api/audit/export - every entry matching the same filters as CSV (or ?format=xlsx), for
+// compliance reviews
+app.get('/api/audit/export', requirePermission('audit:read'), async (req, res, next) => {
+  try {
+    await streamListExport(res, req.query, auditListSpec, {
+      format: exportFormat(req.query) || 'csv',
+      filename: 'audit-log',
+      sheetName: 'Audit log',
+      columns: auditExportColumns,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --- LIST QUERIES: pagination, filters, sorting and search ---
+// Each list endpoint describes itself with a spec; runListQuery() turns ?limit, ?offset or
+// ?cursor, ?sort=field|-field, ?q and the spec's filters into parameterized SQL.
+// Cursors are keyset cursors over (sort expression, id), so sort expressions must not be null.
+
+const listLimitDefault = 50;
+const listLimitMax = 200;
+
+const encodeCursor = (value, id) => Buffer.from(JSON.stringify([value, id])).toString('base64url');
+
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return Array.isArray(decoded) && decoded.length === 2 ? decoded : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+const escapeLike = (value) => String(value).replace(/[\\%_]/g, (ch) => `\\${ch}`);
+const isDateOnly = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+// Returns { rows, pagination }; throws ValidationError for invalid query parameters.
+// `total: false` skips the count query (pagination.total is null), e.g. when exporting.
+async function runListQuery(query, spec, { total = true } = {}) {
+  const params = [];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  const where = spec.where ? [spec.where] : [];
+
+  for (const [name, filter] of Object.entries(spec.filters || {})) {
+    const raw = query[name];
+    if (raw === undefined || raw === '') continue;
+    const value = String(raw);
+    if (filter.type === 'date') {
+      if (Number.isNaN(Date.parse(value))) {
+        throw new ValidationError({ [name]: 'must be a date' });
+      }
+      if (filter.op === 'lte' && isDateOnly(value)) {
+        where.push(`${filter.column} < ${param(value)}::date + 1`);
+      } else {
+        where.push(`${filter.column} ${filter.op === 'lte' ? '<=' : '>='} ${param(value)}`);
+      }
+    } else {
+      // Comma-separated values match any of them: ?status=Open,Draft
+      const values = value.split(',').map((v) => v.trim()).filter(Boolean);
+      where.push(`${filter.column} = any(${param(values)})`);
+    }
+  }
+
+  const search = String(query.q || '').trim();
+  if (search && spec.search?.length) {
+    const pattern = param(`%${escapeLike(search)}%`);
+    where.push(`(${spec.search.map((column) => `${column} ilike ${pattern}`).join(' or ')})`);
+  }
+
+  const sortParam = String(query.sort || spec.defaultSort);
+  const sortKey = sortParam.replace(/^-/, '');
+  const direction = sortParam.startsWith('-') ? 'desc' : 'asc';
+  const sortExpr = spec.sort[sortKey];
+  if (!sortExpr) {
+    throw new ValidationError({ sort: `must be one of: ${Object.keys(spec.sort).join(', ')}` });
+  }
+
+  const limit = query.limit === undefined ? listLimitDefault : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > listLimitMax) {
+    throw new ValidationError({ limit: `must be an integer between 1 and ${listLimitMax}` });
+  }
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new ValidationError({ offset: 'must be a non-negative integer' });
+  }
+
+  const filterSql = where.length ? `where ${where.join(' and ')}` : '';
+  const filterParams = [...params];
+
+  let pageWhere = filterSql;
+  let pageSql;
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor);
+    if (!cursor) {
+      throw new ValidationError({ cursor: 'is invalid' });
+    }
+    const op = direction === 'desc' ? '<' : '>';
+    const comparison = `(${sortExpr}, ${spec.id}) ${op} (${param(cursor[0])}, ${param(cursor[1])})`;
+    pageWhere = where.length ? `${filterSql} and ${comparison}` : `where ${comparison}`;
+    pageSql = `limit ${param(limit)}`;
+  } else {
+    pageSql = `limit ${param(limit)} offset ${param(offset)}`;
+  }
+
+  const [rowsResult, countResult] = await Promise.all([
+    pool.query(
+      `select ${spec.select}, (${sortExpr})::text as cursor_value
+       from ${spec.from}
+       ${pageWhere}
+       order by ${sortExpr} ${direction}, ${spec.id} ${direction}
+       ${pageSql}`,
+      params,
+    ),
+    total
+      ? pool.query(`select count(*)::int as total from ${spec.from} ${filterSql}`, filterParams)
+      : { rows: [{ total: null }] },
+  ]);
+
+  const last = rowsResult.rows[rowsResult.rows.length - 1];
+  const rows = rowsResult.rows.map(({ cursor_value: _cursor, ...row }) => row);
+  return {
+    rows,
+    pagination: {
+      total: countResult.rows[0].total,
+      limit,
+      offset: query.cursor ? null : offset,
+      next_cursor:
+        rowsResult.rows.length === limit ? encodeCursor(last.cursor_value, last.id) : null,
+    },
+  };
+}
+
+const exportFormats = Object.keys(spreadsheetFormats);
+
+// ?format=csv|xlsx on a list endpoint asks for a file with every matching row instead of a page
+const exportFormat = (query) => {
+  if (query.format === undefined || query.format === 'json') return null;
+  if (!exportFormats.includes(query.format)) {
+    throw new ValidationError({ format: `must be one of: json, ${exportFormats.join(', ')}` });
+  }
+  return query.format;
+};
+
+// Streams every row matching the list's filters and sort as CSV or XLSX, a page at a time over
+// the keyset cursor. `columns` are [header, (row) => value] pairs.
+async function streamListExport(res, query, spec, { format, filename, sheetName, columns }) {
+  const pageQuery = { ...query, limit: listLimitMax, offset: undefined, cursor: undefined };
+  // The first page is read before any output so invalid filters still get a 400
+  let page = await runListQuery(pageQuery, spec, { total: false });
+  const { contentType, extension } = spreadsheetFormats[format];
+  res.setHeader('Content-Type', contentType);
+  res.setHeader(
+    'Content-Disposition',
+    `attachment; filename="${filename}-${new Date().toISOString().slice(0, 10)}.${extension}"`,
+  );
+  const sheet = createSheetWriter(format, res, { sheetName });
+  await sheet.writeRows([columns.map(([header]) => header)]);
+  for (;;) {
+    await sheet.writeRows(page.rows.map((row) => columns.map(([, value]) => value(row))));
+    if (!page.pagination.next_cursor) break;
+    page = await runListQuery({ ...pageQuery, cursor: page.pagination.next_cursor }, spec, {
+      total: false,
+    });
+  }
+  await sheet.end();
+}
+
+const userListSpec = {
+  select: 'u.id, u.full_name, u.email, u.phone, u.language, u.created_at, u.anonymized_at',
+  from: 'users u',
+  id: 'u.id',
+  filters: {
+    created_from: { column: 'u.created_at', type: 'date', op: 'gte' },
+    created_to: { column: 'u.created_at', type: 'date', op: 'lte' },
+  },
+  sort: { created_at: 'u.created_at', full_name: 'u.full_name', email: 'u.email' },
+  defaultSort: '-created_at',
+  search: ['u.full_name', 'u.email', 'u.phone'],
+};
+
+const jobListSpec = {
+  select: 'j.*, c.company as client_company',
+  from: 'jobs j left join clients c on c.id = j.client_id',
+  id: 'j.id',
+  filters: {
+    status: { column: 'j.status' },
+    department: { column: 'j.department' },
+    client_id: { column: 'j.client_id' },
+    job_type: { column: 'j.job_type' },
+    category: { column: 'j.category' },
+    remote_policy: { column: 'j.remote_policy' },
+    created_from: { column: 'j.created_at', type: 'date', op: 'gte' },
+    created_to: { column: 'j.created_at', type: 'date', op: 'lte' },
+  },
+  sort: {
+    created_at: 'j.created_at',
+    title: 'j.title',
+    department: 'j.department',
+    status: "coalesce(j.status, '')",
+  },
+  defaultSort: '-created_at',
+  search: ['j.title', 'j.description', 'j.department', 'j.company', 'j.location', 'c.company'],
+};
+
+const applicationListSpec = {
+  select: `a.id, a.user_id, a.job_id, a.status, a.status_changed_at, a.match_score, a.source,
+           a.created_at, u.full_name, u.email, j.title as job_title`,
+  from: `applications a
+         join users u on u.id = a.user_id
+         join jobs j on j.id = a.job_id`,
+  id: 'a.id',
+  filters: {
+    status: { column: 'a.status' },
+    job_id: { column: 'a.job_id' },
+    user_id: { column: 'a.user_id' },
+    source: { column: 'a.source' },
+    created_from: { column: 'a.created_at', type: 'date', op: 'gte' },
+    created_to: { column: 'a.created_at', type: 'date', op: 'lte' },
+  },
+  sort: {
+    created_at: 'a.created_at',
+    status: "coalesce(a.status, '')",
+    match_score: 'coalesce(a.match_score, -1)',
+    full_name: 'u.full_name',
+    job_title: 'j.title',
+  },
+  defaultSort: '-created_at',
+  search: ['u.full_name', 'u.email', 'j.title'],
+};
+
+const clientListSpec = {
+  select: 'c.id, c.company, c.contact_person, c.email, c.status, c.created_at, c.updated_at',
+  from: 'clients c',
+  id: 'c.id',
+  filters: {
+    status: { column: 'c.status' },
+    created_from: { column: 'c.created_at', type: 'date', op: 'gte' },
+    created_to: { column: 'c.created_at', type: 'date', op: 'lte' },
+  },
+  sort: { created_at: 'c.created_at', company: 'c.company', status: 'c.status' },
+  defaultSort: '-created_at',
+  search: ['c.company', 'c.contact_person', 'c.email'],
+};
+
+const auditListSpec = {
+  select: `l.id, l.actor_id, l.actor_email, l.action, l.entity_type, l.entity_id, l.before,
+           l.after, l.method, l.path, l.status_code, l.ip, l.user_agent, l.created_at`,
+  from: 'audit_log l',
+  id: 'l.id',
+  filters: {
+    actor_id: { column: 'l.actor_id' },
+    actor_email: { column: 'l.actor_email' },
+    entity_type: { column: 'l.entity_type' },
+    entity_id: { column: 'l.entity_id' },
+    method: { column: 'l.method' },
+    from: { column: 'l.created_at', type: 'date', op: 'gte' },
+    to: { column: 'l.created_at', type: 'date', op: 'lte' },
+  },
+  sort: { created_at: 'l.created_at' },
+  defaultSort: '-created_at',
+  search: ['l.action', 'l.path', 'l.actor_email'],
+};
+
+// --- CANDIDATE EMAIL (templates in lib/email-templates.js, transports in lib/mail.js) ---
+// Emails are rendered when queued and stored in email_outbox, which doubles as the per-user send
+// log; a "send-email" background job delivers each one with the queue's retries.
+
+const emailMaxAttempts = Number(process.env.MAIL_MAX_ATTEMPTS || 5);
+
+const emailSender = () => process.env.MAIL_SENDER_NAME || feedMeta().publisher;
+
+const languageRule = { type: 'string', pattern: /^[a-z]{2,3}([-_][a-z0-9]{2,8})?$/i, max: 20 };
+
+const emailLogColumns = `id, application_id, template, language, to_email, subject, status,
+  attempts, last_error, transport, message_id, created_by, created_at, sent_at`;
+
+// Date variables read "Monday, 3 March 2025 at 14:00 UTC" in the template's language.
+function emailVars(vars, language) {
+  const options = { dateStyle: 'full', timeStyle: 'short', timeZone: 'UTC' };
+  let formatter;
+  try {
+    formatter = new Intl.DateTimeFormat(language, options);
+  } catch (_) {
+    formatter = new Intl.DateTimeFormat(defaultEmailLanguage, options);
+  }
+  return Object.fromEntries(Object.entries(vars).map(([name, value]) => [
+    name,
+    value instanceof Date ? `${formatter.format(value)} UTC` : value,
+  ]));
+}
+
+async function resolveEmail(db, key, language, vars) {
+  const overrides = await db.query(
+    'select key, language, subject, body_text, body_html from email_templates where key = $1',
+    [key],
+  );
+  const resolved = resolveEmailTemplate(key, language, overrides.rows);
+  const email = renderEmail(resolved.template, {
+    sender: emailSender(),
+    ...emailVars(vars, resolved.language),
+  });
+  return { email, language: resolved.language, source: resolved.source };
+}
+
+// Renders a template in the recipient's language and queues it. `db` may be a client inside the
+// transaction that caused the email, so nothing is sent if it rolls back.
+async function queueEmail(db, email) {
+  const { userId = null, applicationId = null, to, language, template: key, vars = {} } = email;
+  const { email: message, language: resolvedLanguage } = await resolveEmail(db, key, language, vars);
+  const result = await db.query(
+    `insert into email_outbox
+       (user_id, application_id, template, language, to_email, subject, body_text, body_html,
+        attachments, created_by)
+     values ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     returning ${emailLogColumns}`,
+    [
+      userId,
+      applicationId,
+      key,
+      resolvedLanguage,
+      to,
+      message.subject,
+      message.text,
+      message.html,
+      JSON.stringify(email.attachments || []),
+      email.createdBy || null,
+    ],
+  );
+  await enqueueJob(db, 'send-email', { email_id: result.rows[0].id }, { maxAttempts: emailMaxAttempts });
+  return result.rows[0];
+}
+
+// Queues a candidate email about an application; extra variables are merged into the defaults
+// (candidate_name, job_title, company, status). Returns null when the candidate has no email.
+async function queueApplicationEmail(db, applicationId, key, { vars = {}, ...options } = {}) {
+  const result = await db.query(
+    `select a.user_id, a.status, u.full_name, u.email, u.language, j.title as job_title,
+            coalesce(j.company, c.company) as company
+     from applications a
+     join users u on u.id = a.user_id
+     join jobs j on j.id = a.job_id
+     left join clients c on c.id = j.client_id
+     where a.id = $1`,
+    [applicationId],
+  );
+  const application = result.rows[0];
+  if (!application?.email) return null;
+  return queueEmail(db, {
+    ...options,
+    userId: application.user_id,
+    applicationId,
+    to: application.email,
+    language: application.language,
+    template: key,
+    vars: {
+      candidate_name: application.full_name,
+      job_title: application.job_title,
+      company: application.company,
+      status: application.status,
+      ...vars,
+    },
+  });
+}
+
+// Rejections get their own template; every other move is a generic status update.
+const queueStatusEmail = (db, applicationId, status, { message = null, createdBy = null } = {}) =>
+  queueApplicationEmail(db, applicationId, status === rejectedStage ? 'rejection' : 'status-changed', {
+    vars: { status, message },
+    createdBy,
+  });
+
+const interruptedDeliveryError = 'Delivery was interrupted and may or may not have gone out';
+
+// Fails an email whose delivery was cut off; an admin can queue it again with the retry route.
+const failInterruptedEmail = (emailId) =>
+  pool.query(
+    `update email_outbox
+        set status = 'failed', last_error = $2
+      where id = $1 and status in ('queued', 'sending')`,
+    [emailId, interruptedDeliveryError],
+  );
+
+registerJobHandler('send-email', async ({ email_id: emailId }, job) => {
+  const result = await pool.query(
+    `update email_outbox
+        set status = 'sending'
+      where id = $1 and status = 'queued'
+      returning *`,
+    [emailId],
+  );
+  if (result.rows.length === 0) {
+    // A worker stopped while handing this email over, so it is not sent a second time
+    const interrupted = await pool.query(
+      "select 1 from email_outbox where id = $1 and status = 'sending'",
+      [emailId],
+    );
+    if (interrupted.rows.length > 0) {
+      await failInterruptedEmail(emailId);
+      return { skipped: true, interrupted: true };
+    }
+    // Deleted with its user, or already sent
+    return { skipped: true };
+  }
+  const email = result.rows[0];
+
+  try {
+    const sent = await sendMail({
+      to: email.to_email,
+      subject: email.subject,
+      text: email.body_text,
+      html: email.body_html || undefined,
+      attachments: email.attachments.map((attachment) => ({
+        filename: attachment.filename,
+        contentType: attachment.content_type,
+        content: attachment.content,
+      })),
+    });
+    await pool.query(
+      `update email_outbox
+          set status = 'sent', attempts = attempts + 1, last_error = null, sent_at = now(),
+              transport = $2, message_id = $3
+        where id = $1`,
+      [emailId, sent.transport, sent.messageId],
+    );
+    return { sent: true, message_id: sent.messageId };
+  } catch (err) {
+    await pool.query(
+      `update email_outbox
+          set status = $2, attempts = attempts + 1, last_error = $3
+        where id = $1`,
+      [emailId, job.attempts >= job.max_attempts ? 'failed' : 'queued', String(err?.message || err)],
+    );
+    throw err;
+  }
+}, {
+  // The worker stopped during the last attempt, before the outcome was recorded
+  onLost: ({ email_id: emailId }) => failInterruptedEmail(emailId),
+});
+
+// Sample values for previews
+const emailPreviewVars = {
+  candidate_name: 'Alex Candidate',
+  job_title: 'Senior Software Engineer',
+  company: 'Acme Corp',
+  status: 'Interview',
+  message: '',
+  interview_time: new Date('2025-03-03T14:00:00Z'),
+  interview_duration: 60,
+  interview_location: 'Head office, meeting room 2',
+  video_url: 'https://meet.example.com/abc-defg-hij',
+  reset_url: 'https://jobspeedy-ai.com/reset-password?token=sample',
+  expires_minutes: 60,
+};
+
+// GET /api/email-templates - every key and language, with edited copies marked as custom
+app.get('/api/email-templates', requirePermission('admins:manage'), async (req, res, next) => {
+  try {
+    const overrides = await pool.query(
+      `select key, language, subject, body_text, body_html, updated_by, updated_at
+       from email_templates
+       order by key, language`,
+    );
+    const languages = [
+      ...new Set([...emailTemplateLanguages(), ...overrides.rows.map((row) => row.language)]),
+    ].sort();
+    const templates = emailTemplateKeys.flatMap((key) =>
+      languages.map((language) => {
+        const custom = overrides.rows.find((row) => row.key === key && row.language === language);
+        if (custom) return { ...custom, source: 'custom' };
+        const builtIn = listEmailTemplates()
+          .find((template) => template.key === key && template.language === language);
+        return builtIn && {
+          key,
+          language,
+          subject: builtIn.subject,
+          body_text: builtIn.text,
+          body_html: builtIn.html || null,
+          source: 'built-in',
+        };
+      }).filter(Boolean));
+    res.json({ templates, keys: emailTemplateKeys, languages });
+  } catch (err) {
+    next(err);
+  }
+});
+
+const emailTemplateParams = {
+  key: { type: 'string', required: true, enum: emailTemplateKeys },
+  language: { ...languageRule, required: true },
+};
+
+const saveEmailTemplateSchema = {
+  params: emailTemplateParams,
+  body: {
+    subject: { type: 'string', required: true, max: 300 },
+    body_text: { type: 'string', required: true, max: 20000 },
+    body_html: { type: 'string', max: 50000, nullable: true },
+  },
+};
+
+// PUT /api/email-templates/:key/:language - body { subject, body_text, body_html? }
+app.put('/api/email-templates/:key/:language', requirePermission('admins:manage'), validate(saveEmailTemplateSchema), async (req, res, next) => {
+  const { key } = req.params;
+  const language = normalizeLanguage(req.params.language);
+  const { subject, body_text: bodyText, body_html: bodyHtml } = req.body;
+  try {
+    const result = await pool.query(
+      `insert into email_templates (key, language, subject, body_text, body_html, updated_by)
+       values ($1, $2, $3, $4, $5, $6)
+       on conflict (key, language) do update
+         set subject = excluded.subject, body_text = excluded.body_text,
+             body_html = excluded.body_html, updated_by = excluded.updated_by, updated_at = now()
+       returning key, language, subject, body_text, body_html, updated_by, updated_at`,
+      [key, language, subject, bodyText, bodyHtml || null, req.admin.id],
+    );
+    res.json({ template: { ...result.rows[0], source: 'custom' } });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /api/email-templates/:key/:language - back to the built-in template
+app.delete('/api/email-templates/:key/:language', requirePermission('admins:manage'), validate({ params: emailTemplateParams }), async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      'delete from email_templates where key = $1 and language = $2 returning id',
+      [req.params.key, normalizeLanguage(req.params.language)],
+    );
+    if (result.rows.length === 0) {
+      return next(httpError(404, 'No custom template for this key and language'));
+    }
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+const previewEmailTemplateSchema = {
+  params: emailTemplateParams,
+  body: { vars: { type: 'object' } },
+};
+
+// POST /api/email-templates/:key/:language/preview - body { vars? } over sample values
+app.post('/api/email-templates/:key/:language/preview', requirePermission('admins:manage'), validate(previewEmailTemplateSchema), async (req, res, next) => {
+  const { key, language } = req.params;
+  try {
+    res.json(await resolveEmail(pool, key, language, { ...emailPreviewVars, ...req.body.vars }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+const listEmailsSchema = {
+  query: {
+    status: { type: 'string', enum: ['queued', 'sending', 'sent', 'failed'] },
+    user_id: { type: 'uuid' },
+    limit: { type: 'integer', min: 1, max: 200, default: 50 },
+  },
+};
+
+// GET /api/emails - outbox, newest first; ?status, ?user_id, ?limit
+app.get('/api/emails', requirePermission('users:read'), validate(listEmailsSchema), async (req, res, next) => {
+  const { status, user_id: userId, limit } = req.query;
+  try {
+    const result = await pool.query(
+      `select user_id, ${emailLogColumns}
+       from email_outbox
+       where ($1::text is null or status = $1) and ($2::uuid is null or user_id = $2)
+       order by created_at desc
+       limit $3`,
+      [status || null, userId || null, limit],
+    );
+    res.json({ emails: result.rows });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/emails/:id/retry - queues a failed email again
+app.post('/api/emails/:id/retry', requirePermission('users:write'), validate(idParam), async (req, res, next) => {
+  const client = await connectOrNext(next);
+  if (!client) return;
+  try {
+    await client.query('begin');
+    const result = await client.query(
+      `update email_outbox
+          set status = 'queued', last_error = null
+        where id = $1 and status = 'failed'
+        returning user_id, ${emailLogColumns}`,
+      [req.params.id],
+    );
+    if (result.rows.length === 0) {
+      await client.query('rollback');
+      return next(httpError(404, 'No failed email with this id'));
+    }
+    await enqueueJob(client, 'send-email', { email_id: req.params.id }, { maxAttempts: emailMaxAttempts });
+    await client.query('commit');
+    res.json({ email: result.rows[0] });
+  } catch (err) {
+    await client.query('rollback');
+    next(err);
+  } finally {
+    client.release();
+  }
+});
+
+// --- USERS (candidates) ---
+
+// POST /api/users - create user
+const createUserSchema = {
+  body: {
+    full_name: { type: 'string', required: true, max: 200 },
+    email: { type: 'email', required: true },
+    password: passwordRule,
+    phone: { type: 'string', max: 50, nullable: true },
+    language: languageRule,
+  },
+};
+
+app.post('/api/users', requirePermission('users:write'), validate(createUserSchema), async (req, res, next) => {
+  const { full_name, email, password, phone, language } = req.body;
+  try {
+    const hashed = await bcrypt.hash(password, 10);
+    const result = await pool.query(
+      `insert into users (full_name, email, password_hash, phone, language)
+       values ($1, $2, $3, $4, $5)
+       returning id, full_name, email, phone, language, created_at`,
+      [full_name, email, hashed, phone || null, normalizeLanguage(language)]
+    );
+    res.status(201).json({ user: result.rows[0] });
+  } catch (err) {
+    if (err.code === '23505') {
+      return next(httpError(409, 'Email already exists', { fields: { email: 'already exists' } }));
+    }
+    next(err);
+  }
+});
+
+// GET /api/users - list users (see runListQuery for paging, ?q, ?sort); ?format=csv|xlsx
+// downloads every match
+app.get('/api/users', requirePermission('users:read'), async (req, res, next) => {
+  try {
+    const format = exportFormat(req.query);
+    if (format) {
+      return await streamListExport(res, req.query, userListSpec, {
+        format,
+        filename: 'users',
+        sheetName: 'Users',
+        columns: userExportColumns,
+      });
+    }
+    const result = await runListQuery(req.query, userListSpec);
+    res.json({ users: result.rows, pagination: result.pagination });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/users/:id - includes the latest emails sent (or queued) to the user and when their
+// data is due for removal (see CANDIDATE PRIVACY)
+app.get('/api/users/:id', requirePermission('users:read'), validate(idParam), async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    const result = await pool.query(
+      `select id, full_name, email, phone, language, created_at, anonymized_at
+       from users
+       where id = $1`,
+      [id]
+    );
+    if (result.rows.length === 0) {
+      return next(httpError(404, 'User not found'));
+    }
+    const [emails, retention] = await Promise.all([
+      pool.query(
+        `select ${emailLogColumns}
+         from email_outbox
+         where user_id = $1
+         order by created_at desc
+         limit 50`,
+        [id],
+      ),
+      loadRetention(id),
+    ]);
+    res.json({ user: { ...result.rows[0], emails: emails.rows, retention } });
+  } catch (err) {
+    next(err);
+  }
+});
+
+const updateUserSchema = {
+  ...idParam,
+  body: {
+    full_name: { type: 'string', max: 200 },
+    phone: { type: 'string', max: 50, nullable: true },
+    language: languageRule,
+  },
+};
+
+// PUT /api/users/:id - body { full_name?, phone?, language? }
+app.put('/api/users/:id', requirePermission('users:write'), validate(updateUserSchema), async (req, res, next) => {
+  const { full_name, phone, language } = req.body;
+  try {
+    const result = await pool.query(
+      `update users
+          set full_name = coalesce($2, full_name),
+              phone = case when $3 then $4 else phone end,
+              language = coalesce($5, language)
+        where id = $1
+        returning id, full_name, email, phone, language, created_at`,
+      [
+        req.params.id,
+        full_name || null,
+        phone !== undefined,
+        phone || null,
+        language ? normalizeLanguage(language) : null,
+      ],
+    );
+    if (result.rows.length === 0) {
+      return next(httpError(404, 'User not found'));
+    }
+    res.json({ user: result.rows[0] });
+  } catch (err) {
+    next(err);
+  }
+});
+
+const deleteUserSchema = {
+  ...idParam,
+  query: { mode: { type: 'string', enum: retentionActions } },
+};
+
+// DELETE /api/users/:id - ?mode=anonymize scrubs the candidate's personal data but keeps their
+// applications for statistics; the default deletes everything (see eraseCandidate)
+app.delete('/api/users/:id', requirePermission('users:delete'), validate(deleteUserSchema), async (req, res, next) => {
+  const { id } = req.params;
+  const mode = req.query.mode || 'delete';
+  res.locals.audit = { snapshots: false };
+  try {
+    const erased = await eraseCandidate(id, { mode });
+    if (!erased) {
+      return next(httpError(404, 'User not found'));
+    }
+    res.json({ success: true, id, mode });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --- RESUMES (original files in lib/storage.js, one version per upload) ---
+
+const resumeColumns = `id, user_id, version, filename, content_type, size_bytes, sha256,
+  parsed_at, uploaded_by, created_at`;
+
+const resumeDownloadPath = (resumeId) => `/api/resumes/${resumeId}/download`;
+
+// Checks the candidate (and application, which must belong to them) a resume is for.
+// Either id may be omitted; returns { userId, applicationId }.
+async function resolveResumeOwner(userId, applicationId) {
+  if (applicationId) {
+    const result = await pool.query('select user_id from applications where id = $1', [applicationId]);
+    if (result.rows.length === 0) {
+      throw httpError(404, 'Application not found');
+    }
+    if (userId && result.rows[0].user_id !== userId) {
+      throw new ValidationError({ application_id: 'does not belong to this user' });
+    }
+    return { userId: result.rows[0].user_id, applicationId };
+  }
+  const result = await pool.query('select 1 from users where id = $1', [userId]);
+  if (result.rows.length === 0) {
+    throw httpError(404, 'User not found');
+  }
+  return { userId, applicationId: null };
+}
+
+// Saves the file as the candidate's next resume version and, when given an application, makes
+// it that application's resume (resume_url and ai_parsed_data included). With `versioned: false`
+// the file is kept for the application only: it gets no version and stays out of the
+// candidate's resume history. With `db`, a client in the caller's transaction, the rows become
+// part of that transaction; call it last, since a rollback after it leaves the stored file behind.
+async function storeResume(owner, file, options = {}) {
+  const { parsed = null, uploadedBy = null, db = null, versioned = true } = options;
+  const { userId, applicationId } = owner;
+  const storage = getStorage();
+  const id = crypto.randomUUID();
+  const key = `resumes/${userId}/${id}`;
+  await storage.put(key, file.buffer, { contentType: file.mimetype });
+
+  const client = db || await pool.connect();
+  try {
+    if (!db) await client.query('begin');
+    const result = await client.query(
+      `insert into resumes
+         (id, user_id, version, filename, content_type, size_bytes, sha256,
+          storage_driver, storage_key, parsed_data, parsed_at, uploaded_by)
+       select $1, $2, case when $11::boolean then coalesce(max(version), 0) + 1 end,
+              $3, $4, $5, $6, $7, $8, $9, case when $9::jsonb is null then null else now() end, $10
+       from resumes
+       where user_id = $2
+       returning ${resumeColumns}`,
+      [
+        id,
+        userId,
+        file.originalname || 'resume',
+        file.mimetype,
+        file.size,
+        crypto.createHash('sha256').update(file.buffer).digest('hex'),
+        storage.name,
+        key,
+        parsed,
+        uploadedBy,
+        versioned,
+      ],
+    );
+    if (applicationId) {
+      await client.query(
+        `update applications
+            set resume_id = $1, resume_url = $2, ai_parsed_data = coalesce($3, ai_parsed_data)
+          where id = $4`,
+        [id, resumeDownloadPath(id), parsed, applicationId],
+      );
+    }
+    if (!db) await client.query('commit');
+    return { ...result.rows[0], parsed_data: parsed, application_id: applicationId };
+  } catch (err) {
+    if (!db) await client.query('rollback');
+    await storage.remove(key).catch(() => {});
+    throw err;
+  } finally {
+    if (!db) client.release();
+  }
+}
+
+// Best effort: the rows are already gone, a leftover file only costs disk space.
+async function removeStoredResumes(resumes) {
+  for (const { storage_driver: driver, storage_key: key } of resumes) {
+    // eslint-disable-next-line no-await-in-loop
+    await getStorage(driver).remove(key).catch((err) => {
+      // eslint-disable-next-line no-console
+      console.error(`Failed to remove stored resume ${key}:`, err);
+    });
+  }
+}
+
+// GET /api/users/:id/resumes - every stored version, newest first, then the files kept only for
+// a job board application (version null)
+app.get('/api/users/:id/resumes', requirePermission('users:read'), validate(idParam), async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    const user = await pool.query('select 1 from users where id = $1', [id]);
+    if (user.rows.length === 0) {
+      return next(httpError(404, 'User not found'));
+    }
+    const result = await pool.query(
+      `select ${resumeColumns}, parsed_data is not null as parsed
+       from resumes
+       where user_id = $1
+       order by version desc nulls last, created_at desc`,
+      [id],
+    );
+    const resumes = result.rows.map((resume) => ({
+      ...resume,
+      download_url: resumeDownloadPath(resume.id),
+    }));
+    res.json({ resumes });
+  } catch (err) {
+    next(err);
+  }
+});
+
+const uploadResumeSchema = {
+  ...idParam,
+  body: {
+    application_id: { type: 'uuid' },
+    parse: { type: 'boolean', default: false },
+  },
+};
+
+// POST /api/users/:id/resumes - multipart "resume"; an application_id field attaches it to that
+// application, parse=true also extracts the structured data (needs ai:use)
+app.post(
+  '/api/users/:id/resumes',
+  requirePermission('users:write'),
+  upload.single('resume'),
+  validate(uploadResumeSchema),
+  async (req, res, next) => {
+    const uploadError = checkResumeUpload(req);
+    if (uploadError) {
+      return next(uploadError);
+    }
+    const { application_id: applicationId, parse } = req.body;
+    if (parse && !hasPermission(req.admin, 'ai:use')) {
+      return next(httpError(403, 'Missing permission: ai:use'));
+    }
+    if (parse && !llmConfigured()) {
+      return next(llmNotConfiguredError());
+    }
+    try {
+      const owner = await resolveResumeOwner(req.params.id, applicationId);
+      const parsed = parse
+        ? await parseResumeFile(req.file, { feature: 'resume-upload', adminId: req.admin.id })
+        : null;
+      const resume = await storeResume(owner, req.file, { parsed, uploadedBy: req.admin.id });
+      res.status(201).json({ resume: { ...resume, download_url: resumeDownloadPath(resume.id) } });
+    } catch (err) {
+      next(err.status ? err : httpError(500, 'Failed to store resume', { cause: err }));
+    }
+  },
+);
+
+// GET /api/resumes/:id/download - the original uploaded file
+app.get('/api/resumes/:id/download', requirePermission('users:read'), validate(idParam), async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    const result = await pool.query(
+      `select filename, content_type, size_bytes, storage_driver, storage_key
+       from resumes
+       where id = $1`,
+      [id],
+    );
+    if (result.rows.length === 0) {
+      return next(httpError(404, 'Resume not found'));
+    }
+    const resume = result.rows[0];
+    const stream = await getStorage(resume.storage_driver)
+      .createReadStream(resume.storage_key)
+      .catch(() => null);
+    if (!stream) {
+      return next(httpError(404, 'Resume file not found'));
+    }
+    res.setHeader('Content-Type', resume.content_type);
+    res.setHeader('Content-Length', resume.size_bytes);
+    res.setHeader(
       'Content-Disposition',
-      `attachment; filename="anonymized_profile_${id}.pdf"`,
+      `attachment; filename="${resume.filename.replace(/["\\\r\n]/g, '_')}"`,
+    );
+    stream.on('error', next);
+    stream.pipe(res);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /api/resumes/:id - removes the version and its file; applications keep their parsed data
+app.delete('/api/resumes/:id', requirePermission('users:write'), validate(idParam), async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    const result = await pool.query(
+      'delete from resumes where id = $1 returning id, storage_driver, storage_key',
+      [id],
+    );
+    if (result.rows.length === 0) {
+      return next(httpError(404, 'Resume not found'));
+    }
+    await pool.query(
+      'update applications set resume_url = null where resume_url = $1',
+      [resumeDownloadPath(id)],
+    );
+    await removeStoredResumes(result.rows);
+    res.json({ success: true, id });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --- Anonymized profiles (templates in lib/profile-templates.js, redaction in lib/redact.js) ---
+
+const asText = (value) => (typeof value === 'string' ? value.trim() : '');
+
+const asTextList = (value) => (Array.isArray(value) ? value.map(asText).filter(Boolean) : []);
+
+const asObjectList = (value) =>
+  (Array.isArray(value) ? value.filter((item) => item && typeof item === 'object') : []);
+
+// Short public reference; the full id never appears on an anonymized document.
+const candidateRef = (userId) => `CND-${userId.replace(/-/g, '').slice(0, 8).toUpperCase()}`;
+
+// Loads the client's branding (and logo, when it has one) for a profile.
+async function loadProfileBranding(clientId) {
+  const result = await pool.query(
+    `select id, company, brand_color, brand_footer, profile_template,
+            logo_storage_driver, logo_storage_key, logo_content_type
+     from clients
+     where id = $1`,
+    [clientId],
+  );
+  const client = result.rows[0];
+  if (!client) return null;
+
+  let logo = null;
+  if (client.logo_storage_key) {
+    // A missing logo file should not stop the profile from rendering
+    const buffer = await getStorage(client.logo_storage_driver)
+      .read(client.logo_storage_key)
+      .catch((err) => {
+        // eslint-disable-next-line no-console
+        console.error(`Failed to read logo of client ${client.id}:`, err);
+        return null;
+      });
+    if (buffer) logo = { buffer, contentType: client.logo_content_type };
+  }
+  return {
+    branding: {
+      client_id: client.id,
+      company: client.company,
+      color: client.brand_color,
+      footer: client.brand_footer,
+      has_logo: Boolean(logo),
+    },
+    template: client.profile_template,
+    logo,
+  };
+}
+
+// Builds the redacted profile for a candidate from one application (default: the latest) and
+// its parsed resume data, trimmed by the template. Returns { profile, logo }.
+// Options: applicationId, template, clientId, branding, brand, recruiterNote.
+async function buildAnonymizedProfile(userId, options = {}) {
+  const { applicationId = null, template: templateName = null, branding = true } = options;
+  const userResult = await pool.query(
+    'select id, full_name, email, phone from users where id = $1',
+    [userId],
+  );
+  if (userResult.rows.length === 0) {
+    throw httpError(404, 'User not found');
+  }
+  const user = userResult.rows[0];
+
+  const applicationResult = await pool.query(
+    `select a.id, a.status, a.created_at, j.title as job_title, j.client_id,
+            coalesce(a.ai_parsed_data, r.parsed_data) as parsed_data
+     from applications a
+     inner join jobs j on j.id = a.job_id
+     left join resumes r on r.id = a.resume_id
+     where a.user_id = $1 and ($2::uuid is null or a.id = $2)
+     order by a.created_at desc
+     limit 1`,
+    [userId, applicationId],
+  );
+  const application = applicationResult.rows[0] || null;
+  if (applicationId && !application) {
+    throw new ValidationError({ application_id: 'not found for this user' });
+  }
+
+  // Falls back to the newest parsed resume when the application has no parsed data
+  let parsed = application?.parsed_data;
+  if (!parsed) {
+    const resumeResult = await pool.query(
+      `select parsed_data
+       from resumes
+       where user_id = $1 and version is not null and parsed_data is not null
+       order by version desc
+       limit 1`,
+      [userId],
+    );
+    parsed = resumeResult.rows[0]?.parsed_data || {};
+  }
+
+  // Shortlist packs load the branding once and pass it in as options.brand
+  let { brand } = options;
+  if (brand === undefined) {
+    const clientId = options.clientId || application?.client_id;
+    brand = branding && clientId ? await loadProfileBranding(clientId) : null;
+    if (brand === null && branding && options.clientId) {
+      throw new ValidationError({ client_id: 'not found' });
+    }
+  }
+
+  const template = getProfileTemplate(templateName || brand?.template || 'standard')
+    || getProfileTemplate('standard');
+
+  // The resume's own contact details can differ from the account's, so both are scrubbed
+  const contact = parsed.contact && typeof parsed.contact === 'object' ? parsed.contact : {};
+  const redact = createRedactor({
+    names: [user.full_name, contact.name],
+    emails: [user.email, contact.email],
+    phones: [user.phone, contact.phone],
+  });
+
+  const content = redactDeep(
+    {
+      summary: asText(parsed.summary),
+      skills: asTextList(parsed.skills),
+      experience: asObjectList(parsed.experience).map((exp) => ({
+        title: asText(exp.title),
+        company: asText(exp.company),
+        start_date: asText(exp.start_date),
+        end_date: asText(exp.end_date),
+        responsibilities: asTextList(exp.responsibilities),
+      })),
+      education: asObjectList(parsed.education).map((edu) => ({
+        degree: asText(edu.degree),
+        institution: asText(edu.institution),
+        year: asText(edu.year),
+      })),
+      certifications: asTextList(parsed.certifications),
+      languages: asTextList(parsed.languages),
+      recruiter_note: asText(options.recruiterNote),
+    },
+    redact,
+  );
+
+  const profile = applyProfileTemplate(
+    {
+      ...content,
+      candidate_ref: candidateRef(user.id),
+      application: application && {
+        id: application.id,
+        status: application.status,
+        job_title: application.job_title,
+        applied_at: application.created_at,
+      },
+      branding: brand?.branding || null,
+      generated_at: new Date().toISOString(),
+    },
+    template,
+  );
+  return { profile, logo: brand?.logo || null };
+}
+
+const anonymizedProfileQuery = {
+  application_id: { type: 'uuid' },
+  template: { type: 'string', enum: profileTemplateNames() },
+  client_id: { type: 'uuid' },
+  branding: { type: 'boolean', default: true },
+};
+
+const profileOptions = (query) => ({
+  applicationId: query.application_id,
+  template: query.template,
+  clientId: query.client_id,
+  branding: query.branding,
+});
+
+// GET /api/profile-templates
+app.get('/api/profile-templates', requirePermission('pdf:export'), (req, res) => {
+  res.json({ templates: listProfileTemplates() });
+});
+
+const anonymizedPreviewSchema = {
+  ...idParam,
+  query: {
+    ...anonymizedProfileQuery,
+    format: { type: 'string', enum: ['json', 'html'], default: 'json' },
+  },
+};
+
+// GET /api/users/:id/anonymized-profile - preview of the PDF content; ?format=json|html,
+// ?application_id (default: latest), ?template, ?client_id (branding; default: the job's client),
+// ?branding=false
+app.get('/api/users/:id/anonymized-profile', requirePermission('pdf:export'), validate(anonymizedPreviewSchema), async (req, res, next) => {
+  try {
+    const { profile, logo } = await buildAnonymizedProfile(req.params.id, profileOptions(req.query));
+    if (req.query.format === 'html') {
+      return res.type('html').send(renderProfileHtml(profile, { logo }));
+    }
+    res.json({ profile });
+  } catch (err) {
+    next(err.status ? err : httpError(500, 'Failed to build profile', { cause: err }));
+  }
+});
+
+const anonymizedPdfSchema = { ...idParam, query: anonymizedProfileQuery };
+
+// GET /api/users/:id/anonymized-pdf - same options as the preview
+app.get('/api/users/:id/anonymized-pdf', requirePermission('pdf:export'), validate(anonymizedPdfSchema), async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    const { profile, logo } = await buildAnonymizedProfile(id, profileOptions(req.query));
+
+    const doc = new PDFDocument({ margin: 50 });
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="anonymized_profile_${profile.candidate_ref}.pdf"`,
+    );
+    doc.pipe(res);
+    renderProfilePdf(doc, profile, { logo });
+    doc.end();
+  } catch (err) {
+    next(err.status ? err : httpError(500, 'Failed to generate PDF', { cause: err }));
+  }
+});
+
+// --- CANDIDATE PRIVACY (data exports, consent, retention and erasure; purposes in lib/consent.js) ---
+
+// One row per candidate that has not been anonymized, with the date their data is due for
+// removal: the later of $1 days after their last activity (signing up, applying, a stage
+// change) and the expiry of their currently granted consents.
+const candidateRetentionSql = `
+  select u.id, u.full_name, u.email, act.last_activity, con.consent_until,
+         greatest(act.last_activity + make_interval(days => $1), con.consent_until) as retain_until
+  from users u
+  cross join lateral (
+    select greatest(u.created_at, max(a.created_at), max(a.status_changed_at)) as last_activity
+    from applications a
+    where a.user_id = u.id
+  ) act
+  cross join lateral (
+    select max(c.expires_at) as consent_until
+    from (
+      select distinct on (purpose) granted, expires_at
+      from candidate_consents
+      where user_id = u.id
+      order by purpose, created_at desc
+    ) c
+    where c.granted
+  ) con
+  where u.anonymized_at is null`;
+
+// { last_activity, consent_until, retain_until }, or null once the candidate is anonymized
+async function loadRetention(userId) {
+  const result = await pool.query(
+    `select last_activity, consent_until, retain_until
+     from (${candidateRetentionSql}) r
+     where r.id = $2`,
+    [defaultRetentionDays(), userId],
+  );
+  return result.rows[0] || null;
+}
+
+const consentColumns = `id, user_id, purpose, granted, retention_days, expires_at, source, note,
+  recorded_by, created_at`;
+
+const anonymizedName = 'Anonymized candidate';
+
+// Records one consent decision (purpose must be registered); a grant runs for retentionDays,
+// by default the purpose's period. `db` may be a client inside a transaction.
+async function insertConsent(db, userId, consent) {
+  const { purpose, granted, retentionDays = null, source = 'admin', note = null } = consent;
+  const days = granted ? retentionDays || getConsentPurpose(purpose).retentionDays : null;
+  const result = await db.query(
+    `insert into candidate_consents
+       (user_id, purpose, granted, retention_days, expires_at, source, note, recorded_by)
+     values ($1, $2, $3, $4, now() + make_interval(days => $4), $5, $6, $7)
+     returning ${consentColumns}`,
+    [userId, purpose, granted, days, source, note, consent.recordedBy || null],
+  );
+  return result.rows[0];
+}
+
+// Blanks the before/after snapshots of audit entries about the candidate and their
+// applications, resumes, interviews and emails (migrations/017 allows exactly this update).
+async function redactCandidateAudit(client, userId) {
+  await client.query("set local audit.redaction = 'on'");
+  await client.query(
+    `update audit_log
+        set before = null, after = null, redacted_at = now()
+      where redacted_at is null
+        and (before is not null or after is not null)
+        and (
+          (entity_type = 'user' and entity_id = $1::text)
+          or (entity_type = 'application'
+              and entity_id in (select id::text from applications where user_id = $1::uuid))
+          or (entity_type = 'resume'
+              and entity_id in (select id::text from resumes where user_id = $1::uuid))
+          or (entity_type = 'interview'
+              and entity_id in (select i.id::text
+                                from interviews i
+                                join applications a on a.id = i.application_id
+                                where a.user_id = $1::uuid))
+          or (entity_type = 'email'
+              and entity_id in (select id::text from email_outbox where user_id = $1::uuid))
+        )`,
+    [userId],
+  );
+}
+
+// Keeps the user row and their applications (job, status, source, dates, match score) so
+// statistics still add up, and clears everything that identifies or describes the person.
+async function anonymizeCandidateRows(client, userId) {
+  const applicationIds = 'select id from applications where user_id = $1';
+  await client.query(
+    `update users
+        set full_name = $2, email = 'anonymized-' || id || '@invalid', phone = null,
+            password_hash = '', anonymized_at = now()
+      where id = $1`,
+    [userId, anonymizedName],
+  );
+  await client.query(
+    `update applications
+        set resume_url = null, cover_letter = null, ai_parsed_data = null, admin_notes = null,
+            match_details = null, client_feedback_comment = null
+      where user_id = $1`,
+    [userId],
+  );
+  await client.query(
+    `update application_status_history set note = null where application_id in (${applicationIds})`,
+    [userId],
+  );
+  await client.query(
+    `update interviews
+        set title = 'Interview', notes = null, video_url = null, scorecard = null
+      where application_id in (${applicationIds})`,
+    [userId],
+  );
+  await client.query(
+    `update shortlist_candidates
+        set recruiter_note = null, feedback_comment = null
+      where application_id in (${applicationIds})`,
+    [userId],
+  );
+  await client.query('delete from email_outbox where user_id = $1', [userId]);
+  await client.query('delete from candidate_sessions where user_id = $1', [userId]);
+  await client.query('delete from candidate_password_resets where user_id = $1', [userId]);
+}
+
+// Erases a candidate in one transaction. 'delete' removes the user and, through the foreign
+// keys, everything attached; 'anonymize' keeps the anonymized rows described above. Stored
+// resume files go either way, as do the audit snapshots and bulk import file names. Cached AI
+// responses (ai_cache) are not tied to a candidate and expire with AI_CACHE_TTL_HOURS.
+// Returns null when the user does not exist.
+async function eraseCandidate(userId, { mode = 'delete' } = {}) {
+  const client = await pool.connect();
+  let resumes;
+  try {
+    await client.query('begin');
+    const user = await client.query('select id from users where id = $1 for update', [userId]);
+    if (user.rows.length === 0) {
+      await client.query('rollback');
+      return null;
+    }
+    await redactCandidateAudit(client, userId);
+    await client.query(
+      "update resume_import_files set filename = 'redacted', error = null where user_id = $1",
+      [userId],
+    );
+    resumes = await client.query(
+      'delete from resumes where user_id = $1 returning storage_driver, storage_key',
+      [userId],
+    );
+    if (mode === 'anonymize') {
+      await anonymizeCandidateRows(client, userId);
+    } else {
+      await client.query('delete from users where id = $1', [userId]);
+    }
+    await client.query('commit');
+  } catch (err) {
+    await client.query('rollback');
+    throw err;
+  } finally {
+    client.release();
+  }
+  await removeStoredResumes(resumes.rows);
+  return { id: userId, mode };
+}
+
+// Everything stored about a candidate: { data, storedResumes }, where data is the export
+// document and storedResumes the resume rows with their storage location. Null if not found.
+async function collectCandidateData(userId) {
+  const user = await pool.query(
+    `select id, full_name, email, phone, language, created_at, anonymized_at
+     from users
+     where id = $1`,
+    [userId],
+  );
+  if (user.rows.length === 0) return null;
+
+  const [
+    applications,
+    history,
+    interviews,
+    shortlists,
+    resumes,
+    emails,
+    consents,
+    sessions,
+    retention,
+  ] = await Promise.all([
+      pool.query(
+        `select a.*, j.title as job_title
+         from applications a
+         join jobs j on j.id = a.job_id
+         where a.user_id = $1
+         order by a.created_at`,
+        [userId],
+      ),
+      pool.query(
+        `select h.application_id, h.from_status, h.to_status, h.note, h.created_at
+         from application_status_history h
+         join applications a on a.id = h.application_id
+         where a.user_id = $1
+         order by h.created_at`,
+        [userId],
+      ),
+      pool.query(
+        `select i.id, i.application_id, i.title, i.starts_at, i.ends_at, i.location, i.video_url,
+                i.notes, i.status, i.outcome, i.scorecard, i.created_at, i.completed_at,
+                i.cancelled_at
+         from interviews i
+         join applications a on a.id = i.application_id
+         where a.user_id = $1
+         order by i.starts_at`,
+        [userId],
+      ),
+      pool.query(
+        `select sc.application_id, s.title as shortlist_title, c.company as client_company,
+                sc.recruiter_note, sc.feedback, sc.feedback_comment, sc.feedback_at, sc.created_at
+         from shortlist_candidates sc
+         join shortlists s on s.id = sc.shortlist_id
+         left join clients c on c.id = s.client_id
+         join applications a on a.id = sc.application_id
+         where a.user_id = $1
+         order by sc.created_at`,
+        [userId],
+      ),
+      pool.query(
+        `select ${resumeColumns}, parsed_data, storage_driver, storage_key
+         from resumes
+         where user_id = $1
+         order by version`,
+        [userId],
+      ),
+      pool.query(
+        `select id, application_id, template, language, to_email, subject, body_text, status,
+                created_at, sent_at
+         from email_outbox
+         where user_id = $1
+         order by created_at`,
+        [userId],
+      ),
+      pool.query(
+        `select ${consentColumns} from candidate_consents where user_id = $1 order by created_at`,
+        [userId],
+      ),
+      pool.query(
+        `select created_at, last_used_at, expires_at, revoked_at, ip, user_agent
+         from candidate_sessions
+         where user_id = $1
+         order by created_at`,
+        [userId],
+      ),
+      loadRetention(userId),
+    ]);
+
+  const forApplication = (rows, id) =>
+    rows.filter((row) => row.application_id === id).map(({ application_id: _id, ...row }) => row);
+
+  return {
+    data: {
+      exported_at: new Date().toISOString(),
+      profile: user.rows[0],
+      retention,
+      consents: consents.rows,
+      applications: applications.rows.map((application) => ({
+        ...application,
+        status_history: forApplication(history.rows, application.id),
+        interviews: forApplication(interviews.rows, application.id),
+        shortlists: forApplication(shortlists.rows, application.id),
+      })),
+      resumes: resumes.rows.map(({ storage_driver: _driver, storage_key: _key, ...resume }) => resume),
+      emails: emails.rows,
+      portal_sessions: sessions.rows,
+    },
+    storedResumes: resumes.rows,
+  };
+}
+
+const candidateExportSchema = {
+  ...idParam,
+  query: { format: { type: 'string', enum: ['json', 'zip'] } },
+};
+
+// GET /api/users/:id/export - answers a data access request: profile, consents, applications
+// with notes, history, interviews and shortlist feedback, parsed resumes, the emails sent and
+// candidate portal sign-ins.
+// ?format=zip bundles the same document (candidate.json) with the original resume files.
+app.get('/api/users/:id/export', requirePermission('privacy:manage'), validate(candidateExportSchema), async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    const bundle = await collectCandidateData(id);
+    if (!bundle) {
+      return next(httpError(404, 'User not found'));
+    }
+    const filename = `candidate-${id}-${new Date().toISOString().slice(0, 10)}`;
+    if (req.query.format !== 'zip') {
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.json"`);
+      return res.json(bundle.data);
+    }
+
+    const zip = new JSZip();
+    const resumes = [];
+    for (const resume of bundle.storedResumes) {
+      // eslint-disable-next-line no-await-in-loop
+      const buffer = await getStorage(resume.storage_driver)
+        .read(resume.storage_key)
+        .catch(() => null);
+      // Files kept only for a job board application have no version
+      const prefix = resume.version === null ? resume.id : `v${resume.version}`;
+      const file = buffer
+        ? `resumes/${prefix}-${resume.filename.replace(/[\\/:*?"<>|\r\n]/g, '_')}`
+        : null;
+      if (buffer) zip.file(file, buffer);
+      resumes.push({ id: resume.id, file });
+    }
+    const data = {
+      ...bundle.data,
+      resumes: bundle.data.resumes.map((resume, index) => ({ ...resume, file: resumes[index].file })),
+    };
+    zip.file('candidate.json', JSON.stringify(data, null, 2));
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.zip"`);
+    zip
+      .generateNodeStream({ type: 'nodebuffer', streamFiles: true, compression: 'DEFLATE' })
+      .on('error', next)
+      .pipe(res);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/users/:id/consents - the current decision per purpose, the full history, the
+// purposes that can be recorded and the resulting retention date
+app.get('/api/users/:id/consents', requirePermission('users:read'), validate(idParam), async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    const user = await pool.query('select 1 from users where id = $1', [id]);
+    if (user.rows.length === 0) {
+      return next(httpError(404, 'User not found'));
+    }
+    const [history, retention] = await Promise.all([
+      pool.query(
+        `select ${consentColumns}
+         from candidate_consents
+         where user_id = $1
+         order by created_at desc`,
+        [id],
+      ),
+      loadRetention(id),
+    ]);
+    const current = history.rows.filter(
+      (consent, index, rows) => rows.findIndex((row) => row.purpose === consent.purpose) === index,
+    );
+    res.json({
+      consents: current,
+      history: history.rows,
+      purposes: listConsentPurposes(),
+      retention,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+const recordConsentSchema = {
+  ...idParam,
+  body: {
+    purpose: { type: 'string', required: true, max: 50 },
+    granted: { type: 'boolean', required: true },
+    retention_days: { type: 'integer', min: 1, max: 3650, nullable: true },
+    source: { type: 'string', max: 50 },
+    note: { type: 'string', max: 1000, nullable: true },
+  },
+};
+
+// POST /api/users/:id/consents - body { purpose, granted, retention_days?, source?, note? };
+// a grant keeps the candidate's data for retention_days (default: the purpose's period)
+app.post('/api/users/:id/consents', requirePermission('users:write'), validate(recordConsentSchema), async (req, res, next) => {
+  const { id } = req.params;
+  const { purpose, granted, retention_days: retentionDays, source, note } = req.body;
+  if (!getConsentPurpose(purpose)) {
+    return next(new ValidationError({ purpose: `must be one of: ${consentPurposeNames().join(', ')}` }));
+  }
+  try {
+    const user = await pool.query('select anonymized_at from users where id = $1', [id]);
+    if (user.rows.length === 0) {
+      return next(httpError(404, 'User not found'));
+    }
+    if (user.rows[0].anonymized_at) {
+      return next(httpError(409, 'User has been anonymized'));
+    }
+    const consent = await insertConsent(pool, id, {
+      purpose,
+      granted,
+      retentionDays,
+      source: source || 'admin',
+      note: note || null,
+      recordedBy: req.admin.id,
+    });
+    res.status(201).json({ consent, retention: await loadRetention(id) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Erases (RETENTION_ACTION) every candidate past their retention date, a batch at a time.
+// Candidates that fail are logged and skipped until the next sweep.
+async function runRetentionSweep() {
+  const action = retentionAction();
+  const failed = [];
+  let erased = 0;
+  for (;;) {
+    // eslint-disable-next-line no-await-in-loop
+    const due = await pool.query(
+      `select id
+       from (${candidateRetentionSql}) r
+       where r.retain_until <= now() and r.id <> all($2::uuid[])
+       order by r.retain_until
+       limit 100`,
+      [defaultRetentionDays(), failed],
+    );
+    if (due.rows.length === 0) break;
+    for (const { id } of due.rows) {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        if (await eraseCandidate(id, { mode: action })) erased += 1;
+      } catch (err) {
+        failed.push(id);
+        // eslint-disable-next-line no-console
+        console.error(`Retention sweep could not ${action} user ${id}:`, err);
+      }
+    }
+  }
+  return { action, erased, failed: failed.length };
+}
+
+// Queues the next sweep RETENTION_SWEEP_HOURS from now unless one is already waiting; the lock
+// stops instances that start together from queueing one each. `currentJobId` is the sweep
+// doing the scheduling, which does not count as waiting.
+async function scheduleRetentionSweep(currentJobId = null) {
+  const hours = retentionSweepHours();
+  if (!(hours > 0)) return null;
+  const client = await pool.connect();
+  try {
+    await client.query('begin');
+    await client.query("select pg_advisory_xact_lock(hashtext('retention-sweep'))");
+    const pending = await client.query(
+      `select 1
+       from background_jobs
+       where type = 'retention-sweep' and status in ('queued', 'running')
+         and id is distinct from $1::uuid
+       limit 1`,
+      [currentJobId],
+    );
+    const job = pending.rows.length > 0
+      ? null
+      : await enqueueJob(client, 'retention-sweep', {}, {
+        maxAttempts: 1,
+        runAt: new Date(Date.now() + hours * 60 * 60 * 1000),
+      });
+    await client.query('commit');
+    return job;
+  } catch (err) {
+    await client.query('rollback');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+registerJobHandler('retention-sweep', async (payload, job) => {
+  try {
+    return await runRetentionSweep();
+  } finally {
+    await scheduleRetentionSweep(job.id).catch((err) => {
+      // eslint-disable-next-line no-console
+      console.error('Could not schedule the next retention sweep:', err);
+    });
+  }
+});
+
+const retentionQuerySchema = {
+  query: {
+    due_within_days: { type: 'integer', min: 0, max: 3650, default: 0 },
+    limit: { type: 'integer', min: 1, max: 500, default: 100 },
+  },
+};
+
+// GET /api/privacy/retention - candidates due for removal now (or within ?due_within_days),
+// earliest first, and what the sweep will do with them
+app.get('/api/privacy/retention', requirePermission('privacy:manage'), validate(retentionQuerySchema), async (req, res, next) => {
+  try {
+    const action = retentionAction();
+    const result = await pool.query(
+      `select *
+       from (${candidateRetentionSql}) r
+       where r.retain_until <= now() + make_interval(days => $2)
+       order by r.retain_until
+       limit $3`,
+      [defaultRetentionDays(), req.query.due_within_days, req.query.limit],
+    );
+    res.json({
+      action,
+      default_retention_days: defaultRetentionDays(),
+      sweep_every_hours: retentionSweepHours(),
+      candidates: result.rows,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/privacy/retention/run - sweeps now instead of waiting for the scheduled run;
+// returns { action, erased, failed }
+app.post('/api/privacy/retention/run', requirePermission('privacy:manage'), async (req, res, next) => {
+  try {
+    res.json(await runRetentionSweep());
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --- JOBS (columns: title, department, description, requirements[], status, created_by,
+// client_id, company, location, job_type, category, language, required_skills[], salary_*,
+// remote_policy, expires_at, slug) ---
+
+const remotePolicies = ['onsite', 'hybrid', 'remote'];
+const salaryPeriods = ['hour', 'day', 'month', 'year'];
+
+const optionalText = { type: 'string', max: 200, nullable: true };
+const skillList = { type: 'array', csv: true, max: 100, items: { type: 'string', max: 200 } };
+
+// Columns POST/PUT /api/jobs accept. Only keys present in the body are written, so the same
+// rules drive inserts and partial updates; null (or '') clears an optional field.
+const jobFieldsSchema = {
+  title: { type: 'string', max: 200 },
+  department: { type: 'string', max: 200 },
+  description: { type: 'string', max: 20000, nullable: true },
+  status: { type: 'string', max: 50 },
+  created_by: { type: 'string', max: 200 },
+  company: optionalText,
+  location: optionalText,
+  job_type: optionalText,
+  category: optionalText,
+  language: optionalText,
+  requirements: skillList,
+  required_skills: skillList,
+  client_id: { type: 'uuid', nullable: true },
+  salary_min: { type: 'number', min: 0, nullable: true },
+  salary_max: { type: 'number', min: 0, nullable: true },
+  salary_currency: { type: 'string', pattern: /^[A-Za-z]{3}$/, nullable: true },
+  salary_period: { type: 'string', enum: salaryPeriods, nullable: true },
+  remote_policy: { type: 'string', enum: remotePolicies, nullable: true },
+  expires_at: { type: 'date', nullable: true },
+  // Public URL name; generated from the title on insert when omitted (migrations/019)
+  slug: { type: 'string', pattern: /^[a-z0-9]+(?:-[a-z0-9]+)*$/, max: 100 },
+};
+
+// Picks the job columns out of a body that already passed jobFieldsSchema and normalizes them.
+// Throws a ValidationError for rules that span fields.
+function jobValues(body) {
+  const values = {};
+  for (const field of Object.keys(jobFieldsSchema)) {
+    if (body[field] === undefined) continue;
+    values[field] = body[field] === '' ? null : body[field];
+  }
+  for (const field of ['requirements', 'required_skills']) {
+    if (values[field]) values[field] = values[field].filter(Boolean);
+  }
+  if (values.salary_currency) values.salary_currency = values.salary_currency.toUpperCase();
+  // Public job URLs accept an id as well, so a slug must never be mistaken for one
+  if (values.slug && uuidRe.test(values.slug)) {
+    throw new ValidationError({ slug: 'cannot have the format of a job id' });
+  }
+
+  const { salary_min: min, salary_max: max } = values;
+  if (min != null && max != null && min > max) {
+    throw new ValidationError({ salary_min: 'cannot be greater than salary_max' });
+  }
+  for (const field of ['title', 'department']) {
+    if (field in values && !values[field]) {
+      throw new ValidationError({ [field]: 'cannot be empty' });
+    }
+  }
+  return values;
+}
+
+// Inserts a job from jobValues(); callers make sure title and department are set. `db` may be a
+// client inside a transaction.
+async function insertJob(values, db = pool) {
+  const columns = Object.keys(values);
+  const result = await db.query(
+    `insert into jobs (${columns.join(', ')})
+     values (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+     returning *`,
+    columns.map((column) => values[column]),
+  );
+  return result.rows[0];
+}
+
+// GET /api/jobs - ?status, ?department, ?client_id, ?job_type, ?category, ?remote_policy,
+// ?created_from/?created_to, ?q, ?sort, paging; ?format=csv|xlsx downloads every match
+app.get('/api/jobs', requirePermission('jobs:read'), async (req, res, next) => {
+  try {
+    const format = exportFormat(req.query);
+    if (format) {
+      return await streamListExport(res, req.query, jobListSpec, {
+        format,
+        filename: 'jobs',
+        sheetName: 'Jobs',
+        columns: jobExportColumns,
+      });
+    }
+    const result = await runListQuery(req.query, jobListSpec);
+    res.json({ jobs: result.rows, pagination: result.pagination });
+  } catch (err) {
+    next(err);
+  }
+});
+
+const createJobSchema = {
+  body: {
+    ...jobFieldsSchema,
+    title: { ...jobFieldsSchema.title, required: true },
+    department: { ...jobFieldsSchema.department, required: true },
+  },
+};
+
+// POST /api/jobs
+app.post('/api/jobs', requirePermission('jobs:write'), validate(createJobSchema), async (req, res, next) => {
+  try {
+    const job = await insertJob({
+      status: 'Open',
+      created_by: 'Admin',
+      requirements: [],
+      ...jobValues(req.body),
+    });
+    res.status(201).json({ job });
+  } catch (err) {
+    next(err);
+  }
+});
+
+const generateDraftSchema = {
+  body: { ...jobFieldsSchema, description: { type: 'string', required: true, max: 20000 } },
+};
+
+// POST /api/jobs/generate-draft - generate an ad from a description and save it as a Draft job.
+// Any job fields in the body override what the model produced.
+app.post(
+  '/api/jobs/generate-draft',
+  requirePermission('ai:use'),
+  requirePermission('jobs:write'),
+  validate(generateDraftSchema),
+  async (req, res, next) => {
+    const { description, ...overrides } = req.body;
+    if (!llmConfigured()) {
+      return next(llmNotConfiguredError());
+    }
+    try {
+      const jobAd = await generateJobAd(description, {
+        feature: 'generate-draft',
+        adminId: req.admin.id,
+        clientId: overrides.client_id,
+      });
+      // Model output is best effort: fields that don't pass the job rules are dropped.
+      const generated = checkSchema(jobAd, jobFieldsSchema);
+      for (const [field, value] of Object.entries(generated.values)) {
+        if (generated.fields[field] || value === '') delete generated.values[field];
+      }
+      const job = await insertJob({
+        ...jobValues(generated.values),
+        ...jobValues(overrides),
+        status: 'Draft',
+        created_by: req.admin.email,
+      });
+      res.status(201).json({ job, jobAd });
+    } catch (err) {
+      next(err.status ? err : httpError(500, 'Failed to generate job draft', { cause: err }));
+    }
+  },
+);
+
+// GET /api/jobs/:id
+app.get('/api/jobs/:id', requirePermission('jobs:read'), validate(idParam), async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    const result = await pool.query(
+      `select j.*, c.company as client_company
+       from jobs j
+       left join clients c on c.id = j.client_id
+       where j.id = $1`,
+      [id],
+    );
+    if (result.rows.length === 0) {
+      return next(httpError(404, 'Job not found'));
+    }
+    res.json({ job: result.rows[0] });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// PUT /api/jobs/:id - partial update; fields sent as null are cleared
+const updateJobSchema = { ...idParam, body: jobFieldsSchema };
+
+app.put('/api/jobs/:id', requirePermission('jobs:write'), validate(updateJobSchema), async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    const values = jobValues(req.body);
+    const columns = Object.keys(values);
+    const result = await pool.query(
+      `update jobs
+         set ${columns.map((column, i) => `${column} = $${i + 2}, `).join('')}updated_at = now()
+       where id = $1
+       returning *`,
+      [id, ...columns.map((column) => values[column])]
+    );
+    if (result.rows.length === 0) {
+      return next(httpError(404, 'Job not found'));
+    }
+    res.json({ job: result.rows[0] });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /api/jobs/:id
+app.delete('/api/jobs/:id', requirePermission('jobs:delete'), validate(idParam), async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    const result = await pool.query(
+      'delete from jobs where id = $1 returning id',
+      [id]
+    );
+    if (result.rows.length === 0) {
+      return next(httpError(404, 'Job not found'));
+    }
+    res.json({ message: 'Job deleted', id: result.rows[0].id });
+  } catch (err) {
+    next(err);
+  }
+});
+
+const jobFeedSchema = {
+  params: { id: { type: 'uuid', required: true }, portal: { type: 'string', required: true } },
+};
+
+// GET /api/jobs/:id/xml-feed/:portal - single-job document in any registered feed format
+app.get('/api/jobs/:id/xml-feed/:portal', requirePermission('feeds:read'), validate(jobFeedSchema), async (req, res, next) => {
+  const { id, portal } = req.params;
+  try {
+    const format = getFeedFormat(portal);
+    if (!format) {
+      return next(httpError(400, 'Unsupported portal', { details: { portals: feedFormatNames() } }));
+    }
+    const result = await pool.query(
+      `select j.*, c.company as client_company
+       from jobs j
+       left join clients c on c.id = j.client_id
+       where j.id = $1`,
+      [id],
+    );
+    if (result.rows.length === 0) {
+      return next(httpError(404, 'Job not found'));
+    }
+    const job = result.rows[0];
+    const key = portal.toLowerCase();
+
+    res.setHeader('Content-Type', format.contentType);
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="job_${job.id}_${key}.${format.extension}"`,
+    );
+    res.send(format.render([toFeedJob(job)], feedMeta()));
+  } catch (err) {
+    next(httpError(500, 'Failed to generate XML feed', { cause: err }));
+  }
+});
+
+// --- JOB FEEDS (public, polled by job boards) ---
+
+const feedSchema = {
+  query: { client_id: { type: 'uuid' }, department: { type: 'string', max: 200 } },
+};
+
+// GET /api/feeds/:portal - all Open jobs; ?client_id, ?department
+app.get('/api/feeds/:portal', validate(feedSchema), async (req, res, next) => {
+  const format = getFeedFormat(req.params.portal);
+  if (!format) {
+    return next(httpError(404, 'Unsupported portal', { details: { portals: feedFormatNames() } }));
+  }
+  const { client_id, department } = req.query;
+  try {
+    const result = await pool.query(
+      `select j.*, c.company as client_company
+       from jobs j
+       left join clients c on c.id = j.client_id
+       where j.status = 'Open'
+         and (j.expires_at is null or j.expires_at > now())
+         and ($1::uuid is null or j.client_id = $1)
+         and ($2::text is null or j.department = $2)
+       order by j.created_at desc`,
+      [client_id || null, department || null],
+    );
+    const jobs = result.rows.map(toFeedJob);
+    const newest = jobs.reduce(
+      (latest, job) => Math.max(latest, Date.parse(job.updatedAt)),
+      0,
+    );
+    const meta = { ...feedMeta(), buildDate: new Date(newest || Date.now()) };
+    const body = format.render(jobs, meta);
+    const etag = `"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+
+    // Only an ETag: a job that closes, expires or is deleted leaves the feed without changing
+    // any remaining job's updated_at, so a Last-Modified date would keep the old feed fresh
+    res.setHeader('Content-Type', `${format.contentType}; charset=utf-8`);
+    res.setHeader('Cache-Control', 'public, max-age=300');
+    res.setHeader('ETag', etag);
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    res.send(body);
+  } catch (err) {
+    next(httpError(500, 'Failed to generate feed', { cause: err }));
+  }
+});
+
+// --- HIRING PIPELINE ---
+// A pipeline is a map of stage -> stages it may move to; the first stage is where new
+// applications start and stages with no outgoing moves are terminal. Jobs may override
+// the default via jobs.pipeline (GET/PUT /api/jobs/:id/pipeline).
+
+const defaultPipeline = {
+  transitions: {
+    Pending: ['Screening', 'Rejected'],
+    Screening: ['Interview', 'Rejected'],
+    Interview: ['Offer', 'Rejected'],
+    Offer: ['Hired', 'Rejected'],
+    Hired: [],
+    Rejected: [],
+  },
+};
+
+// Rejections get their own candidate email and never count as "advancing" an application
+const rejectedStage = 'Rejected';
+
+const resolvePipeline = (job) =>
+  job?.pipeline && job.pipeline.transitions ? job.pipeline : defaultPipeline;
+
+const pipelineStages = (pipeline) => Object.keys(pipeline.transitions);
+
+// Returns an error message, or null when the pipeline is well-formed.
+function validatePipeline(pipeline) {
+  const transitions = pipeline?.transitions;
+  if (!transitions || typeof transitions !== 'object' || Array.isArray(transitions)) {
+    return 'pipeline.transitions must be an object of stage -> next stages';
+  }
+  const stages = Object.keys(transitions);
+  if (stages.length < 2) {
+    return 'pipeline must define at least two stages';
+  }
+  for (const stage of stages) {
+    const next = transitions[stage];
+    if (!Array.isArray(next)) {
+      return `pipeline.transitions.${stage} must be an array`;
+    }
+    const unknown = next.find((target) => !stages.includes(target));
+    if (unknown !== undefined) {
+      return `pipeline.transitions.${stage} references unknown stage "${unknown}"`;
+    }
+  }
+  return null;
+}
+
+// Applications whose status predates the pipeline may be moved to any stage once.
+function canTransition(pipeline, from, to) {
+  const { transitions } = pipeline;
+  if (!(to in transitions)) return false;
+  if (!(from in transitions)) return true;
+  return transitions[from].includes(to);
+}
+
+// GET /api/jobs/:id/pipeline
+app.get('/api/jobs/:id/pipeline', requirePermission('jobs:read'), validate(idParam), async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    const result = await pool.query('select pipeline from jobs where id = $1', [id]);
+    if (result.rows.length === 0) {
+      return next(httpError(404, 'Job not found'));
+    }
+    res.json({
+      pipeline: resolvePipeline(result.rows[0]),
+      is_default: !result.rows[0].pipeline,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+const updatePipelineSchema = {
+  ...idParam,
+  body: { pipeline: { type: 'object', required: true, nullable: true } },
+};
+
+// PUT /api/jobs/:id/pipeline - body { pipeline: { transitions } } or { pipeline: null } to reset
+app.put('/api/jobs/:id/pipeline', requirePermission('jobs:write'), validate(updatePipelineSchema), async (req, res, next) => {
+  const { id } = req.params;
+  const { pipeline } = req.body;
+  if (pipeline !== null) {
+    const problem = validatePipeline(pipeline);
+    if (problem) {
+      return next(new ValidationError({ pipeline: problem }));
+    }
+  }
+  try {
+    const result = await pool.query(
+      `update jobs set pipeline = $1, updated_at = now()
+       where id = $2
+       returning pipeline`,
+      [pipeline ? { transitions: pipeline.transitions } : null, id],
+    );
+    if (result.rows.length === 0) {
+      return next(httpError(404, 'Job not found'));
+    }
+    res.json({ pipeline: resolvePipeline(result.rows[0]), is_default: !result.rows[0].pipeline });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --- APPLICATIONS ---
+
+// GET /api/applications - ?status, ?job_id, ?user_id, ?source, ?created_from/?created_to, ?q,
+// ?sort, paging; ?format=csv|xlsx downloads every match
+app.get('/api/applications', requirePermission('applications:read'), async (req, res, next) => {
+  try {
+    const format = exportFormat(req.query);
+    if (format) {
+      return await streamListExport(res, req.query, applicationListSpec, {
+        format,
+        filename: 'applications',
+        sheetName: 'Applications',
+        columns: applicationExportColumns,
+      });
+    }
+    const result = await runListQuery(req.query, applicationListSpec);
+    res.json({ applications: result.rows, pagination: result.pagination });
+  } catch (err) {
+    next(err);
+  }
+});
+
+const createApplicationSchema = {
+  body: {
+    user_id: { type: 'uuid', required: true },
+    job_id: { type: 'uuid', required: true },
+    resume_url: { type: 'string', max: 2000, nullable: true },
+    cover_letter: { type: 'string', max: 20000, nullable: true },
+    status: { type: 'string', max: 50 },
+    ai_parsed_data: { type: 'object', nullable: true },
+    admin_notes: { type: 'string', max: 20000, nullable: true },
+    source: { type: 'string', max: 50, default: 'admin' },
+    notify: { type: 'boolean', default: true },
+  },
+};
+
+// POST /api/applications - emails the candidate an acknowledgement unless notify is false;
+// `source` records where the candidate came from (e.g. referral, linkedin) for analytics
+app.post('/api/applications', requirePermission('applications:write'), validate(createApplicationSchema), async (req, res, next) => {
+  const {
+    user_id,
+    job_id,
+    resume_url,
+    cover_letter,
+    status,
+    ai_parsed_data,
+    admin_notes,
+    source,
+    notify,
+  } = req.body;
+
+  const client = await connectOrNext(next);
+  if (!client) return;
+  try {
+    await client.query('begin');
+    const jobResult = await client.query('select pipeline from jobs where id = $1', [job_id]);
+    if (jobResult.rows.length === 0) {
+      await client.query('rollback');
+      return next(httpError(404, 'Job not found'));
+    }
+    const stages = pipelineStages(resolvePipeline(jobResult.rows[0]));
+    const initialStatus = status || stages[0];
+    if (!stages.includes(initialStatus)) {
+      await client.query('rollback');
+      return next(new ValidationError({ status: `must be one of: ${stages.join(', ')}` }));
+    }
+
+    const result = await client.query(
+      `insert into applications
+         (user_id, job_id, resume_url, cover_letter, status, ai_parsed_data, admin_notes, source,
+          status_changed_at)
+       values ($1, $2, $3, $4, $5, $6, $7, $8, now())
+       returning *`,
+      [
+        user_id,
+        job_id,
+        resume_url || null,
+        cover_letter || null,
+        initialStatus,
+        ai_parsed_data || null,
+        admin_notes || null,
+        source,
+      ]
+    );
+    await client.query(
+      `insert into application_status_history (application_id, from_status, to_status, changed_by)
+       values ($1, null, $2, $3)`,
+      [result.rows[0].id, initialStatus, req.admin.id],
+    );
+    if (notify) {
+      await queueApplicationEmail(client, result.rows[0].id, 'application-received', {
+        createdBy: req.admin.id,
+      });
+    }
+    await client.query('commit');
+    res.status(201).json({ application: result.rows[0] });
+  } catch (err) {
+    await client.query('rollback');
+    if (err.code === '23505') {
+      return next(httpError(409, 'User has already applied to this job'));
+    }
+    next(err);
+  } finally {
+    client.release();
+  }
+});
+
+const updateStatusSchema = {
+  ...idParam,
+  body: {
+    status: { type: 'string', required: true, max: 50 },
+    note: { type: 'string', max: 2000, nullable: true },
+    message: { type: 'string', max: 5000, nullable: true },
+    notify: { type: 'boolean', default: true },
+  },
+};
+
+// PATCH /api/applications/:id/status - move an application along its job's pipeline. `note` stays
+// internal; the candidate is emailed (with `message`, if any) unless notify is false.
+app.patch(
+  '/api/applications/:id/status',
+  requirePermission('applications:write'),
+  validate(updateStatusSchema),
+  async (req, res, next) => {
+    const { id } = req.params;
+    const { status, note, message, notify } = req.body;
+
+    const client = await connectOrNext(next);
+    if (!client) return;
+    try {
+      await client.query('begin');
+      const current = await client.query(
+        `select a.status, j.pipeline
+         from applications a
+         join jobs j on j.id = a.job_id
+         where a.id = $1
+         for update of a`,
+        [id],
+      );
+      if (current.rows.length === 0) {
+        await client.query('rollback');
+        return next(httpError(404, 'Application not found'));
+      }
+      const pipeline = resolvePipeline(current.rows[0]);
+      const fromStatus = current.rows[0].status;
+      if (!canTransition(pipeline, fromStatus, status)) {
+        await client.query('rollback');
+        return next(httpError(409, `Cannot move application from ${fromStatus} to ${status}`, {
+          code: 'invalid_transition',
+          details: { allowed: pipeline.transitions[fromStatus] || pipelineStages(pipeline) },
+        }));
+      }
+
+      const updated = await client.query(
+        `update applications
+            set status = $1, status_changed_at = now()
+          where id = $2
+          returning *`,
+        [status, id],
+      );
+      const history = await client.query(
+        `insert into application_status_history
+           (application_id, from_status, to_status, changed_by, note)
+         values ($1, $2, $3, $4, $5)
+         returning *`,
+        [id, fromStatus, status, req.admin.id, note || null],
+      );
+      if (notify) {
+        await queueStatusEmail(client, id, status, { message, createdBy: req.admin.id });
+      }
+      await client.query('commit');
+      res.json({ application: updated.rows[0], history: history.rows[0] });
+    } catch (err) {
+      await client.query('rollback');
+      next(err);
+    } finally {
+      client.release();
+    }
+  },
+);
+
+// GET /api/applications/:id/history
+app.get(
+  '/api/applications/:id/history',
+  requirePermission('applications:read'),
+  validate(idParam),
+  async (req, res, next) => {
+    const { id } = req.params;
+    try {
+      const exists = await pool.query('select 1 from applications where id = $1', [id]);
+      if (exists.rows.length === 0) {
+        return next(httpError(404, 'Application not found'));
+      }
+      const result = await pool.query(
+        `select h.id, h.from_status, h.to_status, h.note, h.created_at,
+                h.changed_by, au.email as changed_by_email
+         from application_status_history h
+         left join admin_users au on au.id = h.changed_by
+         where h.application_id = $1
+         order by h.created_at asc`,
+        [id],
+      );
+      res.json({ history: result.rows });
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
+const jobApplicationsSchema = {
+  ...idParam,
+  query: { sort: { type: 'string', enum: ['created_at', 'score'] } },
+};
+
+// GET /api/jobs/:id/applications - all applications for a job (?sort=score for best match first)
+app.get('/api/jobs/:id/applications', requirePermission('applications:read'), validate(jobApplicationsSchema), async (req, res, next) => {
+  const { id } = req.params;
+  const orderBy = req.query.sort === 'score'
+    ? 'a.match_score desc nulls last, a.created_at desc'
+    : 'a.created_at desc';
+  try {
+    const result = await pool.query(
+      `select a.*, u.full_name, u.email
+       from applications a
+       join users u on u.id = a.user_id
+       where a.job_id = $1
+       order by ${orderBy}`,
+      [id]
+    );
+    res.json({ applications: result.rows });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/users/:id/applications - all applications for a user
+app.get('/api/users/:id/applications', requirePermission('applications:read'), validate(idParam), async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    const result = await pool.query(
+      `select a.*, j.title as job_title
+       from applications a
+       join jobs j on j.id = a.job_id
+       where a.user_id = $1
+       order by a.created_at desc`,
+      [id]
+    );
+    res.json({ applications: result.rows });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --- INTERVIEWS (scheduled on applications; invites and calendar feeds via lib/ics.js) ---
+
+const interviewOutcomes = ['advance', 'hold', 'reject', 'no_show'];
+const interviewRecommendations = ['strong_yes', 'yes', 'no', 'strong_no'];
+const interviewStage = 'Interview';
+const defaultInterviewMinutes = 60;
+
+// Event UIDs must be globally unique and stable across updates of the same interview
+const interviewUid = (id) => `interview-${id}@${new URL(feedMeta().publisherUrl).hostname}`;
+
+const calendarFeedPath = (token) => `/api/calendar/${token}.ics`;
+
+const interviewSelect = `
+  select i.*, a.user_id, a.job_id, a.status as application_status,
+         u.full_name as candidate_name, u.email as candidate_email, j.title as job_title,
+         cb.email as created_by_email,
+         coalesce((
+           select json_agg(json_build_object('id', au.id, 'email', au.email) order by au.email)
+           from interview_interviewers ii
+           join admin_users au on au.id = ii.admin_user_id
+           where ii.interview_id = i.id
+         ), '[]'::json) as interviewers
+  from interviews i
+  join applications a on a.id = i.application_id
+  join users u on u.id = a.user_id
+  join jobs j on j.id = a.job_id
+  left join admin_users cb on cb.id = i.created_by`;
+
+async function getInterview(id, db = pool) {
+  const result = await db.query(`${interviewSelect} where i.id = $1`, [id]);
+  return result.rows[0] || null;
+}
+
+// starts_at / ends_at from the request, falling back to the current values; a new start without
+// an end keeps the interview's length (duration_minutes sets it explicitly).
+function interviewTimes(body, existing = null) {
+  const startsAt = new Date(body.starts_at ?? existing.starts_at);
+  let endsAt;
+  if (body.ends_at !== undefined) {
+    endsAt = new Date(body.ends_at);
+  } else {
+    const minutes = body.duration_minutes
+      ?? (existing ? (existing.ends_at - existing.starts_at) / 60000 : defaultInterviewMinutes);
+    endsAt = new Date(startsAt.getTime() + minutes * 60000);
+  }
+  if (endsAt <= startsAt) {
+    throw new ValidationError({ ends_at: 'must be after starts_at' });
+  }
+  return { startsAt, endsAt };
+}
+
+const scorecardSchema = {
+  ratings: { type: 'array', max: 30, items: { type: 'object' } },
+  overall_score: { type: 'integer', min: 1, max: 5, nullable: true },
+  recommendation: { type: 'string', enum: interviewRecommendations, nullable: true },
+  notes: { type: 'string', max: 10000, nullable: true },
+};
+
+const scorecardRatingSchema = {
+  criterion: { type: 'string', required: true, max: 200 },
+  score: { type: 'integer', required: true, min: 1, max: 5 },
+  comment: { type: 'string', max: 2000, nullable: true },
+};
+
+// Validates a scorecard ({ ratings: [{ criterion, score, comment }], overall_score,
+// recommendation, notes }) and keeps only the known keys.
+function scorecardValues(scorecard) {
+  const fields = {};
+  const checked = checkSchema(scorecard, scorecardSchema);
+  for (const [name, error] of Object.entries(checked.fields)) fields[`scorecard.${name}`] = error;
+  const ratings = (checked.values.ratings || []).map((rating, index) => {
+    const item = checkSchema(rating, scorecardRatingSchema);
+    for (const [name, error] of Object.entries(item.fields)) {
+      fields[`scorecard.ratings[${index}].${name}`] = error;
+    }
+    const { criterion, score, comment = null } = item.values;
+    return { criterion, score, comment };
+  });
+  if (Object.keys(fields).length > 0) throw new ValidationError(fields);
+  const { overall_score: overall = null, recommendation = null, notes = null } = checked.values;
+  return { ratings, overall_score: overall, recommendation, notes };
+}
+
+// Checks the interviewers are active admins and locks them, so concurrent bookings of the same
+// interviewer are checked for conflicts one after the other.
+async function lockInterviewers(db, interviewerIds) {
+  const result = await db.query(
+    'select id from admin_users where id = any($1::uuid[]) and is_active order by id for update',
+    [interviewerIds],
+  );
+  const found = new Set(result.rows.map((row) => row.id));
+  const missing = interviewerIds.filter((id) => !found.has(id));
+  if (missing.length > 0) {
+    throw new ValidationError({
+      interviewer_ids: `unknown or inactive admin(s): ${missing.join(', ')}`,
+    });
+  }
+}
+
+// Scheduled interviews of these interviewers that overlap the slot.
+async function findInterviewConflicts(db, interviewerIds, { startsAt, endsAt }, excludeId = null) {
+  const result = await db.query(
+    `select ii.admin_user_id, au.email, i.id as interview_id, i.title, i.starts_at, i.ends_at
+     from interview_interviewers ii
+     join interviews i on i.id = ii.interview_id
+     join admin_users au on au.id = ii.admin_user_id
+     where ii.admin_user_id = any($1::uuid[])
+       and i.status = 'scheduled'
+       and i.starts_at < $3 and i.ends_at > $2
+       and ($4::uuid is null or i.id <> $4)
+     order by i.starts_at`,
+    [interviewerIds, startsAt, endsAt, excludeId],
+  );
+  return result.rows;
+}
+
+async function checkInterviewConflicts(db, interviewerIds, slot, options = {}) {
+  const { excludeId = null, allow = false } = options;
+  await lockInterviewers(db, interviewerIds);
+  if (allow) return;
+  const conflicts = await findInterviewConflicts(db, interviewerIds, slot, excludeId);
+  if (conflicts.length > 0) {
+    throw httpError(409, 'An interviewer already has an interview at that time', {
+      code: 'interview_conflict',
+      details: { conflicts },
+    });
+  }
+}
+
+// Moves the application to the stage `pick(pipeline, fromStatus)` returns, if its job's pipeline
+// allows that move; returns the history row, or null when the status did not change.
+async function moveApplicationStatus(db, applicationId, pick, { changedBy, note, strict = false }) {
+  const current = await db.query(
+    `select a.status, j.pipeline
+     from applications a
+     join jobs j on j.id = a.job_id
+     where a.id = $1
+     for update of a`,
+    [applicationId],
+  );
+  const pipeline = resolvePipeline(current.rows[0]);
+  const fromStatus = current.rows[0].status;
+  const toStatus = pick(pipeline, fromStatus);
+  if (!toStatus || toStatus === fromStatus) return null;
+  if (!canTransition(pipeline, fromStatus, toStatus)) {
+    if (!strict) return null;
+    throw httpError(409, `Cannot move application from ${fromStatus} to ${toStatus}`, {
+      code: 'invalid_transition',
+      details: { allowed: pipeline.transitions[fromStatus] || pipelineStages(pipeline) },
+    });
+  }
+  await db.query(
+    'update applications set status = $1, status_changed_at = now() where id = $2',
+    [toStatus, applicationId],
+  );
+  const history = await db.query(
+    `insert into application_status_history
+       (application_id, from_status, to_status, changed_by, note)
+     values ($1, $2, $3, $4, $5)
+     returning *`,
+    [applicationId, fromStatus, toStatus, changedBy, note],
+  );
+  return history.rows[0];
+}
+
+// "advance" goes to the next stage of the pipeline other than Rejected (or next_status).
+const completionStage = (outcome, nextStatus) => (pipeline, fromStatus) => {
+  if (nextStatus) return nextStatus;
+  if (outcome === 'reject') return rejectedStage;
+  if (outcome !== 'advance') return null;
+  return (pipeline.transitions[fromStatus] || []).find((stage) => stage !== rejectedStage) || null;
+};
+
+const setInterviewers = async (db, interviewId, interviewerIds) => {
+  await db.query('delete from interview_interviewers where interview_id = $1', [interviewId]);
+  await db.query(
+    `insert into interview_interviewers (interview_id, admin_user_id)
+     select $1, unnest($2::uuid[])`,
+    [interviewId, interviewerIds],
+  );
+};
+
+const interviewWhen = (startsAt) => new Date(startsAt).toISOString().replace('T', ' ').slice(0, 16);
+
+async function createInterview(applicationId, values, adminId) {
+  const client = await pool.connect();
+  try {
+    await client.query('begin');
+    const application = await client.query(
+      `select u.full_name, j.title as job_title
+       from applications a
+       join users u on u.id = a.user_id
+       join jobs j on j.id = a.job_id
+       where a.id = $1`,
+      [applicationId],
+    );
+    if (application.rows.length === 0) {
+      throw httpError(404, 'Application not found');
+    }
+    const slot = interviewTimes(values);
+    const interviewerIds = [...new Set(values.interviewer_ids)];
+    await checkInterviewConflicts(client, interviewerIds, slot, { allow: values.allow_conflicts });
+
+    const { full_name: candidateName, job_title: jobTitle } = application.rows[0];
+    const result = await client.query(
+      `insert into interviews
+         (application_id, title, starts_at, ends_at, location, video_url, notes, created_by)
+       values ($1, $2, $3, $4, $5, $6, $7, $8)
+       returning id`,
+      [
+        applicationId,
+        values.title || `Interview: ${candidateName} - ${jobTitle}`,
+        slot.startsAt,
+        slot.endsAt,
+        values.location || null,
+        values.video_url || null,
+        values.notes || null,
+        adminId,
+      ],
+    );
+    const interviewId = result.rows[0].id;
+    await setInterviewers(client, interviewId, interviewerIds);
+    const history = await moveApplicationStatus(client, applicationId, () => interviewStage, {
+      changedBy: adminId,
+      note: `Interview scheduled for ${interviewWhen(slot.startsAt)} UTC`,
+    });
+    if (values.notify) {
+      await queueInterviewEmail(client, interviewId, 'interview-invite', adminId);
+    }
+    await client.query('commit');
+    return { id: interviewId, history };
+  } catch (err) {
+    await client.query('rollback');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Changes to time, place or interviewers bump the iCalendar sequence so updated invites replace
+// the old ones in calendar apps. The candidate is sent a new invite when the time or place moves.
+async function updateInterview(existing, values, adminId) {
+  const client = await pool.connect();
+  try {
+    await client.query('begin');
+    const slot = interviewTimes(values, existing);
+    const interviewerIds = values.interviewer_ids
+      ? [...new Set(values.interviewer_ids)]
+      : existing.interviewers.map((interviewer) => interviewer.id);
+    await checkInterviewConflicts(client, interviewerIds, slot, {
+      excludeId: existing.id,
+      allow: values.allow_conflicts,
+    });
+    const changed = (name) => name in values;
+    await client.query(
+      `update interviews
+          set title = coalesce($2, title),
+              starts_at = $3,
+              ends_at = $4,
+              location = case when $5 then $6 else location end,
+              video_url = case when $7 then $8 else video_url end,
+              notes = case when $9 then $10 else notes end,
+              sequence = sequence + 1,
+              updated_at = now()
+        where id = $1`,
+      [
+        existing.id,
+        values.title || null,
+        slot.startsAt,
+        slot.endsAt,
+        changed('location'),
+        values.location || null,
+        changed('video_url'),
+        values.video_url || null,
+        changed('notes'),
+        values.notes || null,
+      ],
+    );
+    if (values.interviewer_ids) await setInterviewers(client, existing.id, interviewerIds);
+    const moved = ['starts_at', 'ends_at', 'duration_minutes', 'location', 'video_url']
+      .some(changed);
+    if (values.notify && moved) {
+      await queueInterviewEmail(client, existing.id, 'interview-invite', adminId);
+    }
+    await client.query('commit');
+  } catch (err) {
+    await client.query('rollback');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function cancelInterview(id, { notify }, adminId) {
+  const client = await pool.connect();
+  try {
+    await client.query('begin');
+    const result = await client.query(
+      `update interviews
+          set status = 'cancelled', cancelled_at = now(), sequence = sequence + 1,
+              updated_at = now()
+        where id = $1 and status = 'scheduled'
+        returning id`,
+      [id],
+    );
+    if (result.rows.length === 0) {
+      const interview = await getInterview(id, client);
+      throw interview
+        ? httpError(409, `Cannot cancel a ${interview.status} interview`)
+        : httpError(404, 'Interview not found');
+    }
+    if (notify) await queueInterviewEmail(client, id, 'interview-cancelled', adminId);
+    await client.query('commit');
+  } catch (err) {
+    await client.query('rollback');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function completeInterview(existing, values, adminId) {
+  const { outcome, scorecard, nextStatus, notify } = values;
+  const client = await pool.connect();
+  try {
+    await client.query('begin');
+    await client.query(
+      `update interviews
+          set status = 'completed', outcome = $2, scorecard = coalesce($3, scorecard),
+              completed_at = coalesce(completed_at, now()), updated_at = now()
+        where id = $1`,
+      [existing.id, outcome, scorecard],
+    );
+    // Re-completing only updates the outcome and scorecard
+    const history = existing.status === 'completed'
+      ? null
+      : await moveApplicationStatus(
+        client,
+        existing.application_id,
+        completionStage(outcome, nextStatus),
+        {
+          changedBy: adminId,
+          note: `Interview completed: ${outcome.replace('_', ' ')}`,
+          strict: Boolean(nextStatus),
+        },
+      );
+    if (history && notify) {
+      await queueStatusEmail(client, existing.application_id, history.to_status, {
+        createdBy: adminId,
+      });
+    }
+    await client.query('commit');
+    return history;
+  } catch (err) {
+    await client.query('rollback');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// iCalendar event for an interview. Invites can go to the candidate, so internal notes are only
+// included in the interviewers' own feeds (`internal`).
+function interviewEvent(interview, { internal = false } = {}) {
+  const description = [
+    `Candidate: ${interview.candidate_name}`,
+    `Role: ${interview.job_title}`,
+    interview.video_url && `Video link: ${interview.video_url}`,
+    internal && interview.notes,
+  ].filter(Boolean).join('\n');
+  const interviewers = interview.interviewers.map((interviewer) => ({
+    email: interviewer.email,
+    role: 'REQ-PARTICIPANT',
+    rsvp: true,
+  }));
+  const candidate = {
+    email: interview.candidate_email,
+    name: interview.candidate_name,
+    role: 'REQ-PARTICIPANT',
+    rsvp: true,
+  };
+  return {
+    uid: interviewUid(interview.id),
+    sequence: interview.sequence,
+    start: interview.starts_at,
+    end: interview.ends_at,
+    summary: interview.title,
+    description,
+    location: interview.location || interview.video_url,
+    url: interview.video_url,
+    status: interview.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+    created: interview.created_at,
+    updated: interview.updated_at,
+    organizer: { email: interview.created_by_email || interviewers[0]?.email },
+    attendees: [...interviewers, candidate],
+  };
+}
+
+// Emails the candidate about an interview with the calendar invite (or its cancellation)
+// attached; reads the interview through `db` so it sees the caller's uncommitted changes.
+async function queueInterviewEmail(db, interviewId, key, adminId) {
+  const interview = await getInterview(interviewId, db);
+  const method = interview.status === 'cancelled' ? 'CANCEL' : 'REQUEST';
+  return queueApplicationEmail(db, interview.application_id, key, {
+    vars: {
+      interview_time: new Date(interview.starts_at),
+      interview_duration: Math.round((interview.ends_at - interview.starts_at) / 60000),
+      interview_location: interview.location,
+      video_url: interview.video_url,
+    },
+    attachments: [{
+      filename: 'invite.ics',
+      content_type: `${icsContentType}; method=${method}`,
+      content: buildCalendar({ method, events: [interviewEvent(interview)] }),
+    }],
+    createdBy: adminId,
+  });
+}
+
+const interviewFieldsSchema = {
+  title: { type: 'string', max: 200 },
+  starts_at: { type: 'date' },
+  ends_at: { type: 'date' },
+  duration_minutes: { type: 'integer', min: 5, max: 24 * 60 },
+  interviewer_ids: { type: 'array', min: 1, max: 20, items: { type: 'uuid' } },
+  location: { type: 'string', max: 500, nullable: true },
+  video_url: { type: 'string', max: 2000, pattern: /^https?:\/\/\S+$/i, nullable: true },
+  notes: { type: 'string', max: 10000, nullable: true },
+  allow_conflicts: { type: 'boolean', default: false },
+  notify: { type: 'boolean', default: true },
+};
+
+const createInterviewSchema = {
+  ...idParam,
+  body: {
+    ...interviewFieldsSchema,
+    starts_at: { ...interviewFieldsSchema.starts_at, required: true },
+    interviewer_ids: { ...interviewFieldsSchema.interviewer_ids, required: true },
+  },
+};
+
+// POST /api/applications/:id/interviews - body { starts_at, ends_at | duration_minutes,
+// interviewer_ids, title?, location?, video_url?, notes?, allow_conflicts?, notify? }; moves the
+// application to the Interview stage when its pipeline allows it and emails the candidate an
+// invite unless notify is false
+app.post('/api/applications/:id/interviews', requirePermission('applications:write'), validate(createInterviewSchema), async (req, res, next) => {
+  try {
+    const { id, history } = await createInterview(req.params.id, req.body, req.admin.id);
+    res.status(201).json({ interview: await getInterview(id), status_change: history });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/applications/:id/interviews
+app.get('/api/applications/:id/interviews', requirePermission('applications:read'), validate(idParam), async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `${interviewSelect} where i.application_id = $1 order by i.starts_at`,
+      [req.params.id],
+    );
+    res.json({ interviews: result.rows });
+  } catch (err) {
+    next(err);
+  }
+});
+
+const listInterviewsSchema = {
+  query: {
+    interviewer_id: { type: 'uuid' },
+    application_id: { type: 'uuid' },
+    status: { type: 'string', enum: ['scheduled', 'completed', 'cancelled'] },
+    from: { type: 'date' },
+    to: { type: 'date' },
+  },
+};
+
+// GET /api/interviews - schedule view; ?interviewer_id, ?application_id, ?status, ?from, ?to
+// (default: from now on)
+app.get('/api/interviews', requirePermission('applications:read'), validate(listInterviewsSchema), async (req, res, next) => {
+  const { status, from, to } = req.query;
+  try {
+    const result = await pool.query(
+      `${interviewSelect}
+       where ($1::uuid is null or exists (
+               select 1 from interview_interviewers
+               where interview_id = i.id and admin_user_id = $1))
+         and ($2::uuid is null or i.application_id = $2)
+         and ($3::text is null or i.status = $3)
+         and i.ends_at >= coalesce($4::timestamptz, now())
+         and ($5::timestamptz is null or i.starts_at <= $5)
+       order by i.starts_at
+       limit 500`,
+      [
+        req.query.interviewer_id || null,
+        req.query.application_id || null,
+        status || null,
+        from || null,
+        to || null,
+      ],
+    );
+    res.json({ interviews: result.rows });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/interviews/:id
+app.get('/api/interviews/:id', requirePermission('applications:read'), validate(idParam), async (req, res, next) => {
+  try {
+    const interview = await getInterview(req.params.id);
+    if (!interview) {
+      return next(httpError(404, 'Interview not found'));
+    }
+    res.json({ interview });
+  } catch (err) {
+    next(err);
+  }
+});
+
+const updateInterviewSchema = { ...idParam, body: interviewFieldsSchema };
+
+// PUT /api/interviews/:id - reschedule or edit a scheduled interview
+app.put('/api/interviews/:id', requirePermission('applications:write'), validate(updateInterviewSchema), async (req, res, next) => {
+  try {
+    const existing = await getInterview(req.params.id);
+    if (!existing) {
+      return next(httpError(404, 'Interview not found'));
+    }
+    if (existing.status !== 'scheduled') {
+      return next(httpError(409, `Cannot edit a ${existing.status} interview`));
+    }
+    await updateInterview(existing, req.body, req.admin.id);
+    res.json({ interview: await getInterview(existing.id) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+const cancelInterviewSchema = {
+  ...idParam,
+  body: { notify: { type: 'boolean', default: true } },
+};
+
+// POST /api/interviews/:id/cancel - body { notify? }; the candidate gets a cancellation email
+app.post('/api/interviews/:id/cancel', requirePermission('applications:write'), validate(cancelInterviewSchema), async (req, res, next) => {
+  try {
+    await cancelInterview(req.params.id, req.body, req.admin.id);
+    res.json({ interview: await getInterview(req.params.id) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+const completeInterviewSchema = {
+  ...idParam,
+  body: {
+    outcome: { type: 'string', required: true, enum: interviewOutcomes },
+    scorecard: { type: 'object', nullable: true },
+    next_status: { type: 'string', max: 50 },
+    notify: { type: 'boolean', default: true },
+  },
+};
+
+// POST /api/interviews/:id/complete - body { outcome, scorecard?, next_status?, notify? };
+// "advance" moves the application to the next pipeline stage (or next_status), "reject" to
+// Rejected, and the candidate is emailed about the move
+app.post('/api/interviews/:id/complete', requirePermission('applications:write'), validate(completeInterviewSchema), async (req, res, next) => {
+  const { outcome, next_status: nextStatus, notify } = req.body;
+  try {
+    const scorecard = req.body.scorecard ? scorecardValues(req.body.scorecard) : null;
+    const existing = await getInterview(req.params.id);
+    if (!existing) {
+      return next(httpError(404, 'Interview not found'));
+    }
+    if (existing.status === 'cancelled') {
+      return next(httpError(409, 'Cannot complete a cancelled interview'));
+    }
+    const history = await completeInterview(
+      existing,
+      { outcome, scorecard, nextStatus, notify },
+      req.admin.id,
+    );
+    res.json({ interview: await getInterview(existing.id), status_change: history });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/interviews/:id/invite.ics - REQUEST invite, or CANCEL once cancelled
+app.get('/api/interviews/:id/invite.ics', requirePermission('applications:read'), validate(idParam), async (req, res, next) => {
+  try {
+    const interview = await getInterview(req.params.id);
+    if (!interview) {
+      return next(httpError(404, 'Interview not found'));
+    }
+    const method = interview.status === 'cancelled' ? 'CANCEL' : 'REQUEST';
+    res.setHeader('Content-Type', `${icsContentType}; method=${method}`);
+    res.setHeader('Content-Disposition', `attachment; filename="interview-${interview.id}.ics"`);
+    res.send(buildCalendar({ method, events: [interviewEvent(interview)] }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/auth/calendar-feed - (re)issues the current admin's calendar feed token; the previous
+// feed URL stops working
+app.post('/api/auth/calendar-feed', async (req, res, next) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  try {
+    await pool.query(
+      'update admin_users set calendar_token_hash = $2 where id = $1',
+      [req.admin.id, hashToken(token)],
+    );
+    res.status(201).json({ token, url: calendarFeedPath(token) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /api/auth/calendar-feed
+app.delete('/api/auth/calendar-feed', async (req, res, next) => {
+  try {
+    await pool.query(
+      'update admin_users set calendar_token_hash = null where id = $1',
+      [req.admin.id],
+    );
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+const calendarFeedSchema = { params: { token: { type: 'string', required: true, max: 100 } } };
+
+// GET /api/calendar/:token.ics - subscribable feed of the admin's interviews (last 90 days
+// onwards); public, authenticated by the token
+app.get('/api/calendar/:token.ics', validate(calendarFeedSchema), async (req, res, next) => {
+  try {
+    const admin = await pool.query(
+      'select id, email from admin_users where calendar_token_hash = $1 and is_active',
+      [hashToken(req.params.token)],
+    );
+    if (admin.rows.length === 0) {
+      return next(httpError(404, 'Calendar feed not found'));
+    }
+    const result = await pool.query(
+      `${interviewSelect}
+       where exists (
+               select 1 from interview_interviewers
+               where interview_id = i.id and admin_user_id = $1)
+         and i.starts_at > now() - interval '90 days'
+       order by i.starts_at`,
+      [admin.rows[0].id],
+    );
+    res.setHeader('Content-Type', icsContentType);
+    res.send(buildCalendar({
+      name: `Interviews (${admin.rows[0].email})`,
+      events: result.rows.map((interview) => interviewEvent(interview, { internal: true })),
+    }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --- RECORD IMPORT AND EXPORT (CSV / XLSX, see lib/spreadsheets.js) ---
+// Exports: ?format=csv|xlsx on GET /api/users, /api/jobs and /api/applications streams every row
+// matching the list filters, with the columns below. Imports: POST /api/imports/:entity reads
+// the first sheet of a CSV or XLSX file, maps its columns to fields, validates every row and
+// either reports what would happen (dry_run) or applies it in a single transaction. Exported
+// files can be imported again; columns an import does not know are ignored.
+
+const recordImportMaxRows = Number(process.env.RECORD_IMPORT_MAX_ROWS || 5000);
+const recordImportMaxUnpackedBytes =
+  Number(process.env.RECORD_IMPORT_MAX_UNPACKED_MB || 50) * 1024 * 1024;
+const importPreviewRows = 20;
+
+const listValue = (list) => (list?.length ? list.join('; ') : null);
+
+const userExportColumns = [
+  ['id', (user) => user.id],
+  ['full_name', (user) => user.full_name],
+  ['email', (user) => user.email],
+  ['phone', (user) => user.phone],
+  ['language', (user) => user.language],
+  ['created_at', (user) => user.created_at],
+];
+
+const jobExportColumns = [
+  ['id', (job) => job.id],
+  ['title', (job) => job.title],
+  ['department', (job) => job.department],
+  ['status', (job) => job.status],
+  ['company', (job) => job.company],
+  ['client', (job) => job.client_company],
+  ['client_id', (job) => job.client_id],
+  ['location', (job) => job.location],
+  ['job_type', (job) => job.job_type],
+  ['category', (job) => job.category],
+  ['language', (job) => job.language],
+  ['remote_policy', (job) => job.remote_policy],
+  ['salary_min', (job) => (job.salary_min === null ? null : Number(job.salary_min))],
+  ['salary_max', (job) => (job.salary_max === null ? null : Number(job.salary_max))],
+  ['salary_currency', (job) => job.salary_currency],
+  ['salary_period', (job) => job.salary_period],
+  ['required_skills', (job) => listValue(job.required_skills)],
+  ['requirements', (job) => listValue(job.requirements)],
+  ['description', (job) => job.description],
+  ['expires_at', (job) => job.expires_at],
+  ['created_at', (job) => job.created_at],
+];
+
+const applicationExportColumns = [
+  ['id', (application) => application.id],
+  ['full_name', (application) => application.full_name],
+  ['email', (application) => application.email],
+  ['job_id', (application) => application.job_id],
+  ['job_title', (application) => application.job_title],
+  ['status', (application) => application.status],
+  ['source', (application) => application.source],
+  ['match_score', (application) => application.match_score],
+  ['status_changed_at', (application) => application.status_changed_at],
+  ['created_at', (application) => application.created_at],
+];
+
+// "E-mail Address" -> "e_mail_address"
+const headerKey = (header) => header.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+// Each target lists its fields (validation rules per row), header aliases recognised without an
+// explicit mapping, the key duplicate rows are detected by, an optional check() for rules that
+// span fields, and plan() / apply() which look up existing records and write the rows.
+// plan() returns per row { action: 'create' | 'update' | 'skip', reason?, error? }.
+const importTargets = {
+  users: {
+    permission: 'users:write',
+    fields: {
+      full_name: { type: 'string', required: true, max: 200 },
+      email: { type: 'email', required: true },
+      phone: { type: 'string', max: 50 },
+      language: languageRule,
+      created_at: { type: 'date' },
+    },
+    aliases: {
+      name: 'full_name',
+      candidate_name: 'full_name',
+      e_mail: 'email',
+      email_address: 'email',
+      phone_number: 'phone',
+      mobile: 'phone',
+    },
+    key: (values) => values.email,
+    async plan(db, rows, { onDuplicate }) {
+      const existing = await db.query(
+        'select email from users where email = any($1)',
+        [rows.map((row) => row.values.email)],
+      );
+      const known = new Set(existing.rows.map((row) => row.email));
+      return rows.map(({ values }) => {
+        if (!known.has(values.email)) return { action: 'create' };
+        return onDuplicate === 'update'
+          ? { action: 'update' }
+          : { action: 'skip', reason: 'A candidate with this email already exists' };
+      });
+    },
+    async apply(db, { values, action }) {
+      const language = values.language ? normalizeLanguage(values.language) : null;
+      if (action === 'update') {
+        await db.query(
+          `update users
+              set full_name = $2, phone = coalesce($3, phone), language = coalesce($4, language)
+            where email = $1`,
+          [values.email, values.full_name, values.phone || null, language],
+        );
+        return;
+      }
+      // Imported candidates have no password until they set one
+      await db.query(
+        `insert into users (full_name, email, password_hash, phone, language, created_at)
+         values ($1, $2, '', $3, $4, coalesce($5, now()))`,
+        [
+          values.full_name,
+          values.email,
+          values.phone || null,
+          language || defaultEmailLanguage,
+          values.created_at || null,
+        ],
+      );
+    },
+  },
+
+  jobs: {
+    permission: 'jobs:write',
+    fields: {
+      ...createJobSchema.body,
+      client: { type: 'string', max: 200 },
+      created_at: { type: 'date' },
+    },
+    aliases: { job_title: 'title', client_company: 'client', skills: 'required_skills' },
+    // Jobs have no natural key, so every row creates a job
+    key: null,
+    check: (values) => jobValues(values),
+    async plan(db, rows) {
+      const names = rows.map((row) => row.values.client).filter(Boolean);
+      const ids = rows.map((row) => row.values.client_id).filter(Boolean);
+      const clients = await db.query(
+        `select id, lower(company) as company
+         from clients
+         where lower(company) = any($1) or id = any($2)`,
+        [names.map((name) => name.toLowerCase()), ids],
+      );
+      return rows.map(({ values }) => {
+        const client = values.client
+          ? clients.rows.find((row) => row.company === values.client.toLowerCase())
+          : null;
+        if (values.client && !client) {
+          return { error: { client: 'no client with this company name' } };
+        }
+        if (values.client_id && !clients.rows.some((row) => row.id === values.client_id)) {
+          return { error: { client_id: 'no client with this id' } };
+        }
+        return { action: 'create', clientId: client?.id };
+      });
+    },
+    async apply(db, { values, clientId }, { admin }) {
+      const { client: _client, created_at: createdAt, ...fields } = values;
+      await insertJob({
+        status: 'Open',
+        created_by: admin.email,
+        requirements: [],
+        ...jobValues(fields),
+        ...(clientId && { client_id: clientId }),
+        ...(createdAt && { created_at: createdAt }),
+      }, db);
+    },
+  },
+
+  applications: {
+    permission: 'applications:write',
+    fields: {
+      email: { type: 'email', required: true },
+      full_name: { type: 'string', max: 200 },
+      phone: { type: 'string', max: 50 },
+      job_id: { type: 'uuid', required: true },
+      status: { type: 'string', max: 50 },
+      source: { type: 'string', max: 50, default: 'import' },
+      cover_letter: { type: 'string', max: 20000 },
+      admin_notes: { type: 'string', max: 20000 },
+      created_at: { type: 'date' },
+    },
+    aliases: {
+      candidate_email: 'email',
+      user_email: 'email',
+      e_mail: 'email',
+      name: 'full_name',
+      candidate_name: 'full_name',
+      applied_at: 'created_at',
+    },
+    key: (values) => `${values.email} ${values.job_id}`,
+    async plan(db, rows) {
+      const emails = rows.map((row) => row.values.email);
+      const [users, jobs, applied] = await Promise.all([
+        db.query('select email from users where email = any($1)', [emails]),
+        db.query(
+          'select id, pipeline from jobs where id = any($1)',
+          [rows.map((row) => row.values.job_id)],
+        ),
+        db.query(
+          `select u.email, a.job_id
+           from applications a
+           join users u on u.id = a.user_id
+           where u.email = any($1)`,
+          [emails],
+        ),
+      ]);
+      const knownUsers = new Set(users.rows.map((row) => row.email));
+      const appliedKeys = new Set(applied.rows.map((row) => `${row.email} ${row.job_id}`));
+      // Any row with a full_name creates the candidate for every row with that email
+      const newUsers = new Map();
+      for (const { values } of rows) {
+        if (values.full_name && !newUsers.has(values.email)) {
+          newUsers.set(values.email, values.full_name);
+        }
+      }
+      return rows.map(({ values }) => {
+        const job = jobs.rows.find((row) => row.id === values.job_id);
+        if (!job) return { error: { job_id: 'no job with this id' } };
+        const stages = pipelineStages(resolvePipeline(job));
+        if (values.status && !stages.includes(values.status)) {
+          return { error: { status: `must be one of: ${stages.join(', ')}` } };
+        }
+        if (!knownUsers.has(values.email) && !newUsers.has(values.email)) {
+          return { error: { email: 'no candidate with this email (add full_name to create one)' } };
+        }
+        if (appliedKeys.has(`${values.email} ${values.job_id}`)) {
+          return { action: 'skip', reason: 'The candidate has already applied to this job' };
+        }
+        return {
+          action: 'create',
+          status: values.status || stages[0],
+          fullName: knownUsers.has(values.email) ? null : newUsers.get(values.email),
+        };
+      });
+    },
+    async apply(db, { values, status, fullName }, { admin }) {
+      // Inserted by the first row for a new email; other rows only read the id
+      const user = await db.query(
+        `with created as (
+           insert into users (full_name, email, password_hash, phone)
+           select $1, $2, '', $3
+           where $1::text is not null
+           on conflict (email) do nothing
+           returning id
+         )
+         select id from created
+         union all
+         select id from users where email = $2
+         limit 1`,
+        [fullName, values.email, values.phone || null],
+      );
+      const createdAt = values.created_at || new Date();
+      const application = await db.query(
+        `insert into applications
+           (user_id, job_id, status, source, cover_letter, admin_notes, created_at, status_changed_at)
+         values ($1, $2, $3, $4, $5, $6, $7, $7)
+         returning id`,
+        [
+          user.rows[0].id,
+          values.job_id,
+          status,
+          values.source,
+          values.cover_letter || null,
+          values.admin_notes || null,
+          createdAt,
+        ],
+      );
+      await db.query(
+        `insert into application_status_history
+           (application_id, from_status, to_status, changed_by, note, created_at)
+         values ($1, null, $2, $3, 'Imported', $4)`,
+        [application.rows[0].id, status, admin.id, createdAt],
+      );
+    },
+  },
+};
+
+// Field -> column index, from an explicit { field: header } mapping or else by header name
+function importColumns(target, headers, mapping) {
+  const columns = {};
+  const problems = {};
+  if (mapping) {
+    for (const [field, header] of Object.entries(mapping)) {
+      const index = headers.indexOf(header);
+      if (!(field in target.fields)) problems[field] = 'is not an importable field';
+      else if (index === -1) problems[field] = `column "${header}" is not in the file`;
+      else columns[field] = index;
+    }
+  } else {
+    headers.forEach((header, index) => {
+      const key = headerKey(header);
+      const field = key in target.fields ? key : target.aliases[key];
+      if (field && columns[field] === undefined) columns[field] = index;
+    });
+  }
+  const missing = Object.entries(target.fields)
+    .filter(([field, rule]) => rule.required && columns[field] === undefined)
+    .map(([field]) => field);
+  for (const field of missing) problems[field] = 'has no column';
+  if (Object.keys(problems).length > 0) {
+    throw new ValidationError(
+      Object.fromEntries(Object.entries(problems).map(([field, error]) => [`mapping.${field}`, error])),
+      'Import columns do not match',
+    );
+  }
+  return columns;
+}
+
+// Validates the rows of a sheet and works out what importing each one would do. Row numbers are
+// the spreadsheet's (the header is row 1).
+async function planImport(db, target, sheet, { mapping, onDuplicate }) {
+  const columns = importColumns(target, sheet.headers, mapping);
+  const rows = [];
+  const errors = [];
+  const seen = new Map();
+  sheet.rows.forEach((cells, index) => {
+    const rowNumber = index + 2;
+    const raw = {};
+    for (const [field, column] of Object.entries(columns)) {
+      const cell = cells[column];
+      if (cell === '') continue;
+      // Lists are exported "a; b" (or one per line), see listValue()
+      raw[field] = target.fields[field].type === 'array' && /[;\n]/.test(cell)
+        ? cell.split(/[;\n]/).map((item) => item.trim()).filter(Boolean)
+        : cell;
+    }
+    const { values, fields } = checkSchema(raw, target.fields);
+    let problems = fields;
+    if (Object.keys(problems).length === 0 && target.check) {
+      try {
+        target.check(values);
+      } catch (err) {
+        if (!(err instanceof ValidationError)) throw err;
+        problems = err.fields;
+      }
+    }
+    const key = Object.keys(problems).length === 0 && target.key ? target.key(values) : null;
+    if (key !== null && seen.has(key)) {
+      problems = { row: `duplicate of row ${seen.get(key)}` };
+    } else if (key !== null) {
+      seen.set(key, rowNumber);
+    }
+    if (Object.keys(problems).length > 0) {
+      errors.push({ row: rowNumber, fields: problems });
+    } else {
+      rows.push({ row: rowNumber, values });
+    }
+  });
+
+  const plans = rows.length > 0 ? await target.plan(db, rows, { onDuplicate }) : [];
+  const planned = [];
+  rows.forEach((row, index) => {
+    const { error, ...plan } = plans[index];
+    if (error) errors.push({ row: row.row, fields: error });
+    else planned.push({ ...row, ...plan });
+  });
+  errors.sort((a, b) => a.row - b.row);
+  return { columns, planned, errors };
+}
+
+function importReport(entity, sheet, { columns, planned, errors }, extra = {}) {
+  const count = (action) => planned.filter((row) => row.action === action).length;
+  return {
+    entity,
+    format: sheet.format,
+    columns: Object.fromEntries(
+      Object.entries(columns).map(([field, index]) => [field, sheet.headers[index]]),
+    ),
+    ignored_columns: sheet.headers.filter((_, index) => !Object.values(columns).includes(index)),
+    rows: sheet.rows.length,
+    summary: {
+      create: count('create'),
+      update: count('update'),
+      skip: count('skip'),
+      invalid: new Set(errors.map((error) => error.row)).size,
+    },
+    errors,
+    skipped: planned
+      .filter((row) => row.action === 'skip')
+      .map((row) => ({ row: row.row, reason: row.reason })),
+    ...extra,
+  };
+}
+
+const importSchema = {
+  params: { entity: { type: 'string', required: true, enum: Object.keys(importTargets) } },
+  body: {
+    mapping: { type: 'string', max: 10000 },
+    dry_run: { type: 'boolean', default: false },
+    on_duplicate: { type: 'string', enum: ['skip', 'update'], default: 'skip' },
+    skip_invalid: { type: 'boolean', default: false },
+  },
+};
+
+// POST /api/imports/:entity - users, jobs or applications from multipart "file" (CSV or XLSX).
+// Fields: mapping (JSON { field: "Column header" }; default: columns named like the fields),
+// dry_run (validate and preview only), on_duplicate (users: skip or update existing emails),
+// skip_invalid (import the valid rows even if others fail; otherwise any invalid row aborts).
+// Candidates are matched by email; applications need the candidate's email and a job_id, and
+// create the candidate when full_name is given. Imports never email candidates.
+// Write permission for the kind of record being imported
+const requireImportPermission = (req, res, next) => {
+  const target = importTargets[req.params.entity];
+  return requirePermission(target ? target.permission : 'admins:manage')(req, res, next);
+};
+
+app.post(
+  '/api/imports/:entity',
+  requireImportPermission,
+  upload.single('file'),
+  validate(importSchema),
+  async (req, res, next) => {
+    const { entity } = req.params;
+    const target = importTargets[entity];
+    const { dry_run: dryRun, on_duplicate: onDuplicate, skip_invalid: skipInvalid } = req.body;
+    if (!req.file) {
+      return next(new ValidationError({ file: 'is required' }));
+    }
+    let mapping = null;
+    if (req.body.mapping) {
+      try {
+        mapping = JSON.parse(req.body.mapping);
+      } catch (_) {
+        mapping = null;
+      }
+      if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+        return next(new ValidationError({
+          mapping: 'must be a JSON object of field -> column header',
+        }));
+      }
+    }
+
+    const client = await connectOrNext(next);
+    if (!client) return;
+    try {
+      const sheet = await readSpreadsheet(req.file.buffer, {
+        maxRows: recordImportMaxRows,
+        maxBytes: recordImportMaxUnpackedBytes,
+      }).catch((err) => {
+        if (err.status) throw err;
+        throw httpError(400, 'Could not read the file as CSV or XLSX', { cause: err });
+      });
+      if (sheet.headers.length === 0 || sheet.rows.length === 0) {
+        throw httpError(400, 'The file has no rows to import');
+      }
+
+      await client.query('begin');
+      const plan = await planImport(client, target, sheet, { mapping, onDuplicate });
+      const preview = plan.planned.slice(0, importPreviewRows)
+        .map(({ row, action, values }) => ({ row, action, values }));
+      if (dryRun) {
+        await client.query('rollback');
+        return res.json(importReport(entity, sheet, plan, { dry_run: true, preview }));
+      }
+      if (plan.errors.length > 0 && !skipInvalid) {
+        throw httpError(400, 'Some rows are invalid; nothing was imported', {
+          code: 'invalid_rows',
+          details: importReport(entity, sheet, plan),
+        });
+      }
+      for (const row of plan.planned) {
+        // eslint-disable-next-line no-await-in-loop
+        if (row.action !== 'skip') await target.apply(client, row, { admin: req.admin });
+      }
+      await client.query('commit');
+      res.json(importReport(entity, sheet, plan, { dry_run: false }));
+    } catch (err) {
+      await client.query('rollback');
+      next(err);
+    } finally {
+      client.release();
+    }
+  },
+);
+
+// --- BULK RESUME IMPORT (background jobs, see lib/queue.js) ---
+// Uploaded files (or the contents of ZIP archives) are stored and queued one job per file. The
+// worker extracts and parses each resume, finds or creates the candidate by email and applies
+// them to the job; GET /api/resume-imports/:id reports progress and per-file errors.
+
+const importMaxBytes = Number(process.env.IMPORT_MAX_MB || 50) * 1024 * 1024;
+const importMaxFiles = Number(process.env.IMPORT_MAX_FILES || 200);
+const importMaxUnpackedBytes = Number(process.env.IMPORT_MAX_UNPACKED_MB || 200) * 1024 * 1024;
+const importMaxRequestBytes = Number(process.env.IMPORT_MAX_REQUEST_MB || 200) * 1024 * 1024;
+const bulkUpload = multer({
+  limits: { fileSize: importMaxBytes, files: importMaxFiles, fields: 20 },
+});
+
+// multer keeps the uploaded files in memory, so the whole request is capped before it is read.
+// Node ends a body at its Content-Length; a chunked body has none and is refused.
+function limitImportRequest(req, res, next) {
+  const length = req.get('content-length');
+  if (!length) {
+    return next(httpError(411, 'Uploads must be sent with a Content-Length'));
+  }
+  if (Number(length) > importMaxRequestBytes) {
+    const maxMb = importMaxRequestBytes / 1024 / 1024;
+    return next(httpError(413, `A bulk import may upload at most ${maxMb} MB per request`));
+  }
+  next();
+}
+
+// A plain ZIP archive; DOCX files are ZIPs too but are imported as resumes.
+const isZipArchive = (buffer) =>
+  buffer.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04])) &&
+  detectFileType(buffer)?.type !== 'docx';
+
+// Returns [{ filename, buffer, error? }] for the files in a ZIP, skipping folders and OS metadata.
+// `budget` ({ files, bytes }) is what the whole import has left and is used up as entries are
+// read: too many entries are rejected before anything is inflated, and inflating stops once an
+// entry passes UPLOAD_MAX_MB or the import passes IMPORT_MAX_UNPACKED_MB.
+async function unzipUpload(file, budget) {
+  const zip = await JSZip.loadAsync(file.buffer).catch(() => {
+    throw httpError(400, `Could not read ZIP archive ${file.originalname}`);
+  });
+  const entries = Object.values(zip.files)
+    .filter((entry) => !entry.dir && !/(^|\/)(__MACOSX\/|\.)/.test(entry.name));
+  if (entries.length > budget.files) {
+    throw httpError(413, `An import may contain at most ${importMaxFiles} files`);
+  }
+  budget.files -= entries.length;
+
+  const files = [];
+  for (const entry of entries) {
+    const filename = `${file.originalname}/${entry.name}`;
+    const maxBytes = Math.min(uploadMaxBytes, budget.bytes);
+    // eslint-disable-next-line no-await-in-loop
+    const { buffer, size } = await inflateZipEntry(entry, maxBytes).catch(() => {
+      throw httpError(400, `Could not read ${filename}`);
+    });
+    if (!buffer) {
+      if (maxBytes < uploadMaxBytes) {
+        const maxMb = importMaxUnpackedBytes / 1024 / 1024;
+        throw httpError(413, `The ZIP archives in an import may unpack to at most ${maxMb} MB`);
+      }
+      files.push({ filename, size, error: 'File is too large' });
+      continue;
+    }
+    budget.bytes -= size;
+    files.push({ filename, buffer, size });
+  }
+  return files;
+}
+
+// Marks the import finished once none of its files is waiting or being processed.
+async function finishResumeImport(db, importId) {
+  await db.query(
+    `update resume_imports
+        set finished_at = now()
+      where id = $1
+        and finished_at is null
+        and not exists (
+          select 1 from resume_import_files
+          where import_id = $1 and status in ('queued', 'processing')
+        )`,
+    [importId],
+  );
+}
+
+// Stores the files, records them and queues one job per readable file in a single transaction.
+async function createResumeImport(jobId, files, createdBy) {
+  const storage = getStorage();
+  const importId = crypto.randomUUID();
+  const storedKeys = [];
+  const client = await pool.connect();
+  try {
+    await client.query('begin');
+    await client.query(
+      'insert into resume_imports (id, job_id, created_by) values ($1, $2, $3)',
+      [importId, jobId, createdBy],
+    );
+    for (const file of files) {
+      const fileId = crypto.randomUUID();
+      const error = file.error || (detectFileType(file.buffer) ? null : 'Unsupported file type');
+      const key = error ? null : `imports/${importId}/${fileId}`;
+      if (key) {
+        // eslint-disable-next-line no-await-in-loop
+        await storage.put(key, file.buffer);
+        storedKeys.push(key);
+      }
+      // eslint-disable-next-line no-await-in-loop
+      await client.query(
+        `insert into resume_import_files
+           (id, import_id, filename, size_bytes, status, storage_driver, storage_key, error,
+            processed_at)
+         values ($1, $2, $3, $4, $5, $6, $7, $8,
+                 case when $8::text is null then null else now() end)`,
+        [
+          fileId,
+          importId,
+          file.filename,
+          file.size,
+          error ? 'failed' : 'queued',
+          key && storage.name,
+          key,
+          error,
+        ],
+      );
+      if (key) {
+        // eslint-disable-next-line no-await-in-loop
+        await enqueueJob(client, 'resume-import-file', { file_id: fileId });
+      }
+    }
+    await finishResumeImport(client, importId);
+    await client.query('commit');
+    return importId;
+  } catch (err) {
+    await client.query('rollback');
+    await Promise.all(storedKeys.map((key) => storage.remove(key).catch(() => {})));
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Imports with their file counts; callers add the where clause and `group by i.id`.
+const resumeImportSelect = `select i.*,
+         count(f.id)::int as total_files,
+         count(f.id) filter (where f.status = 'succeeded')::int as succeeded,
+         count(f.id) filter (where f.status = 'failed')::int as failed,
+         count(f.id) filter (where f.status in ('queued', 'processing'))::int as pending
+  from resume_imports i
+  left join resume_import_files f on f.import_id = i.id`;
+
+const withImportStatus = (row) => {
+  let status = 'queued';
+  if (row.finished_at) status = 'completed';
+  else if (row.pending < row.total_files) status = 'processing';
+  return { ...row, status };
+};
+
+async function getResumeImport(id) {
+  const result = await pool.query(`${resumeImportSelect} where i.id = $1 group by i.id`, [id]);
+  if (result.rows.length === 0) return null;
+  const files = await pool.query(
+    `select id, filename, size_bytes, status, error, user_id, user_created, application_id,
+            resume_id, processed_at
+     from resume_import_files
+     where import_id = $1
+     order by filename`,
+    [id],
+  );
+  return { ...withImportStatus(result.rows[0]), files: files.rows };
+}
+
+const emailInTextRe = /[\w.+-]+@[\w-]+(\.[\w-]+)*\.[a-z]{2,}/i;
+
+// Finds or creates the candidate, applies them to the job and stores the resume.
+async function importResumeFile(file) {
+  const buffer = await getStorage(file.storage_driver).read(file.storage_key);
+  const upload = {
+    buffer,
+    originalname: file.filename.split('/').pop(),
+    mimetype: detectFileType(buffer)?.contentType || 'application/octet-stream',
+    size: buffer.length,
+  };
+  const text = await extractResumeText(upload);
+  if (!text) {
+    throw httpError(400, 'No readable text found in the file');
+  }
+  if (!llmConfigured()) {
+    throw llmNotConfiguredError();
+  }
+  const parsed = await parseResumeText(text, {
+    feature: 'resume-import',
+    adminId: file.created_by,
+    clientId: file.client_id,
+  });
+
+  const contactEmail = String(parsed.contact?.email || '').trim().toLowerCase();
+  const email = emailRe.test(contactEmail)
+    ? contactEmail
+    : text.match(emailInTextRe)?.[0].toLowerCase();
+  if (!email) {
+    throw httpError(400, 'No email address found in the resume');
+  }
+  const fullName = String(parsed.contact?.name || '').trim().slice(0, 200) || email.split('@')[0];
+  const phone = String(parsed.contact?.phone || '').trim().slice(0, 50) || null;
+
+  const client = await pool.connect();
+  let owner;
+  let userCreated;
+  try {
+    await client.query('begin');
+    // Imported candidates have no password until they set one
+    const inserted = await client.query(
+      `insert into users (full_name, email, password_hash, phone)
+       values ($1, $2, '', $3)
+       on conflict (email) do nothing
+       returning id`,
+      [fullName, email, phone],
+    );
+    userCreated = inserted.rows.length > 0;
+    const userId = userCreated
+      ? inserted.rows[0].id
+      : (await client.query('select id from users where email = $1', [email])).rows[0].id;
+
+    const jobResult = await client.query('select pipeline from jobs where id = $1', [file.job_id]);
+    const initialStatus = pipelineStages(resolvePipeline(jobResult.rows[0]))[0];
+    const application = await client.query(
+      `insert into applications (user_id, job_id, status, source, status_changed_at)
+       values ($1, $2, $3, 'import', now())
+       on conflict (user_id, job_id) do nothing
+       returning id`,
+      [userId, file.job_id, initialStatus],
+    );
+    let applicationId;
+    if (application.rows.length > 0) {
+      applicationId = application.rows[0].id;
+      await client.query(
+        `insert into application_status_history
+           (application_id, from_status, to_status, changed_by, note)
+         values ($1, null, $2, $3, 'Bulk resume import')`,
+        [applicationId, initialStatus, file.created_by],
+      );
+    } else {
+      const existing = await client.query(
+        'select id from applications where user_id = $1 and job_id = $2',
+        [userId, file.job_id],
+      );
+      applicationId = existing.rows[0].id;
+    }
+    await client.query('commit');
+    owner = { userId, applicationId };
+  } catch (err) {
+    await client.query('rollback');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  const resume = await storeResume(owner, upload, { parsed, uploadedBy: file.created_by });
+  return {
+    user_id: owner.userId,
+    user_created: userCreated,
+    application_id: owner.applicationId,
+    resume_id: resume.id,
+  };
+}
+
+registerJobHandler('resume-import-file', async ({ file_id: fileId }, job) => {
+  const claimed = await pool.query(
+    `update resume_import_files f
+        set status = 'processing'
+       from resume_imports i
+      where f.id = $1 and i.id = f.import_id and f.status in ('queued', 'processing')
+      returning f.*, i.job_id, i.created_by,
+                (select client_id from jobs where id = i.job_id) as client_id`,
+    [fileId],
+  );
+  // Import deleted (with its job) or file already handled
+  if (claimed.rows.length === 0) return { skipped: true };
+  const file = claimed.rows[0];
+
+  let outcome;
+  try {
+    outcome = await importResumeFile(file);
+  } catch (err) {
+    // Client errors (no text, no email) won't change on retry; anything else is retried by the
+    // queue and only reported on the last attempt.
+    const permanent = err.status && err.status < 500;
+    if (!permanent && job.attempts < job.max_attempts) {
+      await pool.query("update resume_import_files set status = 'queued' where id = $1", [fileId]);
+      throw err;
+    }
+    await pool.query(
+      `update resume_import_files
+          set status = 'failed', error = $2, processed_at = now()
+        where id = $1`,
+      [fileId, err.status ? err.message : 'Could not process the file'],
     );
-    doc.pipe(res);
+    await finishResumeImport(pool, file.import_id);
+    if (!permanent) throw err;
+    return { error: err.message };
+  }
+
+  await pool.query(
+    `update resume_import_files
+        set status = 'succeeded', error = null, processed_at = now(), user_id = $2,
+            user_created = $3, application_id = $4, resume_id = $5
+      where id = $1`,
+    [fileId, outcome.user_id, outcome.user_created, outcome.application_id, outcome.resume_id],
+  );
+  await getStorage(file.storage_driver).remove(file.storage_key).catch(() => {});
+  await finishResumeImport(pool, file.import_id);
+  return outcome;
+}, {
+  // The worker stopped during the last attempt, so the handler could not report the file
+  onLost: async ({ file_id: fileId }) => {
+    const result = await pool.query(
+      `update resume_import_files
+          set status = 'failed', error = 'Could not process the file', processed_at = now()
+        where id = $1 and status in ('queued', 'processing')
+        returning import_id`,
+      [fileId],
+    );
+    if (result.rows.length > 0) {
+      await finishResumeImport(pool, result.rows[0].import_id);
+    }
+  },
+});
+
+// POST /api/jobs/:id/resume-imports - multipart "resumes": any number of resume files and/or
+// ZIP archives. Responds 202; poll GET /api/resume-imports/:id for progress.
+app.post(
+  '/api/jobs/:id/resume-imports',
+  requirePermission('applications:write'),
+  requirePermission('users:write'),
+  requirePermission('ai:use'),
+  limitImportRequest,
+  bulkUpload.array('resumes', importMaxFiles),
+  validate(idParam),
+  async (req, res, next) => {
+    const { id } = req.params;
+    if (!req.files?.length) {
+      return next(httpError(400, 'No files uploaded'));
+    }
+    if (!llmConfigured()) {
+      return next(llmNotConfiguredError());
+    }
+    try {
+      const job = await pool.query('select 1 from jobs where id = $1', [id]);
+      if (job.rows.length === 0) {
+        return next(httpError(404, 'Job not found'));
+      }
+      const files = [];
+      const budget = { files: importMaxFiles, bytes: importMaxUnpackedBytes };
+      for (const file of req.files) {
+        if (isZipArchive(file.buffer)) {
+          // eslint-disable-next-line no-await-in-loop
+          files.push(...(await unzipUpload(file, budget)));
+        } else {
+          budget.files -= 1;
+          if (file.size > uploadMaxBytes) {
+            files.push({ filename: file.originalname, size: file.size, error: 'File is too large' });
+          } else {
+            files.push({ filename: file.originalname, buffer: file.buffer, size: file.size });
+          }
+        }
+      }
+      if (files.length === 0) {
+        return next(httpError(400, 'No files found in the upload'));
+      }
+      if (files.length > importMaxFiles) {
+        return next(httpError(413, `An import may contain at most ${importMaxFiles} files`));
+      }
+      const importId = await createResumeImport(id, files, req.admin.id);
+      res.status(202).json({ import: await getResumeImport(importId) });
+    } catch (err) {
+      next(err);
+    }
+  },
+);
+
+// GET /api/jobs/:id/resume-imports - imports for a job, newest first (without the file lists)
+app.get('/api/jobs/:id/resume-imports', requirePermission('applications:read'), validate(idParam), async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    const result = await pool.query(
+      `${resumeImportSelect}
+       where i.job_id = $1
+       group by i.id
+       order by i.created_at desc`,
+      [id],
+    );
+    res.json({ imports: result.rows.map(withImportStatus) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/resume-imports/:id - progress and the per-file report
+app.get('/api/resume-imports/:id', requirePermission('applications:read'), validate(idParam), async (req, res, next) => {
+  try {
+    const resumeImport = await getResumeImport(req.params.id);
+    if (!resumeImport) {
+      return next(httpError(404, 'Import not found'));
+    }
+    res.json({ import: resumeImport });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --- CANDIDATE MATCH SCORING ---
+// The deterministic score is the share of job requirements covered by the candidate's parsed
+// skills. When an LLM is available it also rates the fit, and the two are blended 60/40.
+
+const normalizeSkill = (value) =>
+  String(value || '').toLowerCase().replace(/[^a-z0-9+#.]+/g, ' ').replace(/\.(?=\s|$)/g, '').trim();
+
+const containsPhrase = (text, phrase) => Boolean(phrase) && ` ${text} `.includes(` ${phrase} `);
+
+function scoreSkillOverlap(job, parsed) {
+  const terms = [
+    ...(Array.isArray(job.required_skills) ? job.required_skills : []),
+    ...(Array.isArray(job.requirements) ? job.requirements : []),
+  ].filter((term) => normalizeSkill(term));
+  const candidateSkills = [
+    ...(Array.isArray(parsed?.skills) ? parsed.skills : []),
+    ...(Array.isArray(parsed?.certifications) ? parsed.certifications : []),
+  ].map(normalizeSkill).filter(Boolean);
 
-    doc.fontSize(20).text('Anonymized Candidate Profile', { align: 'center' });
-    doc.moveDown();
-    doc.fontSize(14).text(`Candidate ID: #CND-${String(id).padStart(3, '0')}`);
-    doc.moveDown();
-    doc.fontSize(12).text(`Latest Application Status: ${application.status || 'N/A'}`);
-    if (application.job_title) doc.text(`Recent Role Applied: ${application.job_title}`);
-    doc.moveDown();
-
-    if (parsed.summary) {
-      doc.fontSize(14).text('Summary:');
-      doc.fontSize(12).text(parsed.summary, { align: 'justify' });
-      doc.moveDown();
-    }
-
-    if (Array.isArray(parsed.skills) && parsed.skills.length > 0) {
-      doc.fontSize(14).text('Skills:');
-      doc.fontSize(12).text(parsed.skills.join(', '));
-      doc.moveDown();
-    }
-
-    if (parsed.experience && Array.isArray(parsed.experience) && parsed.experience.length > 0) {
-      doc.fontSize(14).text('Experience:');
-      parsed.experience.slice(0, 3).forEach((exp) => {
-        doc.fontSize(12).text(`${exp.title || 'Role'} at ${exp.company || 'Company'}`);
-        doc.fontSize(10).text(`${exp.start_date || 'N/A'} - ${exp.end_date || 'Present'}`);
-        if (Array.isArray(exp.responsibilities) && exp.responsibilities.length > 0) {
-          doc.fontSize(10).list(exp.responsibilities.slice(0, 3));
+  const matched = [];
+  const missing = [];
+  terms.forEach((term) => {
+    const normalized = normalizeSkill(term);
+    const hit = candidateSkills.some(
+      (skill) => containsPhrase(normalized, skill) || containsPhrase(skill, normalized),
+    );
+    (hit ? matched : missing).push(term);
+  });
+
+  return {
+    score: terms.length > 0 ? Math.round((matched.length / terms.length) * 100) : null,
+    matched,
+    missing,
+  };
+}
+
+async function assessMatchWithAi(job, parsed, usage) {
+  const { data: assessment } = await trackedCompleteJson(
+    pool,
+    'match',
+    [
+      {
+        role: 'system',
+        content: `You are a recruiter assessing how well a candidate fits a job.
+Return output strictly as JSON with this shape:
+{ "score": 0-100, "summary": "one or two sentences" }`,
+      },
+      {
+        role: 'user',
+        content: `Job: ${JSON.stringify({
+          title: job.title,
+          description: job.description,
+          requirements: job.requirements,
+        }).slice(0, 6000)}
+Candidate: ${JSON.stringify({
+          summary: parsed.summary,
+          skills: parsed.skills,
+          experience: parsed.experience,
+          education: parsed.education,
+        }).slice(0, 6000)}`,
+      },
+    ],
+    { temperature: 0, cache: true, usage },
+  );
+  const score = Number(assessment.score);
+  if (!Number.isFinite(score)) {
+    throw new Error('AI assessment did not include a score');
+  }
+  return {
+    score: Math.max(0, Math.min(100, Math.round(score))),
+    summary: String(assessment.summary || ''),
+  };
+}
+
+// AI assessments per ranking request; only the best applicants by skill overlap get one
+const rankAiMaxApplications = Number(process.env.RANK_AI_MAX_APPLICATIONS ?? 25);
+
+const rankApplicantsSchema = {
+  ...idParam,
+  body: { use_ai: { type: 'boolean', default: true } },
+};
+
+// POST /api/jobs/:id/rank-applicants - body { use_ai?: boolean }. Every applicant is scored on
+// skill overlap; with AI, the top RANK_AI_MAX_APPLICATIONS of them are also assessed by the
+// model. Each result says how it was scored in `scored_by` ("ai", "skills" or null).
+app.post(
+  '/api/jobs/:id/rank-applicants',
+  requirePermission('applications:write'),
+  validate(rankApplicantsSchema),
+  async (req, res, next) => {
+    const { id } = req.params;
+    let useAi = req.body.use_ai && llmConfigured() && hasPermission(req.admin, 'ai:use');
+    try {
+      const jobResult = await pool.query('select * from jobs where id = $1', [id]);
+      if (jobResult.rows.length === 0) {
+        return next(httpError(404, 'Job not found'));
+      }
+      const job = jobResult.rows[0];
+      const applications = await pool.query(
+        `select a.id, a.user_id, u.full_name,
+                coalesce(a.ai_parsed_data, r.parsed_data, latest.parsed_data) as ai_parsed_data
+         from applications a
+         join users u on u.id = a.user_id
+         left join resumes r on r.id = a.resume_id
+         left join lateral (
+           select parsed_data
+           from resumes
+           where user_id = a.user_id and version is not null and parsed_data is not null
+           order by version desc
+           limit 1
+         ) latest on true
+         where a.job_id = $1`,
+        [id],
+      );
+
+      const ranked = applications.rows.map((application) => {
+        const parsed = application.ai_parsed_data;
+        const base = {
+          application_id: application.id,
+          user_id: application.user_id,
+          full_name: application.full_name,
+        };
+        if (!parsed) {
+          return {
+            ...base,
+            parsed: null,
+            details: {
+              score: null,
+              skill_score: null,
+              matched: [],
+              missing: [],
+              scored_by: null,
+              reason: 'No parsed resume data',
+            },
+          };
+        }
+        const overlap = scoreSkillOverlap(job, parsed);
+        return {
+          ...base,
+          parsed,
+          details: {
+            score: overlap.score,
+            skill_score: overlap.score,
+            matched: overlap.matched,
+            missing: overlap.missing,
+            scored_by: 'skills',
+          },
+        };
+      });
+
+      const byScore = (a, b) => (b.details.score ?? -1) - (a.details.score ?? -1);
+      const aiCandidates = useAi
+        ? ranked.filter((row) => row.parsed).sort(byScore).slice(0, rankAiMaxApplications)
+        : [];
+      // Sequential on purpose: keeps LLM usage to one request at a time.
+      for (const { parsed, details } of aiCandidates) {
+        if (!useAi) {
+          details.ai_error = 'AI quota exceeded; skill overlap only';
+          continue;
         }
-        doc.moveDown();
+        try {
+          // eslint-disable-next-line no-await-in-loop
+          const ai = await assessMatchWithAi(job, parsed, {
+            feature: 'rank-applicants',
+            adminId: req.admin.id,
+            clientId: job.client_id,
+          });
+          details.ai_score = ai.score;
+          details.ai_summary = ai.summary;
+          details.score = details.skill_score === null
+            ? ai.score
+            : Math.round(details.skill_score * 0.6 + ai.score * 0.4);
+          details.scored_by = 'ai';
+        } catch (err) {
+          if (err.code === 'ai_quota_exceeded') {
+            // Rank the rest on skill overlap instead of failing every remaining call
+            useAi = false;
+            details.ai_error = 'AI quota exceeded; skill overlap only';
+          } else {
+            // eslint-disable-next-line no-console
+            console.error('rank-applicants AI error:', err);
+            details.ai_error = 'AI assessment failed; skill overlap only';
+          }
+        }
+      }
+
+      for (const { application_id: applicationId, details } of ranked) {
+        // eslint-disable-next-line no-await-in-loop
+        await pool.query(
+          `update applications
+              set match_score = $1, match_details = $2, match_scored_at = now()
+            where id = $3`,
+          [details.score, details, applicationId],
+        );
+      }
+
+      ranked.sort(byScore);
+      res.json({
+        job_id: job.id,
+        used_ai: ranked.some((row) => row.details.scored_by === 'ai'),
+        applications: ranked.map(({ parsed: _parsed, details, ...row }) => ({ ...row, ...details })),
       });
+    } catch (err) {
+      next(err.status ? err : httpError(500, 'Failed to rank applicants', { cause: err }));
+    }
+  },
+);
+
+// --- SHORTLISTS (anonymized candidate packs shared with clients through expiring links) ---
+
+const shortlistFeedbackValues = ['interested', 'not_interested'];
+
+// Frontend page that opens a share link (the token is appended); defaults to the API route
+const shareLinkBaseUrl = (process.env.SHARE_LINK_BASE_URL || '').replace(/\/+$/, '');
+
+const shareLinkUrl = (token) =>
+  (shareLinkBaseUrl ? `${shareLinkBaseUrl}/${token}` : `/api/shared/shortlists/${token}`);
+
+const shortlistCandidateSchema = {
+  application_id: { type: 'uuid', required: true },
+  note: { type: 'string', max: 5000, nullable: true },
+};
+
+// Validates body.candidates ([{ application_id, note }]); every application must be for the job.
+async function shortlistCandidateValues(jobId, candidates) {
+  const fields = {};
+  const values = candidates.map((candidate, index) => {
+    const checked = checkSchema(candidate, shortlistCandidateSchema);
+    for (const [name, error] of Object.entries(checked.fields)) {
+      fields[`candidates[${index}].${name}`] = error;
+    }
+    return checked.values;
+  });
+  const ids = values.map((candidate) => candidate.application_id);
+  if (Object.keys(fields).length === 0 && new Set(ids).size !== ids.length) {
+    fields.candidates = 'must not list an application twice';
+  }
+  if (Object.keys(fields).length > 0) throw new ValidationError(fields);
+
+  const result = await pool.query(
+    'select id from applications where job_id = $1 and id = any($2::uuid[])',
+    [jobId, ids],
+  );
+  const found = new Set(result.rows.map((row) => row.id));
+  ids.forEach((id, index) => {
+    if (!found.has(id)) fields[`candidates[${index}].application_id`] = 'is not an application for this job';
+  });
+  if (Object.keys(fields).length > 0) throw new ValidationError(fields);
+  return values;
+}
+
+// Replaces the shortlist's candidates, in the given order; kept candidates keep their feedback.
+async function saveShortlistCandidates(db, shortlistId, candidates) {
+  const ids = candidates.map((candidate) => candidate.application_id);
+  await db.query(
+    'delete from shortlist_candidates where shortlist_id = $1 and not (application_id = any($2::uuid[]))',
+    [shortlistId, ids],
+  );
+  await db.query(
+    `insert into shortlist_candidates (shortlist_id, application_id, position, recruiter_note)
+     select $1, c.application_id, c.position::int, c.note
+     from unnest($2::uuid[], $3::text[]) with ordinality as c(application_id, note, position)
+     on conflict (shortlist_id, application_id) do update
+       set position = excluded.position, recruiter_note = excluded.recruiter_note`,
+    [shortlistId, ids, candidates.map((candidate) => candidate.note || null)],
+  );
+}
+
+async function createShortlist(jobId, values, candidates, createdBy) {
+  const client = await pool.connect();
+  try {
+    await client.query('begin');
+    const result = await client.query(
+      `insert into shortlists (job_id, client_id, title, message, template, created_by)
+       values ($1, $2, $3, $4, $5, $6)
+       returning id`,
+      [
+        jobId,
+        values.client_id,
+        values.title,
+        values.message || null,
+        values.template || null,
+        createdBy,
+      ],
+    );
+    await saveShortlistCandidates(client, result.rows[0].id, candidates);
+    await client.query('commit');
+    return result.rows[0].id;
+  } catch (err) {
+    await client.query('rollback');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Only the fields present in `values` change; message, client_id and template can be cleared.
+async function updateShortlist(id, values, candidates) {
+  const { title, message, client_id: clientId, template } = values;
+  const client = await pool.connect();
+  try {
+    await client.query('begin');
+    await client.query(
+      `update shortlists
+          set title = coalesce($2, title),
+              message = case when $3 then $4 else message end,
+              client_id = case when $5 then $6::uuid else client_id end,
+              template = case when $7 then $8 else template end,
+              updated_at = now()
+        where id = $1`,
+      [
+        id,
+        title || null,
+        message !== undefined,
+        message || null,
+        clientId !== undefined,
+        clientId || null,
+        template !== undefined,
+        template || null,
+      ],
+    );
+    if (candidates) await saveShortlistCandidates(client, id, candidates);
+    await client.query('commit');
+  } catch (err) {
+    await client.query('rollback');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Shortlist with its job, candidates (names included, this is the admin view) and share links.
+async function getShortlist(id) {
+  const result = await pool.query(
+    `select sl.*, j.title as job_title, c.company as client_company
+     from shortlists sl
+     join jobs j on j.id = sl.job_id
+     left join clients c on c.id = sl.client_id
+     where sl.id = $1`,
+    [id],
+  );
+  if (result.rows.length === 0) return null;
+  const candidates = await pool.query(
+    `select sc.id, sc.application_id, sc.position, sc.recruiter_note, sc.feedback,
+            sc.feedback_comment, sc.feedback_at, a.user_id, u.full_name, a.status
+     from shortlist_candidates sc
+     join applications a on a.id = sc.application_id
+     join users u on u.id = a.user_id
+     where sc.shortlist_id = $1
+     order by sc.position`,
+    [id],
+  );
+  const shares = await pool.query(
+    `select id, expires_at, revoked_at, view_count, last_viewed_at, created_by, created_at,
+            (revoked_at is null and expires_at > now()) as active
+     from shortlist_shares
+     where shortlist_id = $1
+     order by created_at desc`,
+    [id],
+  );
+  return { ...result.rows[0], candidates: candidates.rows, shares: shares.rows };
+}
+
+// Redacted profiles for every candidate, rendered with the shortlist's client branding.
+async function buildShortlistPack(shortlistId) {
+  const shortlist = await getShortlist(shortlistId);
+  if (!shortlist) {
+    throw httpError(404, 'Shortlist not found');
+  }
+  const brand = shortlist.client_id ? await loadProfileBranding(shortlist.client_id) : null;
+  const candidates = [];
+  // Sequential: a pack is a few dozen candidates at most
+  for (const candidate of shortlist.candidates) {
+    // eslint-disable-next-line no-await-in-loop
+    const { profile } = await buildAnonymizedProfile(candidate.user_id, {
+      applicationId: candidate.application_id,
+      template: shortlist.template,
+      brand,
+      recruiterNote: candidate.recruiter_note,
+    });
+    candidates.push({ ...candidate, profile });
+  }
+  return { shortlist, candidates, branding: brand?.branding || null, logo: brand?.logo || null };
+}
+
+function renderShortlistPackPdf(doc, pack) {
+  const { shortlist, candidates, branding, logo } = pack;
+  renderShortlistCoverPdf(
+    doc,
+    {
+      title: shortlist.title,
+      job_title: shortlist.job_title,
+      message: shortlist.message,
+      branding,
+      generated_at: new Date().toISOString(),
+      candidates: candidates.map(({ profile }) => ({
+        candidate_ref: profile.candidate_ref,
+        recruiter_note: profile.recruiter_note,
+      })),
+    },
+    { logo },
+  );
+  for (const { profile } of candidates) {
+    doc.addPage();
+    renderProfilePdf(doc, profile, { logo });
+  }
+}
+
+const shortlistPackFilename = (shortlist) =>
+  `shortlist_${shortlist.title.replace(/[^\w-]+/g, '_').slice(0, 60) || shortlist.id}.pdf`;
+
+const shortlistFieldsSchema = {
+  title: { type: 'string', max: 200 },
+  message: { type: 'string', max: 5000, nullable: true },
+  client_id: { type: 'uuid', nullable: true },
+  template: { type: 'string', enum: profileTemplateNames(), nullable: true },
+  candidates: { type: 'array', min: 1, max: 50, items: { type: 'object' } },
+};
+
+const createShortlistSchema = {
+  ...idParam,
+  body: {
+    ...shortlistFieldsSchema,
+    title: { ...shortlistFieldsSchema.title, required: true },
+    candidates: { ...shortlistFieldsSchema.candidates, required: true },
+  },
+};
+
+// POST /api/jobs/:id/shortlists - body { title, message?, client_id?, template?,
+// candidates: [{ application_id, note? }] }; client_id defaults to the job's client
+app.post('/api/jobs/:id/shortlists', requirePermission('shortlists:write'), validate(createShortlistSchema), async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    const job = await pool.query('select client_id from jobs where id = $1', [id]);
+    if (job.rows.length === 0) {
+      return next(httpError(404, 'Job not found'));
+    }
+    const candidates = await shortlistCandidateValues(id, req.body.candidates);
+    const { client_id: clientId = job.rows[0].client_id } = req.body;
+    const shortlistId = await createShortlist(
+      id,
+      { ...req.body, client_id: clientId },
+      candidates,
+      req.admin.id,
+    );
+    res.status(201).json({ shortlist: await getShortlist(shortlistId) });
+  } catch (err) {
+    if (err.code === '23503') {
+      return next(new ValidationError({ client_id: 'not found' }));
+    }
+    next(err);
+  }
+});
+
+// GET /api/jobs/:id/shortlists
+app.get('/api/jobs/:id/shortlists', requirePermission('shortlists:read'), validate(idParam), async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    const result = await pool.query(
+      `select sl.*, c.company as client_company,
+              (select count(*)::int from shortlist_candidates where shortlist_id = sl.id)
+                as candidate_count,
+              (select count(*)::int from shortlist_candidates
+                where shortlist_id = sl.id and feedback = 'interested') as interested_count,
+              (select count(*)::int from shortlist_shares
+                where shortlist_id = sl.id and revoked_at is null and expires_at > now())
+                as active_share_count
+       from shortlists sl
+       left join clients c on c.id = sl.client_id
+       where sl.job_id = $1
+       order by sl.created_at desc`,
+      [id],
+    );
+    res.json({ shortlists: result.rows });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/shortlists/:id
+app.get('/api/shortlists/:id', requirePermission('shortlists:read'), validate(idParam), async (req, res, next) => {
+  try {
+    const shortlist = await getShortlist(req.params.id);
+    if (!shortlist) {
+      return next(httpError(404, 'Shortlist not found'));
+    }
+    res.json({ shortlist });
+  } catch (err) {
+    next(err);
+  }
+});
+
+const updateShortlistSchema = { ...idParam, body: shortlistFieldsSchema };
+
+// PUT /api/shortlists/:id - candidates, when sent, replace the list (feedback is kept for
+// applications that stay on it)
+app.put('/api/shortlists/:id', requirePermission('shortlists:write'), validate(updateShortlistSchema), async (req, res, next) => {
+  const { id } = req.params;
+  if (req.body.title !== undefined && !req.body.title) {
+    return next(new ValidationError({ title: 'cannot be empty' }));
+  }
+  try {
+    const existing = await pool.query('select job_id from shortlists where id = $1', [id]);
+    if (existing.rows.length === 0) {
+      return next(httpError(404, 'Shortlist not found'));
+    }
+    const candidates = req.body.candidates
+      ? await shortlistCandidateValues(existing.rows[0].job_id, req.body.candidates)
+      : null;
+    await updateShortlist(id, req.body, candidates);
+    res.json({ shortlist: await getShortlist(id) });
+  } catch (err) {
+    if (err.code === '23503') {
+      return next(new ValidationError({ client_id: 'not found' }));
+    }
+    next(err);
+  }
+});
+
+// DELETE /api/shortlists/:id - also ends its share links; feedback stays on the applications
+app.delete('/api/shortlists/:id', requirePermission('shortlists:write'), validate(idParam), async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      'delete from shortlists where id = $1 returning id',
+      [req.params.id],
+    );
+    if (result.rows.length === 0) {
+      return next(httpError(404, 'Shortlist not found'));
+    }
+    res.json({ success: true, id: result.rows[0].id });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/shortlists/:id/pdf - cover page plus one anonymized profile per candidate
+app.get('/api/shortlists/:id/pdf', requirePermission('pdf:export'), validate(idParam), async (req, res, next) => {
+  try {
+    const pack = await buildShortlistPack(req.params.id);
+    const doc = new PDFDocument({ margin: 50 });
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="${shortlistPackFilename(pack.shortlist)}"`,
+    );
+    doc.pipe(res);
+    renderShortlistPackPdf(doc, pack);
+    doc.end();
+  } catch (err) {
+    next(err.status ? err : httpError(500, 'Failed to generate PDF', { cause: err }));
+  }
+});
+
+const createShareSchema = {
+  ...idParam,
+  body: { expires_in_days: { type: 'integer', min: 1, max: 90, default: 14 } },
+};
+
+// POST /api/shortlists/:id/shares - body { expires_in_days? }; the token is only returned here
+app.post('/api/shortlists/:id/shares', requirePermission('shortlists:write'), validate(createShareSchema), async (req, res, next) => {
+  const { id } = req.params;
+  const token = crypto.randomBytes(32).toString('base64url');
+  try {
+    const result = await pool.query(
+      `insert into shortlist_shares (shortlist_id, token_hash, expires_at, created_by)
+       select id, $2, now() + make_interval(days => $3), $4
+       from shortlists
+       where id = $1
+       returning id, shortlist_id, expires_at, created_at`,
+      [id, hashToken(token), req.body.expires_in_days, req.admin.id],
+    );
+    if (result.rows.length === 0) {
+      return next(httpError(404, 'Shortlist not found'));
+    }
+    res.status(201).json({ share: result.rows[0], token, url: shareLinkUrl(token) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+const shareParams = {
+  params: {
+    id: { type: 'uuid', required: true },
+    shareId: { type: 'uuid', required: true },
+  },
+};
+
+// DELETE /api/shortlists/:id/shares/:shareId - revokes the link
+app.delete('/api/shortlists/:id/shares/:shareId', requirePermission('shortlists:write'), validate(shareParams), async (req, res, next) => {
+  const { id, shareId } = req.params;
+  try {
+    const result = await pool.query(
+      `update shortlist_shares
+          set revoked_at = coalesce(revoked_at, now())
+        where id = $1 and shortlist_id = $2
+        returning id, revoked_at`,
+      [shareId, id],
+    );
+    if (result.rows.length === 0) {
+      return next(httpError(404, 'Share link not found'));
+    }
+    res.json({ success: true, share: result.rows[0] });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --- Shared shortlists (public, authenticated by the share token) ---
+
+// Returns the shortlist id for a live share token; `view` also counts the visit.
+async function resolveShareToken(token, { view = false } = {}) {
+  const result = await pool.query(
+    `update shortlist_shares
+        set view_count = view_count + $2::int,
+            last_viewed_at = case when $2::int > 0 then now() else last_viewed_at end
+      where token_hash = $1 and revoked_at is null and expires_at > now()
+      returning shortlist_id, expires_at`,
+    [hashToken(token), view ? 1 : 0],
+  );
+  if (result.rows.length === 0) {
+    throw httpError(404, 'Share link not found or expired');
+  }
+  return result.rows[0];
+}
+
+const shareTokenParams = { params: { token: { type: 'string', required: true, max: 100 } } };
+
+// GET /api/shared/shortlists/:token - the pack as the client sees it
+app.get('/api/shared/shortlists/:token', validate(shareTokenParams), async (req, res, next) => {
+  try {
+    const share = await resolveShareToken(req.params.token, { view: true });
+    const { shortlist, candidates, branding } = await buildShortlistPack(share.shortlist_id);
+    res.json({
+      shortlist: {
+        title: shortlist.title,
+        message: shortlist.message,
+        job_title: shortlist.job_title,
+        branding,
+        expires_at: share.expires_at,
+      },
+      // No names or application ids: candidates are addressed by their shortlist entry id
+      candidates: candidates.map((candidate) => ({
+        id: candidate.id,
+        position: candidate.position,
+        profile: {
+          ...candidate.profile,
+          application: candidate.profile.application && {
+            status: candidate.profile.application.status,
+            job_title: candidate.profile.application.job_title,
+          },
+        },
+        feedback: candidate.feedback,
+        feedback_comment: candidate.feedback_comment,
+        feedback_at: candidate.feedback_at,
+      })),
+    });
+  } catch (err) {
+    next(err.status ? err : httpError(500, 'Failed to load shortlist', { cause: err }));
+  }
+});
+
+// GET /api/shared/shortlists/:token/pdf
+app.get('/api/shared/shortlists/:token/pdf', validate(shareTokenParams), async (req, res, next) => {
+  try {
+    const share = await resolveShareToken(req.params.token, { view: true });
+    const pack = await buildShortlistPack(share.shortlist_id);
+    const doc = new PDFDocument({ margin: 50 });
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="${shortlistPackFilename(pack.shortlist)}"`,
+    );
+    doc.pipe(res);
+    renderShortlistPackPdf(doc, pack);
+    doc.end();
+  } catch (err) {
+    next(err.status ? err : httpError(500, 'Failed to generate PDF', { cause: err }));
+  }
+});
+
+// Saves the client's answer on the shortlist entry and on the application; null if the entry
+// is not on this shortlist.
+async function recordShortlistFeedback(shortlistId, candidateId, feedback, comment) {
+  const client = await pool.connect();
+  try {
+    await client.query('begin');
+    const result = await client.query(
+      `update shortlist_candidates
+          set feedback = $3, feedback_comment = $4, feedback_at = now()
+        where id = $1 and shortlist_id = $2
+        returning id, application_id, feedback, feedback_comment, feedback_at`,
+      [candidateId, shortlistId, feedback, comment],
+    );
+    const candidate = result.rows[0];
+    if (candidate) {
+      await client.query(
+        `update applications
+            set client_feedback = $2, client_feedback_comment = $3, client_feedback_at = now()
+          where id = $1`,
+        [candidate.application_id, feedback, comment],
+      );
+    }
+    await client.query('commit');
+    if (!candidate) return null;
+    const { application_id: applicationId, ...saved } = candidate;
+    return saved;
+  } catch (err) {
+    await client.query('rollback');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+const shortlistFeedbackSchema = {
+  params: {
+    token: { type: 'string', required: true, max: 100 },
+    candidateId: { type: 'uuid', required: true },
+  },
+  body: {
+    feedback: { type: 'string', required: true, enum: shortlistFeedbackValues },
+    comment: { type: 'string', max: 2000, nullable: true },
+  },
+};
+
+// PUT /api/shared/shortlists/:token/candidates/:candidateId/feedback
+// body { feedback: "interested" | "not_interested", comment? }; also recorded on the application
+app.put('/api/shared/shortlists/:token/candidates/:candidateId/feedback', validate(shortlistFeedbackSchema), async (req, res, next) => {
+  const { token, candidateId } = req.params;
+  const { feedback, comment } = req.body;
+  try {
+    const share = await resolveShareToken(token);
+    const candidate = await recordShortlistFeedback(
+      share.shortlist_id,
+      candidateId,
+      feedback,
+      comment || null,
+    );
+    if (!candidate) {
+      return next(httpError(404, 'Candidate not found on this shortlist'));
+    }
+    res.json({ candidate });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// --- CLIENTS ---
+
+const clientStatuses = ['active', 'inactive', 'archived'];
+
+const clientFieldsSchema = {
+  company: { type: 'string', max: 200 },
+  contact_person: { type: 'string', max: 200, nullable: true },
+  email: { type: 'email', nullable: true },
+  status: { type: 'string', enum: clientStatuses },
+  // Branding for anonymized profiles; null clears
+  brand_color: { type: 'string', pattern: /^#[0-9a-f]{6}$/i, nullable: true },
+  brand_footer: { type: 'string', max: 300, nullable: true },
+  profile_template: { type: 'string', enum: profileTemplateNames(), nullable: true },
+};
+
+const clientLogoPath = (clientId) => `/api/clients/${clientId}/logo`;
+
+// Keep `name` alongside `company` for frontend compatibility; logo storage details stay internal
+const toClientResponse = ({
+  logo_storage_driver: logoDriver,
+  logo_storage_key: logoKey,
+  logo_content_type: logoContentType,
+  ...client
+}) => ({
+  ...client,
+  name: client.company,
+  logo_url: logoKey ? clientLogoPath(client.id) : null,
+});
+
+// GET /api/clients - ?status (default: not archived), ?created_from/?created_to, ?q, ?sort, paging
+app.get('/api/clients', requirePermission('clients:read'), async (req, res, next) => {
+  try {
+    const query = { status: 'active,inactive', ...req.query };
+    const result = await runListQuery(query, clientListSpec);
+    res.json({ clients: result.rows.map(toClientResponse), pagination: result.pagination });
+  } catch (err) {
+    next(err);
+  }
+});
+
+const createClientSchema = {
+  body: {
+    ...clientFieldsSchema,
+    company: { ...clientFieldsSchema.company, required: true },
+    status: { ...clientFieldsSchema.status, default: 'active' },
+  },
+};
+
+// POST /api/clients
+app.post('/api/clients', requirePermission('clients:write'), validate(createClientSchema), async (req, res, next) => {
+  const { company, contact_person, email, status } = req.body;
+  const { brand_color, brand_footer, profile_template } = req.body;
+  try {
+    const result = await pool.query(
+      `insert into clients
+         (company, contact_person, email, status, brand_color, brand_footer, profile_template)
+       values ($1, $2, $3, $4, $5, $6, $7)
+       returning *`,
+      [
+        company,
+        contact_person || null,
+        email || null,
+        status,
+        brand_color || null,
+        brand_footer || null,
+        profile_template || null,
+      ]
+    );
+    res.status(201).json({ client: toClientResponse(result.rows[0]) });
+  } catch (err) {
+    if (err.code === '23505') {
+      return next(httpError(409, 'company already exists'));
+    }
+    next(err);
+  }
+});
+
+// GET /api/clients/:id - client with its roles, applicant counts and hires
+app.get('/api/clients/:id', requirePermission('clients:read'), validate(idParam), async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    const clientResult = await pool.query('select * from clients where id = $1', [id]);
+    if (clientResult.rows.length === 0) {
+      return next(httpError(404, 'Client not found'));
+    }
+    const jobsResult = await pool.query(
+      `select j.id, j.title, j.department, j.status, j.created_at,
+              count(a.id)::int as applicant_count,
+              count(a.id) filter (where a.status = 'Hired')::int as hire_count
+       from jobs j
+       left join applications a on a.job_id = j.id
+       where j.client_id = $1
+       group by j.id
+       order by j.created_at desc`,
+      [id],
+    );
+    const jobs = jobsResult.rows;
+    res.json({
+      client: toClientResponse(clientResult.rows[0]),
+      stats: {
+        total_jobs: jobs.length,
+        open_jobs: jobs.filter((job) => job.status === 'Open').length,
+        applicants: jobs.reduce((sum, job) => sum + job.applicant_count, 0),
+        hires: jobs.reduce((sum, job) => sum + job.hire_count, 0),
+      },
+      jobs,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+const updateClientSchema = { ...idParam, body: clientFieldsSchema };
+
+// PUT /api/clients/:id
+app.put('/api/clients/:id', requirePermission('clients:write'), validate(updateClientSchema), async (req, res, next) => {
+  const { id } = req.params;
+  const { company, contact_person, email, status } = req.body;
+  // Branding fields are only changed when sent, so they can also be cleared with null
+  const brandingValue = (name) => (name in req.body ? req.body[name] || null : undefined);
+  try {
+    const result = await pool.query(
+      `update clients
+         set company = coalesce($1, company),
+             contact_person = coalesce($2, contact_person),
+             email = coalesce($3, email),
+             status = coalesce($4, status),
+             archived_at = case
+               when $4 = 'archived' and status <> 'archived' then now()
+               when $4 is not null and $4 <> 'archived' then null
+               else archived_at
+             end,
+             brand_color = case when $6 then $7 else brand_color end,
+             brand_footer = case when $8 then $9 else brand_footer end,
+             profile_template = case when $10 then $11 else profile_template end,
+             updated_at = now()
+       where id = $5
+       returning *`,
+      [
+        company || null,
+        contact_person ?? null,
+        email || null,
+        status ?? null,
+        id,
+        ...['brand_color', 'brand_footer', 'profile_template'].flatMap((name) => {
+          const value = brandingValue(name);
+          return [value !== undefined, value ?? null];
+        }),
+      ]
+    );
+    if (result.rows.length === 0) {
+      return next(httpError(404, 'Client not found'));
     }
-
-    doc.fontSize(14).text('Generated At:');
-    doc.fontSize(12).text(new Date().toLocaleString());
-    doc.end();
+    res.json({ client: toClientResponse(result.rows[0]) });
   } catch (err) {
-    // eslint-disable-next-line no-console
-    console.error('anonymized-pdf error:', err);
-    res.status(500).json({ error: 'Failed to generate PDF' });
+    if (err.code === '23505') {
+      return next(httpError(409, 'company already exists'));
+    }
+    next(err);
   }
 });
 
-// DELETE /api/users/:id
-app.delete('/api/users/:id', async (req, res) => {
-  const { id } = req.params;
+// Best effort, like removeStoredResumes()
+async function removeClientLogo({ id, logo_storage_driver: driver, logo_storage_key: key }) {
+  if (!key) return;
+  await getStorage(driver).remove(key).catch((err) => {
+    // eslint-disable-next-line no-console
+    console.error(`Failed to remove logo of client ${id}:`, err);
+  });
+}
+
+// PNG and JPEG are what pdfkit can embed
+const logoTypes = [
+  { contentType: 'image/png', extension: 'png', magic: Buffer.from([0x89, 0x50, 0x4e, 0x47]) },
+  { contentType: 'image/jpeg', extension: 'jpg', magic: Buffer.from([0xff, 0xd8, 0xff]) },
+];
+
+// PUT /api/clients/:id/logo - multipart "logo" (PNG or JPEG), shown on anonymized profiles
+app.put(
+  '/api/clients/:id/logo',
+  requirePermission('clients:write'),
+  upload.single('logo'),
+  validate(idParam),
+  async (req, res, next) => {
+    const { id } = req.params;
+    if (!req.file) {
+      return next(new ValidationError({ logo: 'is required' }));
+    }
+    const type = logoTypes.find(({ magic }) =>
+      req.file.buffer.subarray(0, magic.length).equals(magic));
+    if (!type) {
+      return next(httpError(415, 'Logo must be a PNG or JPEG image', {
+        fields: { logo: 'unsupported file type' },
+      }));
+    }
+    const storage = getStorage();
+    const key = `clients/${id}/logo-${crypto.randomUUID()}.${type.extension}`;
+    try {
+      const previous = await pool.query(
+        'select id, logo_storage_driver, logo_storage_key from clients where id = $1',
+        [id],
+      );
+      if (previous.rows.length === 0) {
+        return next(httpError(404, 'Client not found'));
+      }
+      await storage.put(key, req.file.buffer, { contentType: type.contentType });
+      const result = await pool.query(
+        `update clients
+            set logo_storage_driver = $2, logo_storage_key = $3, logo_content_type = $4,
+                updated_at = now()
+          where id = $1
+          returning *`,
+        [id, storage.name, key, type.contentType],
+      );
+      if (result.rows.length === 0) {
+        await storage.remove(key).catch(() => {});
+        return next(httpError(404, 'Client not found'));
+      }
+      await removeClientLogo(previous.rows[0]);
+      res.json({ client: toClientResponse(result.rows[0]) });
+    } catch (err) {
+      next(err.status ? err : httpError(500, 'Failed to store logo', { cause: err }));
+    }
+  },
+);
+
+// GET /api/clients/:id/logo
+app.get('/api/clients/:id/logo', requirePermission('clients:read'), validate(idParam), async (req, res, next) => {
   try {
     const result = await pool.query(
-      'delete from users where id = $1 returning id',
-      [id]
+      'select logo_storage_driver, logo_storage_key, logo_content_type from clients where id = $1',
+      [req.params.id],
     );
-    if (result.rows.length === 0) {
-      return res.status(404).json({ message: 'User not found' });
+    const client = result.rows[0];
+    const stream = client?.logo_storage_key
+      ? await getStorage(client.logo_storage_driver)
+        .createReadStream(client.logo_storage_key)
+        .catch(() => null)
+      : null;
+    if (!stream) {
+      return next(httpError(404, client ? 'Client has no logo' : 'Client not found'));
     }
-    res.json({ success: true });
+    res.setHeader('Content-Type', client.logo_content_type);
+    stream.on('error', next);
+    stream.pipe(res);
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    next(err);
   }
 });
 
-// --- JOBS (matches schema.sql: title, department, description, requirements[], status, created_by) ---
-
-// GET /api/jobs
-app.get('/api/jobs', async (req, res) => {
+// DELETE /api/clients/:id/logo
+app.delete('/api/clients/:id/logo', requirePermission('clients:write'), validate(idParam), async (req, res, next) => {
+  const { id } = req.params;
   try {
+    const previous = await pool.query(
+      'select id, logo_storage_driver, logo_storage_key from clients where id = $1',
+      [id],
+    );
+    if (previous.rows.length === 0) {
+      return next(httpError(404, 'Client not found'));
+    }
     const result = await pool.query(
-      'select * from jobs order by created_at desc'
+      `update clients
+          set logo_storage_driver = null, logo_storage_key = null, logo_content_type = null,
+              updated_at = now()
+        where id = $1
+        returning *`,
+      [id],
     );
-    res.json({ jobs: result.rows });
+    await removeClientLogo(previous.rows[0]);
+    res.json({ client: toClientResponse(result.rows[0]) });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
-// POST /api/jobs
-app.post('/api/jobs', async (req, res) => {
-  const {
-    title,
-    department,
-    description,
-    requirements,
-    status = 'Open',
-    created_by = 'Admin',
-  } = req.body || {};
+const deleteClientSchema = {
+  ...idParam,
+  query: { permanent: { type: 'boolean', default: false } },
+};
 
-  if (!title || !department) {
-    return res
-      .status(400)
-      .json({ error: 'title and department are required' });
+// DELETE /api/clients/:id - archives the client; ?permanent=true deletes it (jobs are unlinked)
+app.delete('/api/clients/:id', requirePermission('clients:write'), validate(deleteClientSchema), async (req, res, next) => {
+  const { id } = req.params;
+  const { permanent } = req.query;
+  try {
+    const result = permanent
+      ? await pool.query(
+        'delete from clients where id = $1 returning id, logo_storage_driver, logo_storage_key',
+        [id],
+      )
+      : await pool.query(
+        `update clients
+            set status = 'archived', archived_at = coalesce(archived_at, now()), updated_at = now()
+          where id = $1
+          returning id`,
+        [id],
+      );
+    if (result.rows.length === 0) {
+      return next(httpError(404, 'Client not found'));
+    }
+    if (permanent) await removeClientLogo(result.rows[0]);
+    res.json({ success: true, id: result.rows[0].id, archived: !permanent });
+  } catch (err) {
+    next(err);
   }
+});
 
-  let reqArray = requirements;
-  if (typeof requirements === 'string') {
-    reqArray = requirements
-      .split(',')
-      .map((s) => s.trim())
-      .filter(Boolean);
-  }
-  if (!Array.isArray(reqArray)) {
-    reqArray = [];
+// --- RECRUITMENT ANALYTICS (materialized aggregates, see lib/analytics.js) ---
+// Every endpoint takes ?from and ?to (UTC days, inclusive; default the last 30 days) and, where
+// the data is per job, ?job_id and ?client_id. Responses include `refreshed_at`, the age of the
+// aggregates they were computed from.
+
+const analyticsDefaultDays = 30;
+
+const analyticsQuery = {
+  from: { type: 'date' },
+  to: { type: 'date' },
+  job_id: { type: 'uuid' },
+  client_id: { type: 'uuid' },
+};
+
+const analyticsSchema = { query: analyticsQuery };
+
+const utcDay = (value) => new Date(value).toISOString().slice(0, 10);
+
+// [$1 from, $2 to, $3 job_id, $4 client_id] for analyticsWhere()
+function analyticsParams(query) {
+  const to = query.to ? utcDay(query.to) : utcDay(Date.now());
+  const from = query.from
+    ? utcDay(query.from)
+    : utcDay(Date.parse(to) - (analyticsDefaultDays - 1) * 86400000);
+  if (from > to) {
+    throw new ValidationError({ from: 'must not be after to' });
   }
+  return [from, to, query.job_id || null, query.client_id || null];
+}
+
+// Date range and job / client filters over a view aliased `v`, joined to its job as `j`
+const analyticsWhere = (dayColumn) => `v.${dayColumn} between $1::date and $2::date
+  and ($3::uuid is null or v.job_id = $3)
+  and ($4::uuid is null or j.client_id = $4)`;
 
+// Runs the analytics queries and adds the range and data age to the response.
+async function analyticsResponse(req, res, next, build) {
   try {
+    const params = analyticsParams(req.query);
+    const [data, refreshedAt] = await Promise.all([build(params), analyticsFreshness(pool)]);
+    res.json({ from: params[0], to: params[1], ...data, refreshed_at: refreshedAt });
+  } catch (err) {
+    next(err);
+  }
+}
+
+const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : null);
+
+// GET /api/analytics/summary - dashboard totals for the range
+app.get('/api/analytics/summary', requirePermission('analytics:read'), validate(analyticsSchema), (req, res, next) =>
+  analyticsResponse(req, res, next, async (params) => {
     const result = await pool.query(
-      `insert into jobs (title, department, description, requirements, status, created_by)
-       values ($1, $2, $3, $4, $5, $6)
-       returning *`,
-      [title, department, description || null, reqArray, status, created_by]
+      `select
+         (select coalesce(sum(v.applications), 0)::int
+          from analytics_application_days v join jobs j on j.id = v.job_id
+          where ${analyticsWhere('day')}) as applications,
+         (select coalesce(sum(v.hires), 0)::int
+          from analytics_hires v join jobs j on j.id = v.job_id
+          where ${analyticsWhere('day')}) as hires,
+         (select round(sum(v.total_days) / nullif(sum(v.hires), 0), 1)::float
+          from analytics_hires v join jobs j on j.id = v.job_id
+          where ${analyticsWhere('day')}) as average_days_to_hire,
+         (select count(*)::int from jobs j
+          where j.status = 'Open' and ($3::uuid is null or j.id = $3)
+            and ($4::uuid is null or j.client_id = $4)) as open_jobs,
+         (select count(*)::int from users
+          where created_at >= $1::date and created_at < $2::date + 1) as new_candidates`,
+      params,
+    );
+    return { summary: result.rows[0] };
+  }));
+
+// GET /api/analytics/applications - applications per day (every day in the range) and per job
+app.get('/api/analytics/applications', requirePermission('analytics:read'), validate(analyticsSchema), (req, res, next) =>
+  analyticsResponse(req, res, next, async (params) => {
+    const [byDay, byJob] = await Promise.all([
+      pool.query(
+        `select to_char(d.day, 'YYYY-MM-DD') as day,
+                coalesce(sum(v.applications), 0)::int as applications
+         from generate_series($1::date, $2::date, interval '1 day') as d(day)
+         left join (
+           analytics_application_days v join jobs j on j.id = v.job_id
+         ) on v.day = d.day::date
+           and ($3::uuid is null or v.job_id = $3)
+           and ($4::uuid is null or j.client_id = $4)
+         group by d.day
+         order by d.day`,
+        params,
+      ),
+      pool.query(
+        `select v.job_id, j.title as job_title, j.status as job_status, j.client_id,
+                sum(v.applications)::int as applications
+         from analytics_application_days v
+         join jobs j on j.id = v.job_id
+         where ${analyticsWhere('day')}
+         group by v.job_id, j.title, j.status, j.client_id
+         order by applications desc, j.title
+         limit 100`,
+        params,
+      ),
+    ]);
+    return { by_day: byDay.rows, by_job: byJob.rows };
+  }));
+
+// GET /api/analytics/funnel - applications from the range that reached each stage, in pipeline
+// order (the job's own pipeline with ?job_id), with conversion from the previous and first stage
+app.get('/api/analytics/funnel', requirePermission('analytics:read'), validate(analyticsSchema), (req, res, next) =>
+  analyticsResponse(req, res, next, async (params) => {
+    const [reach, job] = await Promise.all([
+      pool.query(
+        `select v.stage, sum(v.applications)::int as applications
+         from analytics_stage_reach v
+         join jobs j on j.id = v.job_id
+         where ${analyticsWhere('cohort_day')}
+         group by v.stage`,
+        params,
+      ),
+      params[2] ? pool.query('select pipeline from jobs where id = $1', [params[2]]) : null,
+    ]);
+    const counts = Object.fromEntries(reach.rows.map((row) => [row.stage, row.applications]));
+    // Stages outside the pipeline (renamed or from other jobs' pipelines) go last
+    const ordered = pipelineStages(resolvePipeline(job?.rows[0]))
+      .filter((stage) => stage !== rejectedStage);
+    const others = Object.keys(counts)
+      .filter((stage) => stage !== rejectedStage && !ordered.includes(stage))
+      .sort((a, b) => counts[b] - counts[a]);
+    const stages = [...ordered, ...others];
+    const first = counts[stages[0]] || 0;
+    return {
+      funnel: stages.map((stage, index) => {
+        const applications = counts[stage] || 0;
+        return {
+          stage,
+          applications,
+          conversion_from_previous:
+            index === 0 ? null : percent(applications, counts[stages[index - 1]] || 0),
+          conversion_from_start: percent(applications, first),
+        };
+      }),
+      rejected: {
+        applications: counts[rejectedStage] || 0,
+        rate: percent(counts[rejectedStage] || 0, first),
+      },
+    };
+  }));
+
+// GET /api/analytics/time-to-hire - days from application to hire, overall and per job, for hires
+// made in the range
+app.get('/api/analytics/time-to-hire', requirePermission('analytics:read'), validate(analyticsSchema), (req, res, next) =>
+  analyticsResponse(req, res, next, async (params) => {
+    const stats = `sum(v.hires)::int as hires,
+                   round(sum(v.total_days) / nullif(sum(v.hires), 0), 1)::float as average_days,
+                   min(v.min_days)::float as min_days,
+                   max(v.max_days)::float as max_days`;
+    const [overall, byJob] = await Promise.all([
+      pool.query(
+        `select ${stats}
+         from analytics_hires v
+         join jobs j on j.id = v.job_id
+         where ${analyticsWhere('day')}`,
+        params,
+      ),
+      pool.query(
+        `select v.job_id, j.title as job_title, ${stats}
+         from analytics_hires v
+         join jobs j on j.id = v.job_id
+         where ${analyticsWhere('day')}
+         group by v.job_id, j.title
+         order by average_days`,
+        params,
+      ),
+    ]);
+    return {
+      time_to_hire: { ...overall.rows[0], hires: overall.rows[0].hires || 0 },
+      by_job: byJob.rows,
+    };
+  }));
+
+// GET /api/analytics/time-in-stage - average days applications spent in each stage, for stays
+// that ended in the range
+app.get('/api/analytics/time-in-stage', requirePermission('analytics:read'), validate(analyticsSchema), (req, res, next) =>
+  analyticsResponse(req, res, next, async (params) => {
+    const result = await pool.query(
+      `select v.stage, sum(v.stints)::int as applications,
+              round(sum(v.total_seconds) / nullif(sum(v.stints), 0) / 86400.0, 1)::float
+                as average_days
+       from analytics_stage_time v
+       join jobs j on j.id = v.job_id
+       where ${analyticsWhere('day')}
+       group by v.stage
+       order by average_days desc`,
+      params,
+    );
+    return { stages: result.rows };
+  }));
+
+// GET /api/analytics/sources - applications by source (admin, import, ...)
+app.get('/api/analytics/sources', requirePermission('analytics:read'), validate(analyticsSchema), (req, res, next) =>
+  analyticsResponse(req, res, next, async (params) => {
+    const result = await pool.query(
+      `select v.source, sum(v.applications)::int as applications
+       from analytics_application_days v
+       join jobs j on j.id = v.job_id
+       where ${analyticsWhere('day')}
+       group by v.source
+       order by applications desc`,
+      params,
     );
-    res.status(201).json({ job: result.rows[0] });
+    const total = result.rows.reduce((sum, row) => sum + row.applications, 0);
+    return {
+      sources: result.rows.map((row) => ({ ...row, share: percent(row.applications, total) })),
+    };
+  }));
+
+const analyticsSkillsSchema = {
+  query: {
+    from: analyticsQuery.from,
+    to: analyticsQuery.to,
+    limit: { type: 'integer', min: 1, max: 100, default: 20 },
+  },
+};
+
+// GET /api/analytics/skills - most mentioned skills in jobs created in the range (required skills
+// and requirements) and in parsed resumes of applications from the range; ?limit
+app.get('/api/analytics/skills', requirePermission('analytics:read'), validate(analyticsSkillsSchema), (req, res, next) =>
+  analyticsResponse(req, res, next, async ([from, to]) => {
+    const result = await pool.query(
+      `select kind, skill, mentions
+       from (
+         select kind, skill, sum(mentions)::int as mentions,
+                row_number() over (partition by kind order by sum(mentions) desc, skill) as rank
+         from analytics_skill_days
+         where day between $1::date and $2::date
+         group by kind, skill
+       ) ranked
+       where rank <= $3
+       order by kind, rank`,
+      [from, to, req.query.limit],
+    );
+    const skills = (kind) => result.rows
+      .filter((row) => row.kind === kind)
+      .map(({ skill, mentions }) => ({ skill, mentions }));
+    return { requested: skills('job'), candidates: skills('candidate') };
+  }));
+
+// GET /api/analytics/clients - per client: placements (hires) and applications in the range, and
+// open jobs now
+app.get('/api/analytics/clients', requirePermission('analytics:read'), validate(analyticsSchema), (req, res, next) =>
+  analyticsResponse(req, res, next, async (params) => {
+    const result = await pool.query(
+      `select c.id as client_id, c.company, c.status,
+              coalesce(hired.placements, 0)::int as placements,
+              coalesce(applied.applications, 0)::int as applications,
+              (select count(*)::int from jobs where client_id = c.id and status = 'Open') as open_jobs
+       from clients c
+       left join (
+         select j.client_id, sum(v.hires) as placements
+         from analytics_hires v join jobs j on j.id = v.job_id
+         where ${analyticsWhere('day')}
+         group by j.client_id
+       ) hired on hired.client_id = c.id
+       left join (
+         select j.client_id, sum(v.applications) as applications
+         from analytics_application_days v join jobs j on j.id = v.job_id
+         where ${analyticsWhere('day')}
+         group by j.client_id
+       ) applied on applied.client_id = c.id
+       where ($4::uuid is null or c.id = $4)
+         and (c.status <> 'archived' or hired.placements > 0 or applied.applications > 0)
+       order by placements desc, applications desc, c.company`,
+      params,
+    );
+    return { clients: result.rows };
+  }));
+
+// POST /api/analytics/refresh - rebuilds every aggregate now instead of waiting for the next
+// background refresh; viewers only get the background one
+app.post('/api/analytics/refresh', requirePermission('analytics:refresh'), async (req, res, next) => {
+  try {
+    const result = await refreshAnalytics(pool, { force: true });
+    if (result.locked) {
+      return next(httpError(409, 'Analytics are already being refreshed', {
+        code: 'refresh_in_progress',
+      }));
+    }
+    res.json({ refreshed: result.refreshed, refreshed_at: await analyticsFreshness(pool) });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err.status ? err : httpError(500, 'Failed to refresh analytics', { cause: err }));
   }
 });
 
-// GET /api/jobs/:id
-app.get('/api/jobs/:id', async (req, res) => {
-  const { id } = req.params;
+// --- CANDIDATE PORTAL (/api/candidate/*, see Candidate auth for tokens and public routes) ---
+// Candidates sign up, browse Open jobs, apply with a resume and follow their own applications.
+// Every query is scoped to req.candidate.id, and internal fields (notes, scores, parsed data,
+// client feedback, interview scorecards) are never returned.
+
+const passwordResetMinutes = Number(process.env.PASSWORD_RESET_TTL_MINUTES || 60);
+
+const candidatePortalUrl = () =>
+  (process.env.CANDIDATE_PORTAL_URL || feedMeta().publisherUrl).replace(/\/+$/, '');
+
+const candidatePasswordRule = { ...passwordRule, min: 8 };
+
+// Sign-up, sign-in and reset requests are open to anyone, so they are throttled per IP; reset
+// requests also per email, so one inbox cannot be flooded with links from many addresses
+const candidateRegisterRateLimit = rateLimit(pool, {
+  name: 'candidate-register',
+  limit: Number(process.env.CANDIDATE_REGISTER_RATE_LIMIT ?? 5),
+  windowSeconds: 60 * 60,
+});
+
+const candidateLoginRateLimit = rateLimit(pool, {
+  name: 'candidate-login',
+  limit: Number(process.env.CANDIDATE_LOGIN_RATE_LIMIT ?? 10),
+  windowSeconds: 15 * 60,
+});
+
+const passwordResetRateLimit = rateLimit(pool, {
+  name: 'password-reset',
+  limit: Number(process.env.PASSWORD_RESET_RATE_LIMIT ?? 5),
+  windowSeconds: 60 * 60,
+});
+
+// Runs after validation, so the email is already normalized; hashed to keep addresses out of
+// rate_limits
+const passwordResetEmailRateLimit = rateLimit(pool, {
+  name: 'password-reset-email',
+  limit: Number(process.env.PASSWORD_RESET_EMAIL_RATE_LIMIT ?? 3),
+  windowSeconds: 60 * 60,
+  key: (req) => crypto.createHash('sha256').update(req.body.email).digest('hex'),
+});
+
+const candidateProfileColumns = 'id, full_name, email, phone, language, created_at';
+
+// Open jobs as the public sees them: no client, creator or pipeline internals
+const openJobColumns = `j.id, j.slug, j.title, j.department, j.description, j.requirements,
+  j.required_skills, coalesce(c.company, j.company) as company, j.location, j.job_type,
+  j.category, j.language, j.salary_min, j.salary_max, j.salary_currency, j.salary_period,
+  j.remote_policy, j.expires_at, j.created_at`;
+
+const openJobsWhere = "j.status = 'Open' and (j.expires_at is null or j.expires_at > now())";
+
+const openJobListSpec = {
+  select: openJobColumns,
+  from: 'jobs j left join clients c on c.id = j.client_id',
+  where: openJobsWhere,
+  id: 'j.id',
+  filters: {
+    department: { column: 'j.department' },
+    job_type: { column: 'j.job_type' },
+    category: { column: 'j.category' },
+    remote_policy: { column: 'j.remote_policy' },
+  },
+  sort: { created_at: 'j.created_at', title: 'j.title' },
+  defaultSort: '-created_at',
+  search: ['j.title', 'j.description', 'j.department', 'j.location', 'j.company', 'c.company'],
+};
+
+const candidateApplicationColumns = `a.id, a.job_id, j.title as job_title,
+  coalesce(c.company, j.company) as company, a.status, a.status_changed_at, a.created_at`;
+
+const candidateRegisterSchema = {
+  body: {
+    full_name: { type: 'string', required: true, max: 200 },
+    email: { type: 'email', required: true },
+    password: candidatePasswordRule,
+    phone: { type: 'string', max: 50, nullable: true },
+    language: languageRule,
+    consents: { type: 'array', max: 10, items: { type: 'string', max: 50 } },
+  },
+};
+
+// POST /api/candidate/register - creates the account and signs in; `consents` lists the purposes
+// (lib/consent.js) the candidate agreed to on the sign-up form
+app.post('/api/candidate/register', candidateRegisterRateLimit, validate(candidateRegisterSchema), async (req, res, next) => {
+  const { full_name, email, password, phone, language, consents = [] } = req.body;
+  if (!jwtSecret) {
+    return next(httpError(500, 'JWT_SECRET not configured'));
+  }
+  const unknown = consents.filter((purpose) => !getConsentPurpose(purpose));
+  if (unknown.length > 0) {
+    return next(new ValidationError({ consents: `must be from: ${consentPurposeNames().join(', ')}` }));
+  }
+  const client = await connectOrNext(next);
+  if (!client) return;
+  let user;
   try {
-    const result = await pool.query('select * from jobs where id = $1', [id]);
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Job not found' });
+    const hashed = await bcrypt.hash(password, 10);
+    await client.query('begin');
+    const result = await client.query(
+      `insert into users (full_name, email, password_hash, phone, language)
+       values ($1, $2, $3, $4, $5)
+       returning ${candidateProfileColumns}`,
+      [full_name, email, hashed, phone || null, normalizeLanguage(language)],
+    );
+    user = result.rows[0];
+    for (const purpose of new Set(consents)) {
+      // eslint-disable-next-line no-await-in-loop
+      await insertConsent(client, user.id, { purpose, granted: true, source: 'portal' });
     }
-    res.json({ job: result.rows[0] });
+    await client.query('commit');
+  } catch (err) {
+    await client.query('rollback');
+    if (err.code === '23505') {
+      // Candidates added by a recruiter or an import have no password yet
+      return next(httpError(409, 'Email already registered; sign in or reset your password', {
+        code: 'email_registered',
+        fields: { email: 'already registered' },
+      }));
+    }
+    return next(err);
+  } finally {
+    client.release();
+  }
+  try {
+    const tokens = await createCandidateSession(user, req);
+    res.status(201).json({ user, ...tokens });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
-// PUT /api/jobs/:id
-app.put('/api/jobs/:id', async (req, res) => {
-  const { id } = req.params;
-  const {
-    title,
-    department,
-    description,
-    requirements,
-    status,
-    created_by,
-  } = req.body || {};
-
-  let reqArray = requirements;
-  if (typeof requirements === 'string') {
-    reqArray = requirements
-      .split(',')
-      .map((s) => s.trim())
-      .filter(Boolean);
+// POST /api/candidate/login - body { email, password }
+app.post('/api/candidate/login', candidateLoginRateLimit, validate(loginSchema), async (req, res, next) => {
+  const { email, password } = req.body;
+  if (!jwtSecret) {
+    return next(httpError(500, 'JWT_SECRET not configured'));
   }
-
   try {
     const result = await pool.query(
-      `update jobs
-         set title = coalesce($1, title),
-             department = coalesce($2, department),
-             description = coalesce($3, description),
-             requirements = coalesce($4, requirements),
-             status = coalesce($5, status),
-             created_by = coalesce($6, created_by),
-             updated_at = now()
-       where id = $7
-       returning *`,
-      [title, department, description, reqArray, status, created_by, id]
+      `select ${candidateProfileColumns}, password_hash
+       from users
+       where email = $1 and anonymized_at is null`,
+      [String(email).toLowerCase()],
     );
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Job not found' });
+    const { password_hash: passwordHash, ...user } = result.rows[0] || {};
+    if (!passwordHash || !(await bcrypt.compare(password, passwordHash))) {
+      return next(httpError(401, 'Invalid credentials'));
     }
-    res.json({ job: result.rows[0] });
+    const tokens = await createCandidateSession(user, req);
+    res.json({ user, ...tokens });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
-// DELETE /api/jobs/:id
-app.delete('/api/jobs/:id', async (req, res) => {
-  const { id } = req.params;
+// POST /api/candidate/refresh - rotate refresh token, issue a new access token
+app.post('/api/candidate/refresh', validate(refreshSchema), async (req, res, next) => {
+  const { refresh_token } = req.body;
+  if (!jwtSecret) {
+    return next(httpError(500, 'JWT_SECRET not configured'));
+  }
   try {
+    const rotated = newRefreshToken();
     const result = await pool.query(
-      'delete from jobs where id = $1 returning id',
-      [id]
+      `update candidate_sessions s
+          set refresh_token_hash = $2, last_used_at = now()
+         from users u
+        where u.id = s.user_id and u.anonymized_at is null
+          and s.refresh_token_hash = $1
+          and s.revoked_at is null and s.expires_at > now()
+        returning s.id as session_id, u.id, u.email, u.full_name`,
+      [hashToken(refresh_token), hashToken(rotated)],
     );
     if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Job not found' });
+      return next(httpError(401, 'Invalid or expired refresh token'));
     }
-    res.json({ message: 'Job deleted', id: result.rows[0].id });
+    const { session_id, ...user } = result.rows[0];
+    res.json({
+      user,
+      ...issueTokens(user, session_id, rotated, { audience: candidateAudience }),
+    });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
-// GET /api/jobs/:id/xml-feed/:portal
-app.get('/api/jobs/:id/xml-feed/:portal', async (req, res) => {
-  const { id, portal } = req.params;
+// POST /api/candidate/logout - revoke the current session
+app.post('/api/candidate/logout', async (req, res, next) => {
   try {
-    const result = await pool.query('select * from jobs where id = $1', [id]);
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Job not found' });
+    await pool.query(
+      'update candidate_sessions set revoked_at = now() where id = $1 and revoked_at is null',
+      [req.candidate.session_id],
+    );
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+const passwordResetRequestSchema = { body: { email: { type: 'email', required: true } } };
+
+// POST /api/candidate/password-reset - body { email }; emails a one-time link to
+// CANDIDATE_PORTAL_URL/reset-password?token=... Always 202, so it does not reveal who has an
+// account.
+app.post(
+  '/api/candidate/password-reset',
+  passwordResetRateLimit,
+  validate(passwordResetRequestSchema),
+  passwordResetEmailRateLimit,
+  async (req, res, next) => {
+    const client = await connectOrNext(next);
+    if (!client) return;
+    try {
+      await client.query('begin');
+      const result = await client.query(
+        'select id, full_name, email, language from users where email = $1 and anonymized_at is null',
+        [req.body.email],
+      );
+      const user = result.rows[0];
+      if (user) {
+        const token = crypto.randomBytes(32).toString('base64url');
+        await client.query(
+          `insert into candidate_password_resets (user_id, token_hash, expires_at, ip)
+           values ($1, $2, now() + make_interval(mins => $3), $4)`,
+          [user.id, hashToken(token), passwordResetMinutes, req.ip || null],
+        );
+        await queueEmail(client, {
+          userId: user.id,
+          to: user.email,
+          language: user.language,
+          template: 'password-reset',
+          vars: {
+            candidate_name: user.full_name,
+            reset_url: `${candidatePortalUrl()}/reset-password?token=${token}`,
+            expires_minutes: passwordResetMinutes,
+          },
+        });
+      }
+      await client.query('commit');
+      res.status(202).json({ success: true });
+    } catch (err) {
+      await client.query('rollback');
+      next(err);
+    } finally {
+      client.release();
     }
-    const job = result.rows[0];
-    const skills = Array.isArray(job.requirements || job.required_skills)
-      ? (job.requirements || job.required_skills).join(', ')
-      : String(job.requirements || job.required_skills || '');
-    const createdAt = new Date(job.created_at).toISOString();
-
-    const xmlTemplates = {
-      indeed: `<?xml version="1.0" encoding="UTF-8"?>
-<jobs>
-  <job>
-    <title><![CDATA[${job.title || ''}]]></title>
-    <company><![CDATA[${job.department || job.company || ''}]]></company>
-    <location><![CDATA[${job.location || ''}]]></location>
-    <jobtype><![CDATA[${job.job_type || job.status || 'Full-time'}]]></jobtype>
-    <category><![CDATA[${job.category || 'General'}]]></category>
-    <description><![CDATA[${job.description || ''}]]></description>
-    <required_skills><![CDATA[${skills}]]></required_skills>
-    <url><![CDATA[https://jobspeedy-ai.com/jobs/${job.id}]]></url>
-    <date><![CDATA[${createdAt}]]></date>
-  </job>
-</jobs>`,
-      glassdoor: `<?xml version="1.0" encoding="UTF-8"?>
-<source>
-  <publisher>JobSpeedy AI</publisher>
-  <publisherurl>https://jobspeedy-ai.com</publisherurl>
-  <lastBuildDate>${new Date().toISOString()}</lastBuildDate>
-  <job>
-    <title><![CDATA[${job.title || ''}]]></title>
-    <employer><![CDATA[${job.department || job.company || ''}]]></employer>
-    <location><![CDATA[${job.location || ''}]]></location>
-    <jobtype><![CDATA[${job.job_type || job.status || 'Full-time'}]]></jobtype>
-    <description><![CDATA[${job.description || ''}]]></description>
-    <skills><![CDATA[${skills}]]></skills>
-    <url><![CDATA[https://jobspeedy-ai.com/jobs/${job.id}]]></url>
-    <date><![CDATA[${createdAt}]]></date>
-  </job>
-</source>`,
-      linkedin: `<?xml version="1.0" encoding="UTF-8"?>
-<source>
-  <publisherName>JobSpeedy AI</publisherName>
-  <publisherUrl>https://jobspeedy-ai.com</publisherUrl>
-  <lastBuildDate>${new Date().toISOString()}</lastBuildDate>
-  <job>
-    <jobId>${job.id}</jobId>
-    <title><![CDATA[${job.title || ''}]]></title>
-    <companyName><![CDATA[${job.department || job.company || ''}]]></companyName>
-    <location><![CDATA[${job.location || ''}]]></location>
-    <jobType><![CDATA[${job.job_type || job.status || 'FULL_TIME'}]]></jobType>
-    <description><![CDATA[${job.description || ''}]]></description>
-    <skills><![CDATA[${skills}]]></skills>
-    <url><![CDATA[https://jobspeedy-ai.com/jobs/${job.id}]]></url>
-    <postedDate>${createdAt}</postedDate>
-  </job>
-</source>`,
-      generic: `<?xml version="1.0" encoding="UTF-8"?>
-<jobfeed>
-  <job>
-    <id>${job.id}</id>
-    <title><![CDATA[${job.title || ''}]]></title>
-    <company><![CDATA[${job.department || job.company || ''}]]></company>
-    <location><![CDATA[${job.location || ''}]]></location>
-    <job_type><![CDATA[${job.job_type || job.status || 'Full-time'}]]></job_type>
-    <category><![CDATA[${job.category || 'General'}]]></category>
-    <description><![CDATA[${job.description || ''}]]></description>
-    <required_skills><![CDATA[${skills}]]></required_skills>
-    <url>https://jobspeedy-ai.com/jobs/${job.id}</url>
-    <created_at>${createdAt}</created_at>
-  </job>
-</jobfeed>`,
-    };
+  },
+);
+
+const passwordResetConfirmSchema = {
+  body: { token: { type: 'string', required: true }, password: candidatePasswordRule },
+};
 
-    const key = (portal || 'generic').toLowerCase();
-    const xml = xmlTemplates[key];
-    if (!xml) {
-      return res.status(400).json({ error: 'Unsupported portal' });
+// POST /api/candidate/password-reset/confirm - body { token, password }; also signs out every
+// session and voids the candidate's other reset links
+app.post('/api/candidate/password-reset/confirm', validate(passwordResetConfirmSchema), async (req, res, next) => {
+  const { token, password } = req.body;
+  const client = await connectOrNext(next);
+  if (!client) return;
+  try {
+    const hashed = await bcrypt.hash(password, 10);
+    await client.query('begin');
+    const reset = await client.query(
+      `update candidate_password_resets r
+          set used_at = now()
+         from users u
+        where u.id = r.user_id and u.anonymized_at is null
+          and r.token_hash = $1 and r.used_at is null and r.expires_at > now()
+        returning r.user_id`,
+      [hashToken(token)],
+    );
+    if (reset.rows.length === 0) {
+      await client.query('rollback');
+      return next(httpError(400, 'Invalid or expired reset token'));
     }
+    const userId = reset.rows[0].user_id;
+    await client.query('update users set password_hash = $2 where id = $1', [userId, hashed]);
+    await client.query(
+      'update candidate_password_resets set used_at = now() where user_id = $1 and used_at is null',
+      [userId],
+    );
+    await client.query(
+      'update candidate_sessions set revoked_at = now() where user_id = $1 and revoked_at is null',
+      [userId],
+    );
+    await client.query('commit');
+    res.json({ success: true });
+  } catch (err) {
+    await client.query('rollback');
+    next(err);
+  } finally {
+    client.release();
+  }
+});
 
-    res.setHeader('Content-Type', 'application/xml');
-    res.setHeader('Content-Disposition', `attachment; filename="job_${job.id}_${key}.xml"`);
-    res.send(xml);
+// GET /api/candidate/me
+app.get('/api/candidate/me', async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `select ${candidateProfileColumns} from users where id = $1`,
+      [req.candidate.id],
+    );
+    res.json({ user: result.rows[0] });
   } catch (err) {
-    // eslint-disable-next-line no-console
-    console.error('xml-feed error:', err);
-    res.status(500).json({ error: 'Failed to generate XML feed' });
+    next(err);
   }
 });
 
-// --- APPLICATIONS ---
+const updateCandidateProfileSchema = { body: updateUserSchema.body };
 
-// GET /api/applications
-app.get('/api/applications', async (req, res) => {
+// PUT /api/candidate/me - body { full_name?, phone?, language? }; the email is the sign-in name
+// and stays as registered
+app.put('/api/candidate/me', validate(updateCandidateProfileSchema), async (req, res, next) => {
+  const { full_name, phone, language } = req.body;
   try {
     const result = await pool.query(
-      `select id, user_id, job_id, created_at
-       from applications
-       order by created_at desc`
+      `update users
+          set full_name = coalesce($2, full_name),
+              phone = case when $3 then $4 else phone end,
+              language = coalesce($5, language)
+        where id = $1
+        returning ${candidateProfileColumns}`,
+      [
+        req.candidate.id,
+        full_name || null,
+        phone !== undefined,
+        phone || null,
+        language ? normalizeLanguage(language) : null,
+      ],
     );
-    res.json({ applications: result.rows });
+    res.json({ user: result.rows[0] });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
-// POST /api/applications
-app.post('/api/applications', async (req, res) => {
-  const {
-    user_id,
-    job_id,
-    resume_url,
-    cover_letter,
-    status = 'Pending',
-    ai_parsed_data,
-    admin_notes,
-  } = req.body || {};
-
-  if (!user_id || !job_id) {
-    return res
-      .status(400)
-      .json({ error: 'user_id and job_id are required' });
+// GET /api/candidate/jobs - Open jobs; ?department, ?job_type, ?category, ?remote_policy, ?q,
+// ?sort (created_at, title) and paging as in runListQuery
+app.get('/api/candidate/jobs', async (req, res, next) => {
+  try {
+    const result = await runListQuery(req.query, openJobListSpec);
+    res.json({ jobs: result.rows, pagination: result.pagination });
+  } catch (err) {
+    next(err);
   }
+});
 
+// GET /api/candidate/jobs/:id - an Open job (404 once it closes or expires)
+app.get('/api/candidate/jobs/:id', validate(idParam), async (req, res, next) => {
   try {
     const result = await pool.query(
-      `insert into applications
-         (user_id, job_id, resume_url, cover_letter, status, ai_parsed_data, admin_notes)
-       values ($1, $2, $3, $4, $5, $6, $7)
-       returning *`,
-      [
-        user_id,
-        job_id,
-        resume_url || null,
-        cover_letter || null,
-        status,
-        ai_parsed_data || null,
-        admin_notes || null,
-      ]
+      `select ${openJobColumns}
+       from jobs j
+       left join clients c on c.id = j.client_id
+       where j.id = $1 and ${openJobsWhere}`,
+      [req.params.id],
     );
-    res.status(201).json({ application: result.rows[0] });
-  } catch (err) {
-    if (err.code === '23505') {
-      return res
-        .status(409)
-        .json({ error: 'User has already applied to this job' });
+    if (result.rows.length === 0) {
+      return next(httpError(404, 'Job not found'));
     }
-    res.status(500).json({ error: err.message });
+    res.json({ job: result.rows[0] });
+  } catch (err) {
+    next(err);
   }
 });
 
-// GET /api/jobs/:id/applications - all applications for a job
-app.get('/api/jobs/:id/applications', async (req, res) => {
-  const { id } = req.params;
+const candidateApplySchema = {
+  body: {
+    job_id: { type: 'uuid', required: true },
+    cover_letter: { type: 'string', max: 10000, nullable: true },
+  },
+};
+
+// POST /api/candidate/applications - multipart: job_id, cover_letter?, "resume" (optional once a
+// resume is on file, the latest is used then). Starts in the job's first stage and sends the
+// usual acknowledgement email.
+app.post(
+  '/api/candidate/applications',
+  upload.single('resume'),
+  validate(candidateApplySchema),
+  async (req, res, next) => {
+    const { job_id: jobId, cover_letter: coverLetter } = req.body;
+    if (req.file) {
+      const uploadError = checkResumeUpload(req);
+      if (uploadError) {
+        return next(uploadError);
+      }
+    }
+    const client = await connectOrNext(next);
+    if (!client) return;
+    try {
+      const userId = req.candidate.id;
+      const latest = req.file
+        ? null
+        : await client.query(
+          `select id
+           from resumes
+           where user_id = $1 and version is not null
+           order by version desc
+           limit 1`,
+          [userId],
+        );
+      if (latest && latest.rows.length === 0) {
+        return next(new ValidationError({ resume: 'is required' }));
+      }
+
+      await client.query('begin');
+      const job = await client.query(
+        `select j.pipeline from jobs j where j.id = $1 and ${openJobsWhere}`,
+        [jobId],
+      );
+      if (job.rows.length === 0) {
+        await client.query('rollback');
+        return next(httpError(404, 'Job not found'));
+      }
+      const status = pipelineStages(resolvePipeline(job.rows[0]))[0];
+      const result = await client.query(
+        `insert into applications
+           (user_id, job_id, cover_letter, status, source, status_changed_at, resume_id, resume_url)
+         values ($1, $2, $3, $4, 'portal', now(), $5, $6)
+         returning id`,
+        [
+          userId,
+          jobId,
+          coverLetter || null,
+          status,
+          latest ? latest.rows[0].id : null,
+          latest ? resumeDownloadPath(latest.rows[0].id) : null,
+        ],
+      );
+      const applicationId = result.rows[0].id;
+      await client.query(
+        `insert into application_status_history (application_id, from_status, to_status)
+         values ($1, null, $2)`,
+        [applicationId, status],
+      );
+      await queueApplicationEmail(client, applicationId, 'application-received');
+      if (req.file) {
+        await storeResume({ userId, applicationId }, req.file, { db: client });
+      }
+      await client.query('commit');
+      const application = await pool.query(
+        `select ${candidateApplicationColumns}, a.cover_letter
+         from applications a
+         join jobs j on j.id = a.job_id
+         left join clients c on c.id = j.client_id
+         where a.id = $1`,
+        [applicationId],
+      );
+      res.status(201).json({ application: application.rows[0] });
+    } catch (err) {
+      await client.query('rollback');
+      if (err.code === '23505') {
+        return next(httpError(409, 'You have already applied to this job'));
+      }
+      next(err);
+    } finally {
+      client.release();
+    }
+  },
+);
+
+// GET /api/candidate/applications - the candidate's applications, newest first
+app.get('/api/candidate/applications', async (req, res, next) => {
   try {
     const result = await pool.query(
-      `select a.*, u.full_name, u.email
+      `select ${candidateApplicationColumns}
        from applications a
-       join users u on u.id = a.user_id
-       where a.job_id = $1
+       join jobs j on j.id = a.job_id
+       left join clients c on c.id = j.client_id
+       where a.user_id = $1
        order by a.created_at desc`,
-      [id]
+      [req.candidate.id],
     );
     res.json({ applications: result.rows });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
-// GET /api/users/:id/applications - all applications for a user
-app.get('/api/users/:id/applications', async (req, res) => {
+// GET /api/candidate/applications/:id - with its stage history (without internal notes) and
+// interviews that have not been cancelled
+app.get('/api/candidate/applications/:id', validate(idParam), async (req, res, next) => {
   const { id } = req.params;
   try {
     const result = await pool.query(
-      `select a.*, j.title as job_title
+      `select ${candidateApplicationColumns}, a.cover_letter
        from applications a
        join jobs j on j.id = a.job_id
-       where a.user_id = $1
-       order by a.created_at desc`,
-      [id]
+       left join clients c on c.id = j.client_id
+       where a.id = $1 and a.user_id = $2`,
+      [id, req.candidate.id],
     );
-    res.json({ applications: result.rows });
+    if (result.rows.length === 0) {
+      return next(httpError(404, 'Application not found'));
+    }
+    const [history, interviews] = await Promise.all([
+      pool.query(
+        `select to_status as status, created_at
+         from application_status_history
+         where application_id = $1
+         order by created_at`,
+        [id],
+      ),
+      pool.query(
+        `select id, starts_at, ends_at, location, video_url, status
+         from interviews
+         where application_id = $1 and status <> 'cancelled'
+         order by starts_at`,
+        [id],
+      ),
+    ]);
+    res.json({
+      application: { ...result.rows[0], history: history.rows, interviews: interviews.rows },
+    });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
-// --- CLIENTS ---
+// --- PUBLIC JOB BOARD (no auth; jobs by slug, apply with spam protection) ---
+// Backs the job pages the feeds link to. Applying creates (or reuses, by email) the candidate
+// and the application in one transaction. Spam is held off by a per-IP rate limit, honeypot
+// fields and duplicate detection: the same email or the same resume file twice for one job.
+
+const publicApplyRateLimit = rateLimit(pool, {
+  name: 'public-apply',
+  limit: Number(process.env.PUBLIC_APPLY_RATE_LIMIT ?? 5),
+  windowSeconds: 60 * 60,
+});
+
+// Hidden on the job board form, so only bots fill them in
+const honeypotFields = ['website', 'fax_number'];
+
+// Bots get the same answer as applicants, so they cannot tell they were caught
+const publicApplyReceived = { success: true, message: 'Application received' };
+
+// The slug wins; a job id is only tried when no Open job has that slug (links from before slugs)
+async function findOpenJob(db, slugOrId) {
+  const query = (column) =>
+    db.query(
+      `select ${openJobColumns}, j.pipeline
+       from jobs j
+       left join clients c on c.id = j.client_id
+       where j.${column} = $1 and ${openJobsWhere}`,
+      [slugOrId],
+    );
+  const bySlug = await query('slug');
+  if (bySlug.rows.length > 0 || !uuidRe.test(slugOrId)) {
+    return bySlug;
+  }
+  return query('id');
+}
+
+const publicJobParams = { params: { slug: { type: 'string', required: true, max: 200 } } };
 
-// GET /api/clients
-app.get('/api/clients', async (req, res) => {
+// GET /api/public/jobs - Open jobs with their slugs; same filters, search, sorting and paging as
+// GET /api/candidate/jobs
+app.get('/api/public/jobs', async (req, res, next) => {
   try {
-    const result = await pool.query(
-      `select 
-         c.id,
-         c.company,
-         c.contact_person,
-         c.email,
-         c.created_at
-       from clients c
-       order by c.created_at desc`,
-    );
-    // Map company to name and add status field for frontend compatibility
-    const clients = result.rows.map(client => ({
-      id: client.id,
-      name: client.company, // Map company to name
-      status: 'active', // Default status for all clients
-      created_at: client.created_at
-    }));
-    res.json({ clients });
+    const result = await runListQuery(req.query, openJobListSpec);
+    res.setHeader('Cache-Control', 'public, max-age=60');
+    res.json({ jobs: result.rows, pagination: result.pagination });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
-// POST /api/clients
-app.post('/api/clients', async (req, res) => {
-  const { company, contact_person, email } = req.body || {};
-  if (!company) {
-    return res.status(400).json({ error: 'company is required' });
-  }
+// GET /api/public/jobs/:slug - an Open job by slug (or id, for links from before slugs)
+app.get('/api/public/jobs/:slug', validate(publicJobParams), async (req, res, next) => {
   try {
-    const result = await pool.query(
-      `insert into clients (company, contact_person, email)
-       values ($1, $2, $3)
-       returning *`,
-      [company, contact_person || null, email || null]
-    );
-    res.status(201).json({ client: result.rows[0] });
-  } catch (err) {
-    if (err.code === '23505') {
-      return res.status(409).json({ error: 'company already exists' });
+    const result = await findOpenJob(pool, req.params.slug);
+    if (result.rows.length === 0) {
+      return next(httpError(404, 'Job not found'));
     }
-    res.status(500).json({ error: err.message });
+    const { pipeline: _pipeline, ...job } = result.rows[0];
+    res.setHeader('Cache-Control', 'public, max-age=60');
+    res.json({ job });
+  } catch (err) {
+    next(err);
   }
 });
 
+const publicApplySchema = {
+  ...publicJobParams,
+  body: {
+    full_name: { type: 'string', required: true, max: 200 },
+    email: { type: 'email', required: true },
+    phone: { type: 'string', max: 50, nullable: true },
+    language: languageRule,
+    cover_letter: { type: 'string', max: 10000, nullable: true },
+    consents: { type: 'array', csv: true, max: 10, items: { type: 'string', max: 50 } },
+  },
+};
+
+function discardHoneypotSubmissions(req, res, next) {
+  if (honeypotFields.some((field) => String(req.body?.[field] ?? '').trim() !== '')) {
+    return res.status(201).json(publicApplyReceived);
+  }
+  next();
+}
+
+const duplicateApplicationError = () =>
+  httpError(409, 'An application for this job has already been received', {
+    code: 'duplicate_application',
+  });
+
+// POST /api/public/jobs/:slug/apply - multipart: full_name, email, phone?, language?,
+// cover_letter?, consents? and the "resume" file. Nobody's email is verified here, so an existing
+// candidate with the same email gets the application but nothing else: the file is kept for the
+// application only, not as a resume version, and their consents are left as they are.
+app.post(
+  '/api/public/jobs/:slug/apply',
+  publicApplyRateLimit,
+  upload.single('resume'),
+  discardHoneypotSubmissions,
+  validate(publicApplySchema),
+  async (req, res, next) => {
+    const { full_name, email, phone, language, cover_letter, consents = [] } = req.body;
+    const uploadError = checkResumeUpload(req);
+    if (uploadError) {
+      return next(uploadError);
+    }
+    const unknown = consents.filter((purpose) => !getConsentPurpose(purpose));
+    if (unknown.length > 0) {
+      return next(new ValidationError({ consents: `must be from: ${consentPurposeNames().join(', ')}` }));
+    }
+    const sha256 = crypto.createHash('sha256').update(req.file.buffer).digest('hex');
+
+    const client = await connectOrNext(next);
+    if (!client) return;
+    try {
+      await client.query('begin');
+      const job = await findOpenJob(client, req.params.slug);
+      if (job.rows.length === 0) {
+        await client.query('rollback');
+        return next(httpError(404, 'Job not found'));
+      }
+      const jobId = job.rows[0].id;
+
+      // The same file sent again for this job, whatever the email
+      const sameFile = await client.query(
+        `select 1
+         from applications a
+         join resumes r on r.id = a.resume_id
+         where a.job_id = $1 and r.sha256 = $2
+         limit 1`,
+        [jobId, sha256],
+      );
+      if (sameFile.rows.length > 0) {
+        await client.query('rollback');
+        return next(duplicateApplicationError());
+      }
+
+      const created = await client.query(
+        `insert into users (full_name, email, password_hash, phone, language)
+         values ($1, $2, '', $3, $4)
+         on conflict (email) do nothing
+         returning id`,
+        [full_name, email, phone || null, normalizeLanguage(language)],
+      );
+      const isNewCandidate = created.rows.length > 0;
+      const userId = isNewCandidate
+        ? created.rows[0].id
+        : (await client.query('select id from users where email = $1', [email])).rows[0].id;
+
+      const status = pipelineStages(resolvePipeline(job.rows[0]))[0];
+      const application = await client.query(
+        `insert into applications (user_id, job_id, cover_letter, status, source, status_changed_at)
+         values ($1, $2, $3, $4, 'job-board', now())
+         returning id`,
+        [userId, jobId, cover_letter || null, status],
+      );
+      const applicationId = application.rows[0].id;
+      await client.query(
+        `insert into application_status_history (application_id, from_status, to_status)
+         values ($1, null, $2)`,
+        [applicationId, status],
+      );
+      if (isNewCandidate) {
+        for (const purpose of new Set(consents)) {
+          // eslint-disable-next-line no-await-in-loop
+          await insertConsent(client, userId, { purpose, granted: true, source: 'job-board' });
+        }
+      }
+      await queueApplicationEmail(client, applicationId, 'application-received');
+      await storeResume({ userId, applicationId }, req.file, { db: client, versioned: false });
+      await client.query('commit');
+      res.status(201).json(publicApplyReceived);
+    } catch (err) {
+      await client.query('rollback');
+      if (err.code === '23505') {
+        return next(duplicateApplicationError());
+      }
+      next(err);
+    } finally {
+      client.release();
+    }
+  },
+);
+
+// --- Errors ---
+
+app.use((req, res, next) => next(httpError(404, 'Route not found')));
+app.use(errorHandler);
+
 // --- Start server (for local dev and for Vercel Node server) ---
-app.listen(port, () => {
-  // eslint-disable-next-line no-console
-  console.log(`Server listening on port ${port}`);
-});
+const migrateOnStart = (process.env.MIGRATE_ON_START ?? '').toLowerCase() === 'true';
+const queueWorkerEnabled = (process.env.QUEUE_WORKER ?? '').toLowerCase() !== 'false';
+
+(migrateOnStart ? runMigrations(pool) : Promise.resolve())
+  .then(() => {
+    app.listen(port, () => {
+      // eslint-disable-next-line no-console
+      console.log(`Server listening on port ${port}`);
+    });
+    if (queueWorkerEnabled) {
+      startQueueWorker(pool, { concurrency: Number(process.env.QUEUE_CONCURRENCY || 1) });
+      scheduleRetentionSweep().catch((err) => {
+        // eslint-disable-next-line no-console
+        console.error('Could not schedule the retention sweep:', err);
+      });
+    }
+  })
+  .catch((err) => {
+    // eslint-disable-next-line no-console
+    console.error('Startup migration failed:', err);
+    process.exit(1);
+  });
 
 export default app;
 